@@ -5,8 +5,13 @@
  * 1. Extension icon click -> open side panel
  * 2. Relay messages between content script and side panel
  * 3. Inject content script when needed
+ * 4. Register the content script on user-added Fluxx domains
  */
 
+import { loadSettings, onSettingsChanged, getCustomDomainPatterns, isFluxxUrl } from './shared/settings.js';
+
+const CUSTOM_DOMAIN_SCRIPT_ID = 'fluxx-custom-domains';
+
 // Set side panel behavior
 chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true });
 
@@ -26,14 +31,54 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return false;
 });
 
-// Check if URL is a Fluxx site
-function isFluxxSite(url) {
-  return url?.includes('fluxxlabs.com') || url?.includes('fluxx.io');
+// Check if URL is a Fluxx site (built-in or user-added domain)
+async function isFluxxSite(url) {
+  if (!url) return false;
+  return isFluxxUrl(url, await loadSettings());
+}
+
+// Custom Fluxx domains - the manifest only covers the hosted domains, so the
+// content script is registered at runtime for the origins the user granted
+async function syncCustomDomainScripts() {
+  const settings = await loadSettings();
+  const patterns = [];
+  for (const pattern of getCustomDomainPatterns(settings)) {
+    if (await chrome.permissions.contains({ origins: [pattern] })) {
+      patterns.push(pattern);
+    }
+  }
+
+  const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [CUSTOM_DOMAIN_SCRIPT_ID] });
+  if (existing.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [CUSTOM_DOMAIN_SCRIPT_ID] });
+  }
+  if (patterns.length === 0) return;
+
+  await chrome.scripting.registerContentScripts([{
+    id: CUSTOM_DOMAIN_SCRIPT_ID,
+    matches: patterns,
+    js: ['shared/json-ops.js', 'shared/form-lint.js', 'content/fluxx-bridge.js'],
+    css: ['content/fluxx-bridge.css'],
+    runAt: 'document_idle'
+  }]);
+  console.log('[Fluxx AI BG] Registered content script for custom domains:', patterns);
 }
 
+function resyncCustomDomainScripts() {
+  syncCustomDomainScripts().catch(err => {
+    console.error('[Fluxx AI BG] Failed to register custom domains:', err);
+  });
+}
+
+chrome.runtime.onInstalled.addListener(resyncCustomDomainScripts);
+chrome.runtime.onStartup.addListener(resyncCustomDomainScripts);
+chrome.permissions.onAdded.addListener(resyncCustomDomainScripts);
+chrome.permissions.onRemoved.addListener(resyncCustomDomainScripts);
+onSettingsChanged(resyncCustomDomainScripts);
+
 // When a tab finishes loading a Fluxx page, ensure content script is injected
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete' && isFluxxSite(tab.url)) {
+  if (changeInfo.status === 'complete' && await isFluxxSite(tab.url)) {
     try {
       // Check if content script is already loaded
       await chrome.tabs.sendMessage(tabId, { type: 'PING' });
@@ -43,7 +88,7 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
       try {
         await chrome.scripting.executeScript({
           target: { tabId },
-          files: ['content/fluxx-bridge.js']
+          files: ['shared/json-ops.js', 'shared/form-lint.js', 'content/fluxx-bridge.js']
         });
         await chrome.scripting.insertCSS({
           target: { tabId },
@@ -60,7 +105,7 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
   try {
     const tab = await chrome.tabs.get(activeInfo.tabId);
-    if (isFluxxSite(tab.url)) {
+    if (await isFluxxSite(tab.url)) {
       console.log('[Fluxx AI BG] Activated Fluxx tab:', activeInfo.tabId);
     }
   } catch (e) {
@@ -425,6 +425,11 @@ function showLoadingOverlay(message = 'Applying changes...') {
   `;
   document.body.appendChild(overlay);
 
+  // The logo is only web-accessible on the hosted Fluxx domains; custom domains
+  // keep the sparkles without it
+  const logo = overlay.querySelector('.fluxx-ai-logo');
+  logo.addEventListener('error', () => logo.remove());
+
   // Add styles
   const style = document.createElement('style');
   style.id = 'fluxx-ai-loading-styles';
@@ -532,189 +537,361 @@ function updateLoadingText(message) {
 }
 
 // Apply operations and upload via Fluxx's full import flow
-async function applyAndUpload(operations, exportData) {
+// Refuses to upload when any operation failed, unless allowFailures is set,
+// or when the result has new form check errors, unless allowLintErrors is set
+async function applyAndUpload(operations, exportData, { prompt = null, allowFailures = false, allowLintErrors = false } = {}) {
   try {
     showLoadingOverlay('Applying changes...');
 
-    const modified = applyOperations(exportData, operations);
+    const { data: modified, report } = applyOperations(exportData, operations);
 
-    // Step 1: Click the Import button to open import modal
-    const importBtn = document.querySelector('a.import-form') || document.querySelector('a[title="Import"]');
-    if (!importBtn) {
-      throw new Error('Import button not found');
+    if (hasFailedOperations(report) && !allowFailures) {
+      throw new Error(`${describeFailedOperations(report)}, nothing was uploaded`);
     }
-    importBtn.click();
-    await sleep(800);
 
-    // Step 2: Find the "Select file to import" link (must have correct title)
-    const uploadLink = await waitForElement('a.upload-file[title="Import Stencil"]', 5000);
-    if (!uploadLink) {
-      throw new Error('Upload link not found in import panel');
+    const lintIssues = findNewLintIssues(exportData, modified);
+    if (hasLintErrors(lintIssues) && !allowLintErrors) {
+      throw new Error(`${describeLintErrors(lintIssues)}, nothing was uploaded`);
     }
 
-    console.log('[Fluxx AI] Found upload link:', uploadLink.id);
-    updateLoadingText('Uploading changes...');
+    await importStencil(modified);
 
-    // Step 4: Create a File from our modified JSON
-    const jsonString = JSON.stringify(modified, null, 2);
-    const blob = new Blob([jsonString], { type: 'application/json' });
-    const file = new File([blob], 'fluxx_import.json', { type: 'application/json' });
+    // Keep the pre-apply export so the side panel can roll this change set back
+    await saveUndoSnapshot(exportData);
+    await recordHistoryVersion({ before: exportData, after: modified, operations, prompt, report });
 
-    // Step 5: Find the file input that handles JSON/text imports
-    // On fluxx.io, Plupload uses shared file inputs - we need the one that accepts text/plain
-    const allInputs = document.querySelectorAll('input[type="file"]');
-    const textInputs = Array.from(allInputs).filter(inp => {
-      const accept = inp.getAttribute('accept') || inp.getAttribute('accept_donotuse') || '';
-      return accept.includes('text/plain') || accept.includes('application/json');
-    });
+    await finishImport('IMPORT_COMPLETE');
+  } catch (err) {
+    handleImportFailure(err);
+  }
+}
 
-    // Use the last text input (most recently created, for the import modal)
-    let fileInput = textInputs[textInputs.length - 1];
-
-    // Fallback: if no text inputs, try to find by Plupload instance on upload link (fluxxlabs.com style)
-    if (!fileInput) {
-      const pluploadKey = Object.keys(uploadLink).find(k => k.startsWith('Plupload_'));
-      if (pluploadKey) {
-        const uploader = uploadLink[pluploadKey];
-        console.log('[Fluxx AI] Found Plupload instance:', pluploadKey);
-
-        // Use Plupload's addFile API directly
-        await new Promise((resolve, reject) => {
-          const onComplete = () => {
-            console.log('[Fluxx AI] Upload complete via Plupload API');
-            uploader.unbind('UploadComplete', onComplete);
-            uploader.unbind('Error', onError);
-            resolve();
-          };
-          const onError = (up, err) => {
-            console.error('[Fluxx AI] Plupload error:', err);
-            uploader.unbind('UploadComplete', onComplete);
-            uploader.unbind('Error', onError);
-            reject(new Error(err.message || 'Upload failed'));
-          };
-          uploader.bind('UploadComplete', onComplete);
-          uploader.bind('Error', onError);
-          uploader.addFile(file);
-          uploader.start();
-        });
-
-        // Skip the file input approach since we used Plupload API
-        fileInput = null;
-      }
+// Apply operations without importing - the side panel offers the result as a download
+// for instances with customized import dialogs, or for review before a manual import
+function applyForDownload(operations, exportData, { allowFailures = false, allowLintErrors = false } = {}) {
+  const { data: modified, report } = applyOperations(exportData, operations);
+
+  if (hasFailedOperations(report) && !allowFailures) {
+    throw new Error(`${describeFailedOperations(report)}, no file was created`);
+  }
+
+  const lintIssues = findNewLintIssues(exportData, modified);
+  if (hasLintErrors(lintIssues) && !allowLintErrors) {
+    throw new Error(`${describeLintErrors(lintIssues)}, no file was created`);
+  }
+
+  return { data: modified, report };
+}
+
+function describeFailedOperations(report) {
+  const failed = report.filter(entry => entry.status === 'failed');
+  const reasons = failed.map(entry => `#${entry.index + 1} ${entry.type}: ${entry.reason}`).join('; ');
+  return `${failed.length} operation(s) failed (${reasons})`;
+}
+
+function describeLintErrors(issues) {
+  const errors = issues.filter(issue => issue.severity === 'error');
+  return `The changes introduce ${errors.length} form problem(s) (${errors.map(issue => issue.message).join('; ')})`;
+}
+
+// Re-import the export saved before the last apply
+async function undoLastApply(stencilId) {
+  try {
+    const snapshot = await loadUndoSnapshot(stencilId);
+    if (!snapshot || !snapshot.export) {
+      throw new Error('No previous version saved for this form');
     }
 
-    if (!fileInput && textInputs.length === 0) {
-      throw new Error('Could not find import file input. Try refreshing the page.');
+    showLoadingOverlay('Restoring previous version...');
+
+    await importStencil(snapshot.export);
+    await clearUndoSnapshot(stencilId);
+
+    await finishImport('UNDO_COMPLETE');
+  } catch (err) {
+    handleImportFailure(err);
+  }
+}
+
+// Re-import a version from the form's local history
+async function restoreHistoryVersion(stencilId, versionId) {
+  try {
+    const versions = await loadHistory(stencilId);
+    const version = versions.find(v => v.id === versionId);
+    if (!version || !version.after) {
+      throw new Error('Version not found in history');
     }
 
-    if (fileInput) {
-      console.log('[Fluxx AI] Using file input:', fileInput.id);
+    showLoadingOverlay('Restoring version...');
+
+    const before = currentExport || await downloadExport();
+
+    await importStencil(version.after);
+
+    await saveUndoSnapshot(before);
+    await recordHistoryVersion({
+      before,
+      after: version.after,
+      operations: [],
+      prompt: `Restored version from ${new Date(version.savedAt).toLocaleString()}`
+    });
+
+    await finishImport('RESTORE_COMPLETE');
+  } catch (err) {
+    handleImportFailure(err);
+  }
+}
+
+// Upload an export JSON through the Import modal and wait for Fluxx to accept it
+async function importStencil(data) {
+  // Step 1: Click the Import button to open import modal
+  const importBtn = document.querySelector('a.import-form') || document.querySelector('a[title="Import"]');
+  if (!importBtn) {
+    throw new Error('Import button not found');
+  }
+  importBtn.click();
+  await sleep(800);
+
+  // Step 2: Find the "Select file to import" link (must have correct title)
+  const uploadLink = await waitForElement('a.upload-file[title="Import Stencil"]', 5000);
+  if (!uploadLink) {
+    throw new Error('Upload link not found in import panel');
+  }
+
+  console.log('[Fluxx AI] Found upload link:', uploadLink.id);
+  updateLoadingText('Uploading changes...');
 
-      // Set the file on the input
-      const dataTransfer = new DataTransfer();
-      dataTransfer.items.add(file);
-      fileInput.files = dataTransfer.files;
+  // Step 4: Create a File from our modified JSON
+  const jsonString = JSON.stringify(data, null, 2);
+  const blob = new Blob([jsonString], { type: 'application/json' });
+  const file = new File([blob], 'fluxx_import.json', { type: 'application/json' });
+
+  // Step 5: Find the file input that handles JSON/text imports
+  // On fluxx.io, Plupload uses shared file inputs - we need the one that accepts text/plain
+  const allInputs = document.querySelectorAll('input[type="file"]');
+  const textInputs = Array.from(allInputs).filter(inp => {
+    const accept = inp.getAttribute('accept') || inp.getAttribute('accept_donotuse') || '';
+    return accept.includes('text/plain') || accept.includes('application/json');
+  });
 
-      // Dispatch change event to trigger Plupload
-      fileInput.dispatchEvent(new Event('change', { bubbles: true }));
+  // Use the last text input (most recently created, for the import modal)
+  let fileInput = textInputs[textInputs.length - 1];
+
+  // Fallback: if no text inputs, try to find by Plupload instance on upload link (fluxxlabs.com style)
+  if (!fileInput) {
+    const pluploadKey = Object.keys(uploadLink).find(k => k.startsWith('Plupload_'));
+    if (pluploadKey) {
+      const uploader = uploadLink[pluploadKey];
+      console.log('[Fluxx AI] Found Plupload instance:', pluploadKey);
+
+      // Use Plupload's addFile API directly
+      await new Promise((resolve, reject) => {
+        const onComplete = () => {
+          console.log('[Fluxx AI] Upload complete via Plupload API');
+          uploader.unbind('UploadComplete', onComplete);
+          uploader.unbind('Error', onError);
+          resolve();
+        };
+        const onError = (up, err) => {
+          console.error('[Fluxx AI] Plupload error:', err);
+          uploader.unbind('UploadComplete', onComplete);
+          uploader.unbind('Error', onError);
+          reject(new Error(err.message || 'Upload failed'));
+        };
+        uploader.bind('UploadComplete', onComplete);
+        uploader.bind('Error', onError);
+        uploader.addFile(file);
+        uploader.start();
+      });
+
+      // Skip the file input approach since we used Plupload API
+      fileInput = null;
     }
+  }
 
-    updateLoadingText('Processing import...');
+  if (!fileInput && textInputs.length === 0) {
+    throw new Error('Could not find import file input. Try refreshing the page.');
+  }
 
-    // Step 6: Wait for the upload to process and look for success indicator
-    let refreshLink = null;
-    let uploadComplete = false;
-    const startTime = Date.now();
-    const timeout = 30000; // Increased timeout
+  if (fileInput) {
+    console.log('[Fluxx AI] Using file input:', fileInput.id);
 
-    while (Date.now() - startTime < timeout) {
-      // Check for refresh-dashboard link (primary success indicator)
-      refreshLink = document.querySelector('a.refresh-dashboard');
-      if (refreshLink) {
-        console.log('[Fluxx AI] Found a.refresh-dashboard link');
-        break;
-      }
+    // Set the file on the input
+    const dataTransfer = new DataTransfer();
+    dataTransfer.items.add(file);
+    fileInput.files = dataTransfer.files;
 
-      // Check for any link containing "Refresh" text
-      const allLinks = document.querySelectorAll('a');
-      for (const link of allLinks) {
-        const text = link.textContent?.toLowerCase() || '';
-        if (text.includes('refresh') && (text.includes('dashboard') || text.includes('your'))) {
-          console.log('[Fluxx AI] Found refresh link by text:', link.textContent);
-          refreshLink = link;
-          break;
-        }
-      }
-      if (refreshLink) break;
-
-      // Check for success text anywhere on the page
-      const bodyText = document.body.innerText || '';
-      if (bodyText.includes('Refresh Your Dashboard') ||
-          bodyText.includes('Import successful') ||
-          bodyText.includes('import complete') ||
-          bodyText.includes('Successfully imported')) {
-        console.log('[Fluxx AI] Found success text in page');
-        uploadComplete = true;
-        break;
-      }
+    // Dispatch change event to trigger Plupload
+    fileInput.dispatchEvent(new Event('change', { bubbles: true }));
+  }
 
-      // Check if upload progress finished (look for 100% or completed state)
-      const progressBar = document.querySelector('.plupload_progress, .upload-progress, .progress-bar');
-      if (progressBar) {
-        const width = progressBar.style.width;
-        if (width === '100%') {
-          console.log('[Fluxx AI] Progress bar at 100%');
-          // Wait a bit more for server processing after upload completes
-          await sleep(2000);
-          uploadComplete = true;
-          break;
-        }
+  updateLoadingText('Processing import...');
+
+  // Step 6: Wait for the upload to process and look for success indicator
+  let refreshLink = null;
+  let uploadComplete = false;
+  const startTime = Date.now();
+  const timeout = 30000; // Increased timeout
+
+  while (Date.now() - startTime < timeout) {
+    // Check for refresh-dashboard link (primary success indicator)
+    refreshLink = document.querySelector('a.refresh-dashboard');
+    if (refreshLink) {
+      console.log('[Fluxx AI] Found a.refresh-dashboard link');
+      break;
+    }
+
+    // Check for any link containing "Refresh" text
+    const allLinks = document.querySelectorAll('a');
+    for (const link of allLinks) {
+      const text = link.textContent?.toLowerCase() || '';
+      if (text.includes('refresh') && (text.includes('dashboard') || text.includes('your'))) {
+        console.log('[Fluxx AI] Found refresh link by text:', link.textContent);
+        refreshLink = link;
+        break;
       }
+    }
+    if (refreshLink) break;
+
+    // Check for success text anywhere on the page
+    const bodyText = document.body.innerText || '';
+    if (bodyText.includes('Refresh Your Dashboard') ||
+        bodyText.includes('Import successful') ||
+        bodyText.includes('import complete') ||
+        bodyText.includes('Successfully imported')) {
+      console.log('[Fluxx AI] Found success text in page');
+      uploadComplete = true;
+      break;
+    }
 
-      // Check for file uploaded indicator
-      const uploadedFile = document.querySelector('.plupload_file_status_done, .upload-complete, .file-uploaded');
-      if (uploadedFile) {
-        console.log('[Fluxx AI] Found upload complete indicator');
+    // Check if upload progress finished (look for 100% or completed state)
+    const progressBar = document.querySelector('.plupload_progress, .upload-progress, .progress-bar');
+    if (progressBar) {
+      const width = progressBar.style.width;
+      if (width === '100%') {
+        console.log('[Fluxx AI] Progress bar at 100%');
+        // Wait a bit more for server processing after upload completes
         await sleep(2000);
         uploadComplete = true;
         break;
       }
+    }
 
-      await sleep(300);
+    // Check for file uploaded indicator
+    const uploadedFile = document.querySelector('.plupload_file_status_done, .upload-complete, .file-uploaded');
+    if (uploadedFile) {
+      console.log('[Fluxx AI] Found upload complete indicator');
+      await sleep(2000);
+      uploadComplete = true;
+      break;
     }
 
-    console.log('[Fluxx AI] Detection loop finished. refreshLink:', !!refreshLink, 'uploadComplete:', uploadComplete, 'elapsed:', Date.now() - startTime, 'ms');
+    await sleep(300);
+  }
 
-    if (refreshLink || uploadComplete) {
-      updateLoadingText('Refreshing page...');
-      chrome.runtime.sendMessage({ type: 'IMPORT_COMPLETE' });
-      currentExport = null;
-      await sleep(500);
-      window.location.reload();
-    } else {
-      // Check for error messages
-      const errorMsg = document.querySelector('.import-error, .error-message, .alert-danger, .error, .plupload_error');
-      if (errorMsg && errorMsg.textContent.trim()) {
-        throw new Error(errorMsg.textContent.trim());
-      }
+  console.log('[Fluxx AI] Detection loop finished. refreshLink:', !!refreshLink, 'uploadComplete:', uploadComplete, 'elapsed:', Date.now() - startTime, 'ms');
 
-      // No success or error detected - don't auto-refresh, ask user
-      throw new Error('Import status unclear. Please check if changes applied and refresh manually if needed.');
+  if (!refreshLink && !uploadComplete) {
+    // Check for error messages
+    const errorMsg = document.querySelector('.import-error, .error-message, .alert-danger, .error, .plupload_error');
+    if (errorMsg && errorMsg.textContent.trim()) {
+      throw new Error(errorMsg.textContent.trim());
     }
 
+    // No success or error detected - don't auto-refresh, ask user
+    throw new Error('Import status unclear. Please check if changes applied and refresh manually if needed.');
+  }
+}
+
+// Tell the side panel the import went through and reload to show the new form
+async function finishImport(messageType) {
+  updateLoadingText('Refreshing page...');
+  chrome.runtime.sendMessage({ type: messageType });
+  currentExport = null;
+  await sleep(500);
+  window.location.reload();
+}
+
+function handleImportFailure(err) {
+  console.error('[Fluxx AI] Import failed:', err);
+
+  hideLoadingOverlay();
+
+  // Try to close any open modals
+  const closeBtn = document.querySelector('.modal .close, .close-reveal-modal, [data-dismiss="modal"]');
+  if (closeBtn) closeBtn.click();
+
+  chrome.runtime.sendMessage({
+    type: 'IMPORT_ERROR',
+    error: err.message
+  });
+}
+
+// Undo snapshots live in chrome.storage.local so they survive the reload after import
+function getUndoSnapshotKey(stencilId) {
+  return `undo_snapshot_${stencilId}`;
+}
+
+async function saveUndoSnapshot(exportData) {
+  const stencilId = exportData?.records?.Stencil?.[0]?.id;
+  if (!stencilId) return;
+
+  try {
+    await chrome.storage.local.set({
+      [getUndoSnapshotKey(stencilId)]: { export: exportData, savedAt: Date.now() }
+    });
   } catch (err) {
-    console.error('[Fluxx AI] Import failed:', err);
+    // A missing snapshot only disables undo - never fail the import over it
+    console.warn('[Fluxx AI] Could not save undo snapshot:', err);
+  }
+}
 
-    hideLoadingOverlay();
+async function loadUndoSnapshot(stencilId) {
+  if (!stencilId) return null;
+  const key = getUndoSnapshotKey(stencilId);
+  const stored = await chrome.storage.local.get(key);
+  return stored[key] || null;
+}
+
+async function clearUndoSnapshot(stencilId) {
+  await chrome.storage.local.remove(getUndoSnapshotKey(stencilId));
+}
+
+// Version history - newest first, capped per stencil to keep storage bounded
+const MAX_HISTORY_VERSIONS = 25;
+
+function getHistoryKey(stencilId) {
+  return `history_${stencilId}`;
+}
+
+async function loadHistory(stencilId) {
+  if (!stencilId) return [];
+  const key = getHistoryKey(stencilId);
+  const stored = await chrome.storage.local.get(key);
+  return stored[key] || [];
+}
 
-    // Try to close any open modals
-    const closeBtn = document.querySelector('.modal .close, .close-reveal-modal, [data-dismiss="modal"]');
-    if (closeBtn) closeBtn.click();
+async function recordHistoryVersion({ before, after, operations, prompt, report = null }) {
+  const stencilId = before?.records?.Stencil?.[0]?.id;
+  if (!stencilId) return;
 
-    chrome.runtime.sendMessage({
-      type: 'IMPORT_ERROR',
-      error: err.message
+  try {
+    const versions = await loadHistory(stencilId);
+    versions.unshift({
+      id: generateUid(),
+      savedAt: Date.now(),
+      prompt: prompt || null,
+      operations: operations || [],
+      report,
+      before,
+      after
+    });
+    await chrome.storage.local.set({
+      [getHistoryKey(stencilId)]: versions.slice(0, MAX_HISTORY_VERSIONS)
     });
+  } catch (err) {
+    // History is an audit aid - never fail the import over it
+    console.warn('[Fluxx AI] Could not record history version:', err);
   }
 }
 
@@ -772,6 +949,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     case 'APPLY_OPERATIONS':
       handleApplyOperations(message, sendResponse);
       return true;
+
+    case 'APPLY_AND_DOWNLOAD':
+      handleApplyAndDownload(message, sendResponse);
+      return false;
+
+    case 'UNDO_LAST_APPLY':
+      handleUndoLastApply(message, sendResponse);
+      return true;
+
+    case 'RESTORE_VERSION':
+      handleRestoreVersion(message, sendResponse);
+      return true;
+
+    case 'HIGHLIGHT_ELEMENT':
+      sendResponse({ found: highlightFormElement(message.uid, message.label, message.path || []) });
+      return false;
   }
 });
 
@@ -828,7 +1021,41 @@ async function handleRefreshExport(sendResponse) {
 
 async function handleApplyOperations(message, sendResponse) {
   try {
-    await applyAndUpload(message.operations, message.export);
+    await applyAndUpload(message.operations, message.export, {
+      prompt: message.prompt,
+      allowFailures: message.allowFailures,
+      allowLintErrors: message.allowLintErrors
+    });
+    sendResponse({ success: true });
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+function handleApplyAndDownload(message, sendResponse) {
+  try {
+    const { data, report } = applyForDownload(message.operations, message.export, {
+      allowFailures: message.allowFailures,
+      allowLintErrors: message.allowLintErrors
+    });
+    sendResponse({ success: true, data, report });
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+async function handleUndoLastApply(message, sendResponse) {
+  try {
+    await undoLastApply(message.stencilId);
+    sendResponse({ success: true });
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+async function handleRestoreVersion(message, sendResponse) {
+  try {
+    await restoreHistoryVersion(message.stencilId, message.versionId);
     sendResponse({ success: true });
   } catch (err) {
     sendResponse({ success: false, error: err.message });
@@ -857,6 +1084,54 @@ function hideIndicator() {
   }
 }
 
+// Form Element Highlight - reveal a search result in the form builder
+const HIGHLIGHT_CLASS = 'fluxx-ai-highlight';
+
+function findFormElementNode(uid, label, path) {
+  // The builder markup isn't documented, so try the usual places a uid ends up first
+  const escaped = CSS.escape(uid);
+  const byUid = document.querySelector(
+    `[data-uid="${escaped}"], [data-element-uid="${escaped}"], [data-id="${escaped}"], #${escaped}`
+  );
+  if (byUid) return byUid;
+
+  // Fall back to the innermost node showing the label, preferring one inside its groups
+  const wanted = String(label || '').trim().toLowerCase();
+  if (!wanted) return null;
+  const candidates = [...document.querySelectorAll('label, span, div, td, th, p, h1, h2, h3, h4, legend, a')]
+    .filter(node => !node.closest('#fluxx-ai-indicator, #fluxx-ai-loading-overlay'))
+    .filter(node => node.textContent.trim().toLowerCase() === wanted)
+    .filter(node => ![...node.children].some(child => child.textContent.trim().toLowerCase() === wanted));
+  if (candidates.length === 0) return null;
+
+  // Same label in several groups: prefer the node whose closest ancestors mention its groups
+  const groupLabels = path.map(p => String(p).trim().toLowerCase()).filter(Boolean);
+  const distance = (node) => groupLabels.reduce((total, group) => {
+    let depth = 0;
+    for (let parent = node.parentElement; parent && depth < 15; parent = parent.parentElement, depth++) {
+      if (parent.textContent.toLowerCase().includes(group)) return total + depth;
+    }
+    return total + 15;
+  }, 0);
+  return candidates.sort((a, b) => distance(a) - distance(b))[0];
+}
+
+function highlightFormElement(uid, label, path) {
+  const node = uid && findFormElementNode(uid, label, path);
+  if (!node) return false;
+
+  // Open collapsed <details> sections around it
+  for (let parent = node.parentElement; parent; parent = parent.parentElement) {
+    if (parent.tagName === 'DETAILS') parent.open = true;
+  }
+
+  document.querySelectorAll(`.${HIGHLIGHT_CLASS}`).forEach(el => el.classList.remove(HIGHLIGHT_CLASS));
+  node.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  node.classList.add(HIGHLIGHT_CLASS);
+  setTimeout(() => node.classList.remove(HIGHLIGHT_CLASS), 3000);
+  return true;
+}
+
 // Utilities
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -872,892 +1147,5 @@ async function waitForElement(selector, timeout = 10000) {
   return null;
 }
 
-// ============================================================
-// JSON Operations (inline from lib/json-ops.js for content script)
-// ============================================================
-
-function generateUid() {
-  return crypto.randomUUID();
-}
-
-function findElementByUid(elements, uid) {
-  for (const el of elements) {
-    if (el.uid === uid) return el;
-    if (el.elements) {
-      const found = findElementByUid(el.elements, uid);
-      if (found) return found;
-    }
-  }
-  return null;
-}
-
-function findParentOf(elements, uid, parent = null) {
-  for (let i = 0; i < elements.length; i++) {
-    const el = elements[i];
-    if (el.uid === uid) return { parent, array: elements, index: i };
-    if (el.elements) {
-      const found = findParentOf(el.elements, uid, el);
-      if (found) return found;
-    }
-  }
-  return null;
-}
-
-function createGroupElement(label, options = {}) {
-  const group = {
-    element_type: 'group',
-    name: 'group',
-    config: {
-      label: label,
-      show_in_toc: '0',
-      hide_label: '0',
-      collapsible: '0',
-      default_open: '0',
-      disable_lazy_load: '0',
-      reveal_if_type: 'show'
-    },
-    visibility: {
-      visible_form: true,
-      visible_show: true,
-      advanced_filter: '1',
-      advanced_query: '{"group_type":"and","conditions":[],"relationship_filter_model_type":"GrantRequest"}',
-      advanced_sort: '[]'
-    },
-    styling: { alignment: 'left' },
-    uid: generateUid(),
-    label: label,
-    elements: []
-  };
-
-  // Apply custom config
-  if (options.config) {
-    for (const [key, value] of Object.entries(options.config)) {
-      group.config[key] = value;
-    }
-  }
-
-  // Apply custom styling
-  if (options.styling) {
-    for (const [key, value] of Object.entries(options.styling)) {
-      group.styling[key] = value;
-    }
-  }
-
-  // Apply custom visibility
-  if (options.visibility) {
-    for (const [key, value] of Object.entries(options.visibility)) {
-      group.visibility[key] = value;
-    }
-  }
-
-  // Apply conditional visibility
-  if (options.conditional) {
-    if (options.conditional.field) {
-      group.config.reveal_if_attribute = options.conditional.field;
-    }
-    if (options.conditional.values) {
-      group.config.reveal_if_value = options.conditional.values;
-    }
-    if (options.conditional.type) {
-      group.config.reveal_if_type = options.conditional.type;
-    }
-  }
-
-  return group;
-}
-
-function createTextElement(html, options = {}) {
-  const text = {
-    element_type: 'text',
-    name: 'text',
-    config: {
-      text: html,
-      strip_html: '0',
-      allow_script: '0'
-    },
-    visibility: {
-      visible_form: true,
-      visible_show: true,
-      advanced_filter: '1',
-      advanced_query: '{"group_type":"and","conditions":[],"relationship_filter_model_type":"GrantRequest"}',
-      advanced_sort: '[]'
-    },
-    styling: { alignment: 'left' },
-    uid: generateUid()
-  };
-
-  // Apply custom styling
-  if (options.styling) {
-    for (const [key, value] of Object.entries(options.styling)) {
-      text.styling[key] = value;
-    }
-  }
-
-  // Apply custom visibility
-  if (options.visibility) {
-    for (const [key, value] of Object.entries(options.visibility)) {
-      text.visibility[key] = value;
-    }
-  }
-
-  return text;
-}
-
-function createAttributeElement(fieldName, label, options = {}) {
-  return {
-    element_type: 'attribute',
-    name: fieldName,
-    config: {
-      label: label,
-      required: options.required || false,
-      ...options.config
-    },
-    visibility: {
-      visible_form: true,
-      visible_show: true,
-      advanced_filter: '1',
-      advanced_query: '{"group_type":"and","conditions":[],"relationship_filter_model_type":"GrantRequest"}',
-      advanced_sort: '[]',
-      ...(options.visibility || {})
-    },
-    styling: { alignment: 'left' },
-    uid: generateUid(),
-    label: label
-  };
-}
-
-function createModelAttribute(name, description, attributeType = 'string', modelType = 'GrantRequest', options = {}) {
-  return {
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString(),
-    name: name,
-    description: description || name,
-    model_type: modelType,
-    attribute_type: attributeType,
-    multi_allowed: options.multi_allowed || false,
-    deleted_at: null,
-    value_model_type: null,
-    include_in_export: true,
-    include_in_fulltext_search: false,
-    api_style: 'full',
-    force_dropdown: false,
-    translatable: false,
-    model_type_enum: 98
-  };
-}
-
-function createModelAttributeValue(fieldName, value, displayOrder, modelType = 'GrantRequest') {
-  return {
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString(),
-    description: value,      // Display text
-    value: value,            // Stored value
-    display_order: displayOrder,
-    deleted_at: null,
-    migrate_id: null,
-    retired: false,
-    related_model_type: null,
-    related_model_id: null,
-    migrate_source_name: null,
-    lft_value: null,
-    rgt_value: null,
-    dep_value: null,
-    model_attributes: {
-      name: fieldName,
-      model_type: modelType
-    }
-  };
-}
-
-// Helper: Get regex patterns that match any shade of a color
-function getColorPatterns(colorName) {
-  const patterns = [];
-  const color = colorName.toLowerCase();
-
-  // CSS color keywords for each color family
-  const keywords = {
-    red: ['red', 'crimson', 'darkred', 'firebrick', 'indianred', 'maroon', 'brown'],
-    blue: ['blue', 'navy', 'darkblue', 'royalblue', 'steelblue', 'dodgerblue', 'cornflowerblue', 'deepskyblue', 'midnightblue'],
-    green: ['green', 'darkgreen', 'forestgreen', 'limegreen', 'seagreen', 'olive', 'teal'],
-    orange: ['orange', 'darkorange', 'coral', 'tomato', 'orangered'],
-    yellow: ['yellow', 'gold', 'khaki', 'goldenrod'],
-    purple: ['purple', 'violet', 'magenta', 'fuchsia', 'orchid', 'plum', 'indigo'],
-    gray: ['gray', 'grey', 'darkgray', 'darkgrey', 'lightgray', 'lightgrey', 'silver', 'dimgray', 'dimgrey'],
-    black: ['black'],
-    white: ['white', 'snow', 'ivory']
-  };
-
-  // Add keyword patterns
-  if (keywords[color]) {
-    for (const kw of keywords[color]) {
-      // Match color keyword in CSS (e.g., "color: red" or "color:red")
-      patterns.push(new RegExp(`(color\\s*:\\s*)${kw}\\b`, 'gi'));
-    }
-  }
-
-  // Add hex pattern that matches color range
-  // This regex will be replaced with a function-based approach
-  patterns.push({
-    type: 'hex',
-    color: color,
-    test: (hex) => isColorInFamily(hex, color)
-  });
-
-  // Add rgb pattern
-  patterns.push({
-    type: 'rgb',
-    color: color,
-    test: (r, g, b) => isRgbInFamily(r, g, b, color)
-  });
-
-  return patterns;
-}
-
-// Helper: Check if a hex color belongs to a color family
-function isColorInFamily(hex, family) {
-  // Parse hex to RGB
-  let r, g, b;
-  if (hex.length === 4) {
-    r = parseInt(hex[1] + hex[1], 16);
-    g = parseInt(hex[2] + hex[2], 16);
-    b = parseInt(hex[3] + hex[3], 16);
-  } else if (hex.length === 7) {
-    r = parseInt(hex.slice(1, 3), 16);
-    g = parseInt(hex.slice(3, 5), 16);
-    b = parseInt(hex.slice(5, 7), 16);
-  } else {
-    return false;
-  }
-  return isRgbInFamily(r, g, b, family);
-}
-
-// Helper: Check if RGB values belong to a color family
-function isRgbInFamily(r, g, b, family) {
-  const brightness = (r + g + b) / 3;
-  const max = Math.max(r, g, b);
-  const min = Math.min(r, g, b);
-  const saturation = max === 0 ? 0 : (max - min) / max;
-
-  switch (family) {
-    case 'red':
-      // Red: high red, low green, variable blue
-      return r > 150 && r > g * 1.5 && r > b * 1.2 && g < 150;
-    case 'blue':
-      // Blue: high blue, low red and green
-      return b > 150 && b > r * 1.3 && b > g * 1.1;
-    case 'green':
-      // Green: high green, low red and blue
-      return g > 150 && g > r * 1.2 && g > b * 1.2;
-    case 'orange':
-      // Orange: high red, medium green, low blue
-      return r > 180 && g > 80 && g < 180 && b < 100;
-    case 'yellow':
-      // Yellow: high red and green, low blue
-      return r > 180 && g > 180 && b < 120;
-    case 'purple':
-      // Purple: high red and blue, low green
-      return r > 100 && b > 100 && g < Math.min(r, b) * 0.8;
-    case 'gray':
-      // Gray: low saturation, medium brightness
-      return saturation < 0.2 && brightness > 50 && brightness < 220;
-    case 'black':
-      return brightness < 50;
-    case 'white':
-      return brightness > 220 && saturation < 0.1;
-    default:
-      return false;
-  }
-}
-
-// Helper: Get target color value
-function getTargetColor(colorName) {
-  const colors = {
-    red: '#cc0000',
-    blue: '#0066cc',
-    green: '#008800',
-    orange: '#ff6600',
-    yellow: '#ffcc00',
-    purple: '#9900cc',
-    gray: '#666666',
-    black: '#000000',
-    white: '#ffffff'
-  };
-  // If it's already a hex code, use it directly
-  if (colorName.startsWith('#')) {
-    return colorName;
-  }
-  return colors[colorName.toLowerCase()] || colorName;
-}
-
-// Helper: Replace colors in HTML string
-function replaceColorsInHtml(html, findColor, replaceColor) {
-  const targetColor = getTargetColor(replaceColor);
-  let result = html;
-
-  // Replace hex colors
-  result = result.replace(/#([0-9a-fA-F]{3}){1,2}\b/g, (match) => {
-    if (isColorInFamily(match, findColor)) {
-      return targetColor;
-    }
-    return match;
-  });
-
-  // Replace rgb/rgba colors
-  result = result.replace(/rgb(a?)\s*\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)([^)]*)\)/gi, (match, a, r, g, b, rest) => {
-    if (isRgbInFamily(parseInt(r), parseInt(g), parseInt(b), findColor)) {
-      // Convert target to rgb format if needed
-      if (targetColor.startsWith('#')) {
-        const tr = parseInt(targetColor.slice(1, 3), 16);
-        const tg = parseInt(targetColor.slice(3, 5), 16);
-        const tb = parseInt(targetColor.slice(5, 7), 16);
-        return a ? `rgba(${tr}, ${tg}, ${tb}${rest})` : `rgb(${tr}, ${tg}, ${tb})`;
-      }
-      return targetColor;
-    }
-    return match;
-  });
-
-  // Replace color keywords
-  const keywords = {
-    red: ['red', 'crimson', 'darkred', 'firebrick', 'indianred', 'maroon'],
-    blue: ['blue', 'navy', 'darkblue', 'royalblue', 'steelblue', 'dodgerblue'],
-    green: ['green', 'darkgreen', 'forestgreen', 'limegreen', 'seagreen'],
-    orange: ['orange', 'darkorange', 'coral', 'tomato'],
-    yellow: ['yellow', 'gold', 'khaki'],
-    purple: ['purple', 'violet', 'magenta', 'fuchsia'],
-    gray: ['gray', 'grey', 'darkgray', 'lightgray', 'silver'],
-  };
-
-  if (keywords[findColor]) {
-    for (const kw of keywords[findColor]) {
-      // Match in CSS context (after color: or background-color: etc.)
-      const regex = new RegExp(`((?:color|background-color|border-color)\\s*:\\s*)${kw}\\b`, 'gi');
-      result = result.replace(regex, `$1${targetColor}`);
-    }
-  }
-
-  return result;
-}
-
-function applyOperations(exportData, operations) {
-  if (!Array.isArray(operations)) {
-    throw new Error('Operations must be an array');
-  }
-
-  if (!exportData || !exportData.records || !exportData.records.Stencil || !exportData.records.Stencil[0]) {
-    throw new Error('Invalid export data structure');
-  }
-
-  const data = JSON.parse(JSON.stringify(exportData));
-
-  // Ensure json.elements exists
-  if (!data.records.Stencil[0].json) {
-    data.records.Stencil[0].json = { elements: [] };
-  }
-  if (!data.records.Stencil[0].json.elements) {
-    data.records.Stencil[0].json.elements = [];
-  }
-  const elements = data.records.Stencil[0].json.elements;
-
-  // Get the model type from the Stencil (e.g., 'GrantRequest', 'RequestReport', etc.)
-  const modelType = data.records.Stencil[0].model_type || 'GrantRequest';
-
-  // Ensure ModelAttribute array exists (some exports may not have it)
-  if (!data.records.ModelAttribute) {
-    data.records.ModelAttribute = [];
-  }
-  const modelAttrs = data.records.ModelAttribute;
-
-  // Ensure ModelAttributeValue array exists (for select field choices)
-  if (!data.records.ModelAttributeValue) {
-    data.records.ModelAttributeValue = [];
-  }
-  const modelAttrValues = data.records.ModelAttributeValue;
-
-  const allWorkflowStates = (data.records.MachineState || []).map(s => s.name);
-  const aliases = {};
-
-  for (const op of operations) {
-
-    // Resolve aliases (but handle $root specially)
-    let targetUid = op.after_uid || op.uid || op.target;
-    const isRoot = targetUid === '$root';
-    if (targetUid && targetUid.startsWith('$') && !isRoot) {
-      targetUid = aliases[targetUid.slice(1)];
-    }
-
-    if (op.type === 'add') {
-      let newElement;
-
-      if (op.element_type === 'group') {
-        newElement = createGroupElement(op.label, {
-          config: op.config,
-          styling: op.styling,
-          visibility: op.visibility,
-          conditional: op.conditional
-        });
-      } else if (op.element_type === 'text') {
-        newElement = createTextElement(op.content, {
-          styling: op.styling,
-          visibility: op.visibility
-        });
-      } else if (op.element_type === 'field') {
-        const existingAttr = modelAttrs.find(a => a.name === op.field_name);
-
-        // Handle select/multi_select field types
-        const isSelect = op.field_type === 'select';
-        const isMultiSelect = op.field_type === 'multi_select';
-
-        if (!existingAttr) {
-          if (isSelect || isMultiSelect) {
-            // Select fields use multi_value attribute type
-            modelAttrs.push(createModelAttribute(op.field_name, op.field_name, 'multi_value', modelType, {
-              multi_allowed: isMultiSelect
-            }));
-
-            // Note: ModelAttributeValue entries (choices) cannot be created via JSON import
-            // They need to be created via the Fluxx API separately
-            // Store choices info for potential API creation
-            if (op.choices && Array.isArray(op.choices)) {
-              op.choices.forEach((choice, index) => {
-                modelAttrValues.push(createModelAttributeValue(op.field_name, choice, index + 1, modelType));
-              });
-            }
-          } else {
-            modelAttrs.push(createModelAttribute(op.field_name, op.field_name, op.field_type || 'string', modelType));
-          }
-        }
-
-        newElement = createAttributeElement(op.field_name, op.label, {
-          required: op.required,
-          config: op.config,
-          visibility: op.visibility
-        });
-      }
-
-      if (newElement) {
-        if (op.alias) {
-          aliases[op.alias] = newElement.uid;
-        }
-
-        // Handle $root - add to top-level elements array
-        if (isRoot) {
-          if (op.position === 'inside') {
-            elements.push(newElement);
-          } else {
-            // "after $root" means append to end, "before $root" means prepend
-            if (op.position === 'before') {
-              elements.unshift(newElement);
-            } else {
-              elements.push(newElement);
-            }
-          }
-        } else if (op.position === 'inside' || op.position === 'inside_end') {
-          // Add to END of group's children
-          const target = findElementByUid(elements, targetUid);
-          if (target) {
-            target.elements = target.elements || [];
-            target.elements.push(newElement);
-          }
-        } else if (op.position === 'inside_start' || op.position === 'inside_top') {
-          // Add to START of group's children (top of group)
-          const target = findElementByUid(elements, targetUid);
-          if (target) {
-            target.elements = target.elements || [];
-            target.elements.unshift(newElement);
-          }
-        } else {
-          const result = findParentOf(elements, targetUid);
-          if (result && result.array) {
-            const idx = result.array.findIndex(e => e.uid === targetUid);
-            const insertIdx = op.position === 'before' ? idx : idx + 1;
-            result.array.splice(insertIdx, 0, newElement);
-          }
-        }
-      }
-
-    } else if (op.type === 'edit') {
-      const el = findElementByUid(elements, targetUid);
-      if (el) {
-        el.config = el.config || {};
-
-        // Label change
-        if (op.label) {
-          el.config.label = op.label;
-          if (el.label !== undefined) el.label = op.label;
-        }
-
-        // Required change (for fields)
-        if (op.required !== undefined) {
-          el.config.required = op.required;
-        }
-
-        // Read-only change (for fields) - uses visibility.read_only_states
-        if (op.read_only !== undefined || op.read_only_states !== undefined) {
-          el.visibility = el.visibility || {};
-          if (op.read_only_states && Array.isArray(op.read_only_states)) {
-            // Specific states provided
-            el.visibility.read_only_states = op.read_only_states;
-          } else if (op.read_only) {
-            // Make read-only in ALL workflow states
-            el.visibility.read_only_states = [...allWorkflowStates];
-          } else {
-            // Make editable - clear read_only_states
-            el.visibility.read_only_states = [];
-          }
-        }
-
-        // Text content change
-        if (op.content && el.element_type === 'text') {
-          el.config.text = op.content;
-        }
-
-        // Config options (show_in_toc, hide_label, collapsible, etc.)
-        if (op.config) {
-          if (op.config.show_in_toc !== undefined) {
-            el.config.show_in_toc = op.config.show_in_toc;
-          }
-          if (op.config.hide_label !== undefined) {
-            el.config.hide_label = op.config.hide_label;
-          }
-          if (op.config.collapsible !== undefined) {
-            el.config.collapsible = op.config.collapsible;
-          }
-          if (op.config.default_open !== undefined) {
-            el.config.default_open = op.config.default_open;
-          }
-          if (op.config.open_states !== undefined) {
-            el.config.open_states = op.config.open_states;
-          }
-          // Boolean field config (dropdown vs checkbox, custom labels)
-          if (op.config.widget_type !== undefined) {
-            el.config.widget_type = op.config.widget_type;
-          }
-          if (op.config.boolean_true_label !== undefined) {
-            el.config.boolean_true_label = op.config.boolean_true_label;
-          }
-          if (op.config.boolean_false_label !== undefined) {
-            el.config.boolean_false_label = op.config.boolean_false_label;
-          }
-          if (op.config.boolean_default !== undefined) {
-            el.config.boolean_default = op.config.boolean_default;
-          }
-        }
-
-        // Conditional visibility
-        if (op.conditional) {
-          if (op.conditional.field) {
-            el.config.reveal_if_attribute = op.conditional.field;
-          }
-          if (op.conditional.values) {
-            el.config.reveal_if_value = op.conditional.values;
-          }
-          if (op.conditional.type) {
-            el.config.reveal_if_type = op.conditional.type;
-          }
-        }
-
-        // Styling
-        if (op.styling) {
-          el.styling = el.styling || {};
-          for (const [key, value] of Object.entries(op.styling)) {
-            // For non-groups, only allow margin/padding properties
-            if (el.element_type !== 'group') {
-              const spacingProps = ['margin_top', 'margin_bottom', 'margin_left', 'margin_right',
-                                    'padding_top', 'padding_bottom', 'padding_left', 'padding_right', 'alignment'];
-              if (!spacingProps.includes(key)) continue;
-            }
-            el.styling[key] = value;
-          }
-        }
-
-        // Visibility/workflow state control
-        if (op.visibility) {
-          el.visibility = el.visibility || {};
-          if (op.visibility.visible_form !== undefined) {
-            el.visibility.visible_form = op.visibility.visible_form;
-          }
-          if (op.visibility.visible_show !== undefined) {
-            el.visibility.visible_show = op.visibility.visible_show;
-          }
-          if (op.visibility.visible_list !== undefined) {
-            el.visibility.visible_list = op.visibility.visible_list;
-          }
-          if (op.visibility.show_states !== undefined) {
-            el.visibility.show_states = op.visibility.show_states;
-          }
-          if (op.visibility.read_only_states !== undefined) {
-            el.visibility.read_only_states = op.visibility.read_only_states;
-          }
-          if (op.visibility.user_profile !== undefined) {
-            el.visibility.user_profile = op.visibility.user_profile;
-          }
-        }
-      }
-
-    } else if (op.type === 'move') {
-      let destUid = op.target;
-      if (destUid && destUid.startsWith('$')) {
-        destUid = aliases[destUid.slice(1)];
-      }
-
-      const srcResult = findParentOf(elements, targetUid);
-      if (srcResult && srcResult.array) {
-        const idx = srcResult.array.findIndex(e => e.uid === targetUid);
-        const [removed] = srcResult.array.splice(idx, 1);
-
-        if (op.position === 'inside' || op.position === 'inside_end') {
-          // Move to END of destination group's children
-          const dest = findElementByUid(elements, destUid);
-          if (dest) {
-            dest.elements = dest.elements || [];
-            dest.elements.push(removed);
-          }
-        } else if (op.position === 'inside_start' || op.position === 'inside_top') {
-          // Move to START of destination group's children
-          const dest = findElementByUid(elements, destUid);
-          if (dest) {
-            dest.elements = dest.elements || [];
-            dest.elements.unshift(removed);
-          }
-        } else {
-          const destResult = findParentOf(elements, destUid);
-          if (destResult && destResult.array) {
-            const destIdx = destResult.array.findIndex(e => e.uid === destUid);
-            const insertIdx = op.position === 'before' ? destIdx : destIdx + 1;
-            destResult.array.splice(insertIdx, 0, removed);
-          }
-        }
-      }
-
-    } else if (op.type === 'delete') {
-      const result = findParentOf(elements, targetUid);
-      if (result && result.array) {
-        const idx = result.array.findIndex(e => e.uid === targetUid);
-        if (idx !== -1) {
-          result.array.splice(idx, 1);
-        }
-      }
-
-    } else if (op.type === 'bulk_replace') {
-      // Bulk operations for multiple elements
-      const uids = op.uids || [];
-      const findColor = op.find_color;  // e.g., "red" - will match any red-ish color
-      const replaceColor = op.replace_color;  // e.g., "blue" or "#0066CC"
-      const findStr = op.find;
-      const replaceStr = op.replace;
-      const setRequired = op.set_required;  // true or false
-      const setReadOnly = op.set_read_only;  // true or false
-      const readOnlyStates = op.read_only_states;  // array of specific states
-      const setHidden = op.set_hidden;  // true or false
-      const setCollapsible = op.set_collapsible;  // true or false
-      const setShowInToc = op.set_show_in_toc;  // true or false
-      const setDefaultOpen = op.set_default_open;  // true or false
-      const setHideLabel = op.set_hide_label;  // true or false
-
-      for (const uid of uids) {
-        const el = findElementByUid(elements, uid);
-        if (!el) continue;
-
-        el.config = el.config || {};
-
-        // Set required on multiple fields
-        if (setRequired !== undefined) {
-          el.config.required = setRequired;
-        }
-
-        // Set read-only on multiple fields - uses visibility.read_only_states
-        if (setReadOnly !== undefined || readOnlyStates !== undefined) {
-          el.visibility = el.visibility || {};
-          if (readOnlyStates && Array.isArray(readOnlyStates)) {
-            // Specific states provided
-            el.visibility.read_only_states = readOnlyStates;
-          } else if (setReadOnly) {
-            // Make read-only in ALL workflow states
-            el.visibility.read_only_states = [...allWorkflowStates];
-          } else {
-            // Make editable - clear read_only_states
-            el.visibility.read_only_states = [];
-          }
-        }
-
-        // Set hidden on multiple elements (affects both edit and view visibility)
-        if (setHidden !== undefined) {
-          el.visibility = el.visibility || {};
-          el.visibility.visible_form = !setHidden;
-          el.visibility.visible_show = !setHidden;
-        }
-
-        // Set collapsible on groups
-        if (setCollapsible !== undefined && el.element_type === 'group') {
-          el.config.collapsible = setCollapsible;
-        }
-
-        // Set show_in_toc on groups
-        if (setShowInToc !== undefined && el.element_type === 'group') {
-          el.config.show_in_toc = setShowInToc;
-        }
-
-        // Set default_open on groups
-        if (setDefaultOpen !== undefined && el.element_type === 'group') {
-          el.config.default_open = setDefaultOpen;
-        }
-
-        // Set hide_label on elements
-        if (setHideLabel !== undefined) {
-          el.config.hide_label = setHideLabel;
-        }
-
-        // Color-aware replacement (matches hex, rgb, and keywords)
-        if (el.config.text && findColor && replaceColor) {
-          el.config.text = replaceColorsInHtml(el.config.text, findColor, replaceColor);
-        }
-        // Literal string replacement
-        else if (el.config.text && findStr && replaceStr) {
-          const regex = new RegExp(findStr.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
-          el.config.text = el.config.text.replace(regex, replaceStr);
-        }
-      }
-
-    } else if (op.type === 'replace_subtree') {
-      // Complex structural operation - insert or replace entire subtree
-      const targetUid = op.target_uid;
-      const position = op.position || 'after';
-      let newStructure = op.structure;
-
-      if (!newStructure) {
-        console.warn('replace_subtree: no structure provided');
-        continue;
-      }
-
-      // Deep clone and regenerate all UIDs to ensure uniqueness
-      function regenerateUids(el) {
-        el.uid = generateUid();
-        if (el.elements && Array.isArray(el.elements)) {
-          el.elements.forEach(regenerateUids);
-        }
-        return el;
-      }
-
-      newStructure = regenerateUids(JSON.parse(JSON.stringify(newStructure)));
-
-      if (position === 'replace') {
-        // Replace the target element with new structure
-        const result = findParentOf(elements, targetUid);
-        if (result && result.array) {
-          const idx = result.array.findIndex(e => e.uid === targetUid);
-          if (idx !== -1) {
-            result.array.splice(idx, 1, newStructure);
-          }
-        }
-      } else {
-        // Insert before or after the target
-        const result = findParentOf(elements, targetUid);
-        if (result && result.array) {
-          const idx = result.array.findIndex(e => e.uid === targetUid);
-          if (idx !== -1) {
-            const insertIdx = position === 'before' ? idx : idx + 1;
-            result.array.splice(insertIdx, 0, newStructure);
-          }
-        }
-      }
-
-    } else if (op.type === 'clone_subtree') {
-      // Clone a subtree with transformations - backend does the heavy lifting
-      const sourceUid = op.source_uid;
-      const position = op.position || 'after';
-      const labelFind = op.label_find;
-      const labelReplace = op.label_replace;
-      const fieldSuffix = op.field_suffix || '';
-
-      // Find the source element
-      const sourceEl = findElementByUid(elements, sourceUid);
-      if (!sourceEl) {
-        console.warn('clone_subtree: source element not found');
-        continue;
-      }
-
-      // Deep clone
-      let cloned = JSON.parse(JSON.stringify(sourceEl));
-
-      // Apply transformations recursively
-      function transformElement(el) {
-        // Regenerate UID
-        el.uid = generateUid();
-
-        // Transform labels
-        if (labelFind && labelReplace) {
-          if (el.config?.label) {
-            el.config.label = el.config.label.replace(new RegExp(labelFind.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), labelReplace);
-          }
-          if (el.label) {
-            el.label = el.label.replace(new RegExp(labelFind.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), labelReplace);
-          }
-        }
-
-        // Add suffix to field names (attribute elements)
-        if (fieldSuffix && el.element_type === 'attribute' && el.name) {
-          el.name = el.name + fieldSuffix;
-        }
-
-        // Recurse into children
-        if (el.elements && Array.isArray(el.elements)) {
-          el.elements.forEach(transformElement);
-        }
-      }
-
-      transformElement(cloned);
-
-      // Create ModelAttribute entries for any new field names (when suffix applied)
-      if (fieldSuffix) {
-        function collectFieldNames(el) {
-          const names = [];
-          if (el.element_type === 'attribute' && el.name) {
-            names.push(el.name);
-          }
-          if (el.elements) {
-            for (const child of el.elements) {
-              names.push(...collectFieldNames(child));
-            }
-          }
-          return names;
-        }
-
-        const newFieldNames = collectFieldNames(cloned);
-        for (const fieldName of newFieldNames) {
-          const exists = modelAttrs.find(a => a.name === fieldName);
-          if (!exists) {
-            modelAttrs.push(createModelAttribute(fieldName, fieldName, 'string'));
-          }
-        }
-      }
-
-      // Insert the cloned element
-      const result = findParentOf(elements, sourceUid);
-      if (result && result.array) {
-        const idx = result.array.findIndex(e => e.uid === sourceUid);
-        if (idx !== -1) {
-          const insertIdx = position === 'before' ? idx : idx + 1;
-          result.array.splice(insertIdx, 0, cloned);
-        }
-      }
-    }
-  }
-
-  // Update the form view name with current timestamp
-  if (data.name) {
-    const now = new Date();
-    const timestamp = now.toISOString().replace('T', ' ').substring(0, 19);
-    // Replace "Default" with timestamp, or append timestamp if no "Default"
-    if (data.name.includes('Default')) {
-      data.name = data.name.replace('Default', timestamp);
-    } else {
-      data.name = data.name + ' ' + timestamp;
-    }
-  }
-
-  return data;
-}
-
 // Start
 init();
@@ -0,0 +1,171 @@
+/**
+ * Fluxx AI Options Page
+ *
+ * Edits the backend settings stored in chrome.storage.sync.
+ */
+
+import {
+  DEFAULT_SETTINGS,
+  loadSettings,
+  saveSettings,
+  resetSettings,
+  getEndpointOrigins,
+  getCustomDomainPatterns,
+  normalizeDomain,
+  parseHeaderLines,
+  formatHeaderLines
+} from '../shared/settings.js';
+
+// DOM Elements
+const elements = {
+  apiEndpoint: document.getElementById('apiEndpoint'),
+  generateFormEndpoint: document.getElementById('generateFormEndpoint'),
+  documentUpload: document.getElementById('documentUpload'),
+  timeoutSeconds: document.getElementById('timeoutSeconds'),
+  maxRetries: document.getElementById('maxRetries'),
+  headers: document.getElementById('headers'),
+  customDomains: document.getElementById('customDomains'),
+  brandPalette: document.getElementById('brandPalette'),
+  saveBtn: document.getElementById('saveBtn'),
+  resetBtn: document.getElementById('resetBtn'),
+  saveStatus: document.getElementById('saveStatus')
+};
+
+// Host patterns the extension holds, and the ones the saved settings already asked for
+let grantedOrigins = new Set();
+let requestedOrigins = new Set();
+
+function getSettingsOrigins(settings) {
+  return [...getEndpointOrigins(settings), ...getCustomDomainPatterns(settings)];
+}
+
+async function init() {
+  const settings = await loadSettings();
+  fillForm(settings);
+  requestedOrigins = new Set(getSettingsOrigins(settings));
+  grantedOrigins = new Set((await chrome.permissions.getAll()).origins || []);
+
+  elements.saveBtn.addEventListener('click', save);
+  elements.resetBtn.addEventListener('click', reset);
+}
+
+function fillForm(settings) {
+  elements.apiEndpoint.value = settings.apiEndpoint;
+  elements.generateFormEndpoint.value = settings.generateFormEndpoint;
+  elements.documentUpload.value = settings.documentUpload;
+  elements.timeoutSeconds.value = settings.timeoutSeconds;
+  elements.maxRetries.value = settings.maxRetries;
+  elements.headers.value = formatHeaderLines(settings.headers);
+  elements.customDomains.value = (settings.customDomains || []).join('\n');
+  elements.brandPalette.value = (settings.brandPalette || []).join('\n');
+}
+
+function showStatus(text, type = '') {
+  elements.saveStatus.textContent = text;
+  elements.saveStatus.className = `save-status ${type}`;
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (e) {
+    return false;
+  }
+}
+
+// Hex, rgb(), hsl() and named colors - the notations json-ops can parse
+function isValidColor(value) {
+  return /^(#[0-9a-f]{3,8}|(rgba?|hsla?)\(.*\)|[a-z]+)$/i.test(value) &&
+    CSS.supports('color', value) &&
+    !/^(transparent|currentcolor|inherit|initial|unset)$/i.test(value);
+}
+
+// Read the form, marking invalid inputs. Returns { settings, errors }
+function readForm() {
+  const errors = [];
+  const mark = (input, valid, message) => {
+    input.classList.toggle('invalid', !valid);
+    if (!valid) errors.push(message);
+  };
+
+  const apiEndpoint = elements.apiEndpoint.value.trim();
+  const generateFormEndpoint = elements.generateFormEndpoint.value.trim();
+  mark(elements.apiEndpoint, isHttpUrl(apiEndpoint), 'Chat endpoint must be an http(s) URL');
+  mark(elements.generateFormEndpoint, isHttpUrl(generateFormEndpoint), 'Document generation endpoint must be an http(s) URL');
+
+  const documentUpload = elements.documentUpload.value;
+
+  const timeoutSeconds = Number(elements.timeoutSeconds.value);
+  mark(elements.timeoutSeconds, Number.isInteger(timeoutSeconds) && timeoutSeconds >= 5 && timeoutSeconds <= 600, 'Timeout must be between 5 and 600 seconds');
+
+  const maxRetries = Number(elements.maxRetries.value);
+  mark(elements.maxRetries, Number.isInteger(maxRetries) && maxRetries >= 0 && maxRetries <= 5, 'Retries must be between 0 and 5');
+
+  const { headers, errors: headerErrors } = parseHeaderLines(elements.headers.value);
+  mark(elements.headers, headerErrors.length === 0, `Custom headers: ${headerErrors.join(', ')}`);
+
+  const domainLines = elements.customDomains.value.split('\n').map(line => line.trim()).filter(Boolean);
+  const customDomains = [...new Set(domainLines.map(normalizeDomain).filter(Boolean))];
+  const badDomains = domainLines.filter(line => !normalizeDomain(line));
+  mark(elements.customDomains, badDomains.length === 0, `Not a valid domain: ${badDomains.join(', ')}`);
+
+  const brandPalette = elements.brandPalette.value.split('\n').map(line => line.trim()).filter(Boolean);
+  const badColors = brandPalette.filter(line => !isValidColor(line));
+  mark(elements.brandPalette, badColors.length === 0, `Not a recognized color: ${badColors.join(', ')}`);
+
+  return {
+    settings: { apiEndpoint, generateFormEndpoint, documentUpload, timeoutSeconds, maxRetries, headers, customDomains, brandPalette },
+    errors
+  };
+}
+
+function save() {
+  const { settings, errors } = readForm();
+  if (errors.length > 0) {
+    showStatus(errors[0], 'error');
+    return;
+  }
+
+  // Host access for a self-hosted backend and custom Fluxx domains has to be
+  // requested inside the click gesture. Only new hosts are asked for, so saving
+  // unchanged settings doesn't prompt again for access that was declined.
+  const origins = getSettingsOrigins(settings);
+  const newOrigins = origins.filter(origin => !grantedOrigins.has(origin) && !requestedOrigins.has(origin));
+  if (newOrigins.length === 0) {
+    finishSave(settings, origins);
+    return;
+  }
+
+  chrome.permissions.request({ origins: newOrigins }, (granted) => {
+    void chrome.runtime.lastError;
+    if (granted) newOrigins.forEach(origin => grantedOrigins.add(origin));
+    finishSave(settings, origins);
+  });
+}
+
+async function finishSave(settings, origins) {
+  // Backends without host access still work if they allow cross-origin requests;
+  // custom domains stay inactive until access is granted
+  await saveSettings(settings);
+  requestedOrigins = new Set(origins);
+  const granted = origins.every(origin => grantedOrigins.has(origin));
+  if (granted) {
+    showStatus('Settings saved.');
+  } else if (settings.customDomains.length > 0) {
+    showStatus('Settings saved, but host access was not granted. Custom Fluxx domains stay inactive and the backend must allow cross-origin requests from the extension.', 'warning');
+  } else {
+    showStatus('Settings saved. Host access was not granted, so the backend must allow cross-origin requests from the extension.', 'warning');
+  }
+}
+
+async function reset() {
+  if (!confirm('Reset all settings to their defaults?')) return;
+  await resetSettings();
+  fillForm(DEFAULT_SETTINGS);
+  requestedOrigins = new Set(getSettingsOrigins(DEFAULT_SETTINGS));
+  document.querySelectorAll('.invalid').forEach(input => input.classList.remove('invalid'));
+  showStatus('Settings reset to defaults.');
+}
+
+init();
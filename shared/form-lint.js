@@ -0,0 +1,145 @@
+/**
+ * Fluxx Form Linter
+ *
+ * Checks a Stencil export for broken references and structural problems.
+ * Loaded as a classic script after json-ops.js (whose query helpers it uses) so
+ * the side panel's "Check Form" and the content script's pre-upload check share
+ * one set of rules.
+ *
+ * Each issue is { severity: 'error'|'warning', code, uid, message, key } where
+ * key identifies the same problem across two versions of a form.
+ */
+
+function lintExport(data) {
+  const issues = [];
+  const records = data?.records || {};
+  const elements = records.Stencil?.[0]?.json?.elements || [];
+
+  const attributeNames = new Set((records.ModelAttribute || []).map(a => a.name));
+  const modelType = records.Stencil?.[0]?.model_type;
+  const stateNames = new Set((records.MachineState || []).map(s => s.name));
+
+  // Choices per attribute name, for checking reveal_if_value
+  const choicesByAttribute = new Map();
+  for (const value of records.ModelAttributeValue || []) {
+    const name = value.model_attributes?.name;
+    if (!name) continue;
+    if (!choicesByAttribute.has(name)) choicesByAttribute.set(name, new Set());
+    choicesByAttribute.get(name).add(String(value.value));
+  }
+
+  // First pass: collect uids and the fields placed on the form
+  const uidCounts = new Map();
+  const formFields = new Set();
+  const all = [];
+  (function collect(list) {
+    for (const el of list) {
+      if (!el) continue;
+      all.push(el);
+      if (el.uid) uidCounts.set(el.uid, (uidCounts.get(el.uid) || 0) + 1);
+      if (el.element_type === 'attribute' && el.name) formFields.add(el.name);
+      if (Array.isArray(el.elements)) collect(el.elements);
+    }
+  })(elements);
+
+  function report(severity, code, el, message, detail = '') {
+    issues.push({
+      severity,
+      code,
+      uid: el?.uid || null,
+      message,
+      key: `${code}:${el?.uid || ''}:${detail}`
+    });
+  }
+
+  for (const [uid, count] of uidCounts) {
+    if (count > 1) {
+      report('error', 'duplicate_uid', { uid }, `uid ${uid} is used by ${count} elements`);
+    }
+  }
+
+  for (const el of all) {
+    const label = lintElementLabel(el);
+
+    if (el.element_type === 'attribute' && el.name && !attributeNames.has(el.name)) {
+      report('error', 'missing_model_attribute', el, `${label}: field "${el.name}" has no ModelAttribute`, el.name);
+    }
+
+    if (el.element_type === 'group' && (!Array.isArray(el.elements) || el.elements.length === 0)) {
+      report('warning', 'empty_group', el, `${label}: group is empty`);
+    }
+
+    const revealField = el.config?.reveal_if_attribute;
+    if (revealField) {
+      if (!formFields.has(revealField)) {
+        report('error', 'missing_reveal_field', el, `${label}: shown based on "${revealField}", which is not on the form`, revealField);
+      }
+
+      // Only attributes with defined choices can be checked
+      const choices = choicesByAttribute.get(revealField);
+      const values = [].concat(el.config.reveal_if_value ?? []);
+      if (choices) {
+        for (const value of values) {
+          if (value === '' || value === null) continue;
+          if (!choices.has(String(value))) {
+            report('error', 'invalid_reveal_value', el, `${label}: "${value}" is not a choice of "${revealField}"`, `${revealField}=${value}`);
+          }
+        }
+      }
+    }
+
+    // Multi-condition visibility (advanced_query); empty queries are the default and skipped
+    const query = parseAdvancedQuery(el.visibility?.advanced_query);
+    const conditions = flattenQueryConditions(query);
+    if (conditions.length > 0) {
+      if (modelType && query.relationship_filter_model_type && query.relationship_filter_model_type !== modelType) {
+        report('warning', 'query_model_mismatch', el, `${label}: visibility query targets ${query.relationship_filter_model_type}, but this form is for ${modelType}`);
+      }
+      for (const condition of conditions) {
+        const field = condition.attribute;
+        if (attributeNames.size > 0 && !attributeNames.has(field)) {
+          report('error', 'invalid_query_field', el, `${label}: visibility query uses "${field}", which has no ModelAttribute`, field);
+          continue;
+        }
+        const choices = choicesByAttribute.get(field);
+        if (!choices || !['eq', 'not_eq', 'in', 'not_in'].includes(condition.operator)) continue;
+        for (const value of [].concat(condition.value ?? [])) {
+          if (!choices.has(String(value))) {
+            report('error', 'invalid_query_value', el, `${label}: visibility query compares "${field}" with "${value}", which is not one of its choices`, `${field}=${value}`);
+          }
+        }
+      }
+    }
+
+    // Forms without MachineState records can't be checked for state names
+    if (stateNames.size > 0) {
+      for (const key of ['show_states', 'read_only_states']) {
+        const states = el.visibility?.[key];
+        if (!Array.isArray(states)) continue;
+        for (const name of states) {
+          if (!stateNames.has(name)) {
+            report('error', 'unknown_state', el, `${label}: ${key} names unknown state "${name}"`, `${key}=${name}`);
+          }
+        }
+      }
+    }
+  }
+
+  return issues;
+}
+
+// Issues present in `after` that were not already in `before`
+function findNewLintIssues(before, after) {
+  const existing = new Set(lintExport(before).map(issue => issue.key));
+  return lintExport(after).filter(issue => !existing.has(issue.key));
+}
+
+function hasLintErrors(issues) {
+  return issues.some(issue => issue.severity === 'error');
+}
+
+function lintElementLabel(el) {
+  const label = el.config?.label || el.label;
+  if (label) return `"${String(label).replace(/<[^>]*>/g, '').trim()}"`;
+  return `${el.element_type || 'element'} ${el.uid || ''}`.trim();
+}
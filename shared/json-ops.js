@@ -0,0 +1,1682 @@
+/**
+ * Fluxx JSON Operations
+ *
+ * Applies operation lists to a Stencil export. Loaded as a classic script so the
+ * same engine runs in two places:
+ * 1. Content script (listed before fluxx-bridge.js) - applies changes before import
+ * 2. Side panel (plain <script> before sidepanel.js) - local previews and diffs
+ */
+
+function generateUid() {
+  return crypto.randomUUID();
+}
+
+function findElementByUid(elements, uid) {
+  for (const el of elements) {
+    if (el.uid === uid) return el;
+    if (el.elements) {
+      const found = findElementByUid(el.elements, uid);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+function findParentOf(elements, uid, parent = null) {
+  for (let i = 0; i < elements.length; i++) {
+    const el = elements[i];
+    if (el.uid === uid) return { parent, array: elements, index: i };
+    if (el.elements) {
+      const found = findParentOf(el.elements, uid, el);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+// Helper: advanced_query of an element without conditions, scoped to the stencil's model
+function emptyAdvancedQuery(modelType = 'GrantRequest') {
+  return JSON.stringify({ group_type: 'and', conditions: [], relationship_filter_model_type: modelType });
+}
+
+function createGroupElement(label, options = {}) {
+  const group = {
+    element_type: 'group',
+    name: 'group',
+    config: {
+      label: label,
+      show_in_toc: '0',
+      hide_label: '0',
+      collapsible: '0',
+      default_open: '0',
+      disable_lazy_load: '0',
+      reveal_if_type: 'show'
+    },
+    visibility: {
+      visible_form: true,
+      visible_show: true,
+      advanced_filter: '1',
+      advanced_query: emptyAdvancedQuery(options.modelType),
+      advanced_sort: '[]'
+    },
+    styling: { alignment: 'left' },
+    uid: generateUid(),
+    label: label,
+    elements: []
+  };
+
+  // Apply custom config
+  if (options.config) {
+    for (const [key, value] of Object.entries(options.config)) {
+      group.config[key] = value;
+    }
+  }
+
+  // Apply custom styling
+  if (options.styling) {
+    for (const [key, value] of Object.entries(options.styling)) {
+      group.styling[key] = value;
+    }
+  }
+
+  // Apply custom visibility
+  if (options.visibility) {
+    for (const [key, value] of Object.entries(options.visibility)) {
+      group.visibility[key] = value;
+    }
+  }
+
+  // Apply conditional visibility
+  if (options.conditional) {
+    if (options.conditional.field) {
+      group.config.reveal_if_attribute = options.conditional.field;
+    }
+    if (options.conditional.values) {
+      group.config.reveal_if_value = options.conditional.values;
+    }
+    if (options.conditional.type) {
+      group.config.reveal_if_type = options.conditional.type;
+    }
+  }
+
+  return group;
+}
+
+function createTextElement(html, options = {}) {
+  const text = {
+    element_type: 'text',
+    name: 'text',
+    config: {
+      text: html,
+      strip_html: '0',
+      allow_script: '0'
+    },
+    visibility: {
+      visible_form: true,
+      visible_show: true,
+      advanced_filter: '1',
+      advanced_query: emptyAdvancedQuery(options.modelType),
+      advanced_sort: '[]'
+    },
+    styling: { alignment: 'left' },
+    uid: generateUid()
+  };
+
+  // Apply custom styling
+  if (options.styling) {
+    for (const [key, value] of Object.entries(options.styling)) {
+      text.styling[key] = value;
+    }
+  }
+
+  // Apply custom visibility
+  if (options.visibility) {
+    for (const [key, value] of Object.entries(options.visibility)) {
+      text.visibility[key] = value;
+    }
+  }
+
+  return text;
+}
+
+function createAttributeElement(fieldName, label, options = {}) {
+  return {
+    element_type: 'attribute',
+    name: fieldName,
+    config: {
+      label: label,
+      required: options.required || false,
+      ...options.config
+    },
+    visibility: {
+      visible_form: true,
+      visible_show: true,
+      advanced_filter: '1',
+      advanced_query: emptyAdvancedQuery(options.modelType),
+      advanced_sort: '[]',
+      ...(options.visibility || {})
+    },
+    styling: { alignment: 'left' },
+    uid: generateUid(),
+    label: label
+  };
+}
+
+function createModelAttribute(name, description, attributeType = 'string', modelType = 'GrantRequest', options = {}) {
+  return {
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    name: name,
+    description: description || name,
+    model_type: modelType,
+    attribute_type: attributeType,
+    multi_allowed: options.multi_allowed || false,
+    deleted_at: null,
+    value_model_type: null,
+    include_in_export: true,
+    include_in_fulltext_search: false,
+    api_style: 'full',
+    force_dropdown: false,
+    translatable: false,
+    model_type_enum: 98
+  };
+}
+
+function createModelAttributeValue(fieldName, value, displayOrder, modelType = 'GrantRequest') {
+  return {
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    description: value,      // Display text
+    value: value,            // Stored value
+    display_order: displayOrder,
+    deleted_at: null,
+    migrate_id: null,
+    retired: false,
+    related_model_type: null,
+    related_model_id: null,
+    migrate_source_name: null,
+    lft_value: null,
+    rgt_value: null,
+    dep_value: null,
+    model_attributes: {
+      name: fieldName,
+      model_type: modelType
+    }
+  };
+}
+
+// CSS named colors (CSS Color Module Level 4)
+const CSS_NAMED_COLORS = {
+  aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4', azure: '#f0ffff',
+  beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000', blanchedalmond: '#ffebcd', blue: '#0000ff',
+  blueviolet: '#8a2be2', brown: '#a52a2a', burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00',
+  chocolate: '#d2691e', coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+  cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b', darkgray: '#a9a9a9',
+  darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b', darkmagenta: '#8b008b', darkolivegreen: '#556b2f',
+  darkorange: '#ff8c00', darkorchid: '#9932cc', darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f',
+  darkslateblue: '#483d8b', darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3',
+  deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969', dodgerblue: '#1e90ff',
+  firebrick: '#b22222', floralwhite: '#fffaf0', forestgreen: '#228b22', fuchsia: '#ff00ff', gainsboro: '#dcdcdc',
+  ghostwhite: '#f8f8ff', gold: '#ffd700', goldenrod: '#daa520', gray: '#808080', green: '#008000',
+  greenyellow: '#adff2f', grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+  indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa', lavenderblush: '#fff0f5',
+  lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6', lightcoral: '#f08080', lightcyan: '#e0ffff',
+  lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3', lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1',
+  lightsalmon: '#ffa07a', lightseagreen: '#20b2aa', lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+  lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32', linen: '#faf0e6',
+  magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa', mediumblue: '#0000cd', mediumorchid: '#ba55d3',
+  mediumpurple: '#9370db', mediumseagreen: '#3cb371', mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc',
+  mediumvioletred: '#c71585', midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5',
+  navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6', olive: '#808000', olivedrab: '#6b8e23',
+  orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6', palegoldenrod: '#eee8aa', palegreen: '#98fb98',
+  paleturquoise: '#afeeee', palevioletred: '#db7093', papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f',
+  pink: '#ffc0cb', plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399',
+  red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1', saddlebrown: '#8b4513', salmon: '#fa8072',
+  sandybrown: '#f4a460', seagreen: '#2e8b57', seashell: '#fff5ee', sienna: '#a0522d', silver: '#c0c0c0',
+  skyblue: '#87ceeb', slateblue: '#6a5acd', slategray: '#708090', slategrey: '#708090', snow: '#fffafa',
+  springgreen: '#00ff7f', steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8',
+  tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee', wheat: '#f5deb3', white: '#ffffff',
+  whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32'
+};
+
+// Named colors that belong to a family even when their RGB values fall outside its range
+const COLOR_FAMILY_KEYWORDS = {
+  red: ['red', 'crimson', 'darkred', 'firebrick', 'indianred', 'maroon', 'brown'],
+  blue: ['blue', 'navy', 'darkblue', 'royalblue', 'steelblue', 'dodgerblue', 'cornflowerblue', 'deepskyblue', 'midnightblue', 'mediumblue'],
+  green: ['green', 'darkgreen', 'forestgreen', 'limegreen', 'seagreen', 'olive', 'teal'],
+  orange: ['orange', 'darkorange', 'coral', 'tomato', 'orangered'],
+  yellow: ['yellow', 'gold', 'khaki', 'goldenrod'],
+  purple: ['purple', 'violet', 'magenta', 'fuchsia', 'orchid', 'plum', 'indigo', 'rebeccapurple'],
+  pink: ['pink', 'hotpink', 'deeppink', 'lightpink', 'palevioletred', 'mediumvioletred'],
+  brown: ['brown', 'saddlebrown', 'sienna', 'chocolate', 'peru', 'maroon', 'tan'],
+  cyan: ['cyan', 'aqua', 'turquoise', 'darkturquoise', 'darkcyan', 'lightseagreen', 'teal'],
+  gray: ['gray', 'grey', 'darkgray', 'darkgrey', 'lightgray', 'lightgrey', 'silver', 'dimgray', 'dimgrey', 'slategray', 'slategrey'],
+  black: ['black'],
+  white: ['white', 'snow', 'ivory', 'whitesmoke', 'ghostwhite']
+};
+
+// Replacement values for family names used as a target color
+const FAMILY_TARGET_COLORS = {
+  red: '#cc0000',
+  blue: '#0066cc',
+  green: '#008800',
+  orange: '#ff6600',
+  yellow: '#ffcc00',
+  purple: '#9900cc',
+  pink: '#e91e63',
+  brown: '#8b4513',
+  cyan: '#00aaaa',
+  gray: '#666666',
+  black: '#000000',
+  white: '#ffffff'
+};
+
+// Shorthand properties whose value can carry the longhand's color
+const COLOR_PROPERTY_SHORTHANDS = {
+  'background-color': ['background'],
+  'border-color': ['border', 'border-top', 'border-right', 'border-bottom', 'border-left'],
+  'outline-color': ['outline'],
+  'text-decoration-color': ['text-decoration']
+};
+
+// Legacy HTML attributes (common in content pasted from Word) and the property they stand for
+const COLOR_ATTRIBUTES = {
+  color: 'color',
+  bgcolor: 'background-color'
+};
+
+// Hex, rgb()/rgba() and hsl()/hsla() values - named colors are only matched in
+// color properties and attributes
+const COLOR_FUNCTION_PATTERN = /#(?:[0-9a-fA-F]{8}|[0-9a-fA-F]{6}|[0-9a-fA-F]{3,4})\b|\b(?:rgba?|hsla?)\s*\([^)]*\)/gi;
+const COLOR_TOKEN_PATTERN = new RegExp(`${COLOR_FUNCTION_PATTERN.source}|\\b(?:${Object.keys(CSS_NAMED_COLORS).join('|')})\\b`, 'gi');
+
+// CSS properties whose values can name a color; elsewhere a word like "Crimson"
+// or "Gold" is part of something else, such as a font name
+const NAMED_COLOR_PROPERTY_PATTERN = /^(?:color|background(?:-color)?|border(?:-(?:top|right|bottom|left))?(?:-color)?|outline(?:-color)?|text-decoration(?:-color)?|fill|stroke|box-shadow|text-shadow)$/;
+
+// Helper: Convert HSL (h in degrees, s/l in 0-1) to RGB
+function hslToRgb(h, s, l) {
+  const k = (n) => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return [f(0), f(8), f(4)].map(v => Math.round(v * 255));
+}
+
+// Helper: Convert RGB (0-255) to HSL (h in degrees, s/l in 0-1)
+function rgbToHsl(r, g, b) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l };
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return { h: h * 60, s, l };
+}
+
+/**
+ * Helper: Parse a CSS color value (hex, rgb/rgba, hsl/hsla or a named color).
+ * Returns { r, g, b, a, format, name } or null when the value is not a color.
+ */
+function parseColor(value) {
+  const text = String(value || '').trim().toLowerCase();
+
+  if (CSS_NAMED_COLORS[text]) {
+    return { ...parseColor(CSS_NAMED_COLORS[text]), format: 'named', name: text };
+  }
+
+  const hex = text.match(/^#([0-9a-f]{3,8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length === 3 || digits.length === 4) digits = digits.split('').map(d => d + d).join('');
+    if (digits.length !== 6 && digits.length !== 8) return null;
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1,
+      format: 'hex'
+    };
+  }
+
+  const fn = text.match(/^(rgba?|hsla?)\s*\(([^)]*)\)$/);
+  if (!fn) return null;
+
+  // Accept both "r, g, b, a" and "r g b / a"
+  const parts = fn[2].split(/\s*[,/]\s*|\s+/).filter(Boolean);
+  if (parts.length < 3) return null;
+  const alphaPart = parts[3];
+  const a = alphaPart === undefined ? 1 : (alphaPart.endsWith('%') ? parseFloat(alphaPart) / 100 : parseFloat(alphaPart));
+  if (Number.isNaN(a)) return null;
+
+  if (fn[1].startsWith('rgb')) {
+    const [r, g, b] = parts.slice(0, 3).map(p => (p.endsWith('%') ? parseFloat(p) * 2.55 : parseFloat(p)));
+    if ([r, g, b].some(Number.isNaN)) return null;
+    return { r: Math.round(r), g: Math.round(g), b: Math.round(b), a, format: 'rgb' };
+  }
+
+  const h = parseFloat(parts[0]) * (parts[0].endsWith('turn') ? 360 : 1);
+  const s = parseFloat(parts[1]) / 100;
+  const l = parseFloat(parts[2]) / 100;
+  if ([h, s, l].some(Number.isNaN)) return null;
+  const [r, g, b] = hslToRgb(((h % 360) + 360) % 360, s, l);
+  return { r, g, b, a, format: 'hsl' };
+}
+
+function toHex({ r, g, b }) {
+  return '#' + [r, g, b].map(v => Math.max(0, Math.min(255, v)).toString(16).padStart(2, '0')).join('');
+}
+
+// Helper: Write a color in the notation of the value it replaces, keeping that value's alpha
+function formatColorLike(original, target) {
+  const alpha = original.a < 1 ? Math.round(original.a * 1000) / 1000 : null;
+  switch (original.format) {
+    case 'rgb':
+      return alpha !== null ? `rgba(${target.r}, ${target.g}, ${target.b}, ${alpha})` : `rgb(${target.r}, ${target.g}, ${target.b})`;
+    case 'hsl': {
+      const { h, s, l } = rgbToHsl(target.r, target.g, target.b);
+      const hsl = `${Math.round(h)}, ${Math.round(s * 100)}%, ${Math.round(l * 100)}%`;
+      return alpha !== null ? `hsla(${hsl}, ${alpha})` : `hsl(${hsl})`;
+    }
+    case 'named':
+      return target.name || toHex(target);
+    default:
+      return toHex(target);
+  }
+}
+
+// Helper: Check if RGB values belong to a color family
+function isRgbInFamily(r, g, b, family) {
+  const brightness = (r + g + b) / 3;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const saturation = max === 0 ? 0 : (max - min) / max;
+  const { h, s, l } = rgbToHsl(r, g, b);
+
+  switch (family) {
+    case 'red':
+      // Red: high red, low green, variable blue
+      return r > 150 && r > g * 1.5 && r > b * 1.2 && g < 150;
+    case 'blue':
+      // Blue: high blue, low red and green
+      return b > 150 && b > r * 1.3 && b > g * 1.1;
+    case 'green':
+      // Green: high green, low red and blue
+      return g > 150 && g > r * 1.2 && g > b * 1.2;
+    case 'orange':
+      // Orange: high red, medium green, low blue
+      return r > 180 && g > 80 && g < 180 && b < 100;
+    case 'yellow':
+      // Yellow: high red and green, low blue
+      return r > 180 && g > 180 && b < 120;
+    case 'purple':
+      // Purple: high red and blue, low green
+      return r > 100 && b > 100 && g < Math.min(r, b) * 0.8;
+    case 'pink':
+      // Pink: red-magenta hues that are light or strongly saturated
+      return (h >= 320 || h < 10) && s > 0.4 && l > 0.55;
+    case 'brown':
+      // Brown: dark orange hues
+      return h >= 10 && h < 45 && s > 0.2 && l > 0.15 && l < 0.45;
+    case 'cyan':
+      // Cyan: blue-green hues
+      return h >= 165 && h < 200 && s > 0.3 && l > 0.2 && l < 0.85;
+    case 'gray':
+      // Gray: low saturation, medium brightness
+      return saturation < 0.2 && brightness > 50 && brightness < 220;
+    case 'black':
+      return brightness < 50;
+    case 'white':
+      return brightness > 220 && saturation < 0.1;
+    default:
+      return false;
+  }
+}
+
+// Helper: Check if a parsed color belongs to a family, by its values or its name
+function isColorInFamily(color, family) {
+  if (!color) return false;
+  if (color.name && COLOR_FAMILY_KEYWORDS[family]?.includes(color.name)) return true;
+  return isRgbInFamily(color.r, color.g, color.b, family);
+}
+
+/**
+ * Helper: Build a test for the colors `findColor` refers to.
+ * mode 'family' matches any shade of a family name ("red"); 'exact' matches the
+ * same color in any notation ("#f00" also matches "red" and "hsl(0, 100%, 50%)").
+ * Without a mode, family names match by family and everything else exactly.
+ */
+function getColorMatcher(findColor, mode) {
+  const name = String(findColor || '').trim().toLowerCase();
+  const useFamily = mode ? mode === 'family' : Boolean(COLOR_FAMILY_KEYWORDS[name]);
+
+  if (useFamily) {
+    if (!COLOR_FAMILY_KEYWORDS[name]) return null;
+    return (color) => isColorInFamily(color, name);
+  }
+
+  const wanted = parseColor(name);
+  if (!wanted) return null;
+  return (color) => Boolean(color) && color.r === wanted.r && color.g === wanted.g &&
+    color.b === wanted.b && Math.abs(color.a - wanted.a) < 0.01;
+}
+
+// Helper: Get target color value
+function getTargetColor(colorName) {
+  const name = String(colorName || '').trim();
+  return FAMILY_TARGET_COLORS[name.toLowerCase()] || name;
+}
+
+/**
+ * Helper: Visit every color in an HTML string. `transform(color, token)` gets the
+ * parsed color and its source text and returns a replacement, or null to keep it.
+ * options.property - CSS property name(s) to restrict to, e.g. 'background-color';
+ *   shorthands such as `background` are included
+ * Only style attributes, <style> blocks and color/bgcolor attributes are
+ * visited - never text, links or ids, where "#fab" is not a color. Named colors
+ * are only matched in color properties, so a "Crimson Text" font stays as is.
+ */
+function transformColorsInHtml(html, transform, options = {}) {
+  const properties = options.property ? [].concat(options.property).map(p => p.trim().toLowerCase()) : null;
+  const allowedProperties = properties && new Set(properties.flatMap(p => [p, ...(COLOR_PROPERTY_SHORTHANDS[p] || [])]));
+
+  const replaceTokens = (text, pattern) => text.replace(pattern, (token) => {
+    const color = parseColor(token);
+    if (!color) return token;
+    const replacement = transform(color, token);
+    return replacement === null || replacement === undefined ? token : replacement;
+  });
+
+  // Declarations inside a style attribute or <style> block; url(...) values are left alone
+  const replaceInCss = (css) => css.replace(/(^|[;{\s])([a-z-]+)(\s*:\s*)([^;{}]*)/gi, (all, lead, prop, sep, value) => {
+    const name = prop.toLowerCase();
+    if (allowedProperties && !allowedProperties.has(name)) return all;
+    const pattern = NAMED_COLOR_PROPERTY_PATTERN.test(name) ? COLOR_TOKEN_PATTERN : COLOR_FUNCTION_PATTERN;
+    const parts = value.split(/(url\([^)]*\))/i);
+    return lead + prop + sep + parts.map((part, i) => (i % 2 === 1 ? part : replaceTokens(part, pattern))).join('');
+  });
+
+  const replaceInTag = (tag) => tag.replace(/(\b([\w-]+)\s*=\s*)(?:(["'])([\s\S]*?)\3|([^\s"'>]+))/g, (all, attr, name, quote = '', quoted, bare) => {
+    const attrName = name.toLowerCase();
+    const value = quoted ?? bare;
+    if (attrName === 'style') return attr + quote + replaceInCss(value) + quote;
+    if (COLOR_ATTRIBUTES[attrName]) {
+      if (allowedProperties && !allowedProperties.has(COLOR_ATTRIBUTES[attrName])) return all;
+      return attr + quote + replaceTokens(value, COLOR_TOKEN_PATTERN) + quote;
+    }
+    return all;
+  });
+
+  return String(html).replace(/(<style\b[^>]*>)([\s\S]*?)(<\/style>)|(<[^>]*>)|([^<]+)/gi, (all, open, css, close, tag, text) => {
+    if (open !== undefined) return replaceInTag(open) + replaceInCss(css) + close;
+    if (tag !== undefined) return replaceInTag(tag);
+    return text;
+  });
+}
+
+/**
+ * Helper: Replace colors in HTML string.
+ * options.match - 'family' or 'exact' (see getColorMatcher)
+ * options.property - restrict to CSS properties (see transformColorsInHtml)
+ */
+function replaceColorsInHtml(html, findColor, replaceColor, options = {}) {
+  const matches = getColorMatcher(findColor, options.match);
+  const targetValue = getTargetColor(replaceColor);
+  const target = parseColor(targetValue);
+  if (!matches || !target) return html;
+
+  return transformColorsInHtml(html, (color) => {
+    if (!matches(color)) return null;
+    return color.format === 'named' ? targetValue : formatColorLike(color, target);
+  }, { property: options.property });
+}
+
+// Helper: Convert RGB to CIE Lab, for perceptual color distance
+function rgbToLab({ r, g, b }) {
+  const linear = (v) => {
+    v /= 255;
+    return v > 0.04045 ? Math.pow((v + 0.055) / 1.055, 2.4) : v / 12.92;
+  };
+  const [lr, lg, lb] = [linear(r), linear(g), linear(b)];
+  const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+  const y = lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+  const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+  const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  return { l: 116 * f(y) - 16, a: 500 * (f(x) - f(y)), b: 200 * (f(y) - f(z)) };
+}
+
+// Helper: Distance between two colors (CIE76 delta E - about 2.3 is barely noticeable)
+function colorDistance(c1, c2) {
+  const a = rgbToLab(c1);
+  const b = rgbToLab(c2);
+  return Math.sqrt((a.l - b.l) ** 2 + (a.a - b.a) ** 2 + (a.b - b.b) ** 2);
+}
+
+// Helper: Closest palette color - returns { color, distance }
+function findNearestColor(color, palette) {
+  let best = null;
+  for (const candidate of palette) {
+    const distance = colorDistance(color, candidate);
+    if (!best || distance < best.distance) best = { color: candidate, distance };
+  }
+  return best;
+}
+
+// Helper: Black, white and grays - left alone by palette normalization unless asked
+function isNeutralColor({ r, g, b }) {
+  const { s, l } = rgbToHsl(r, g, b);
+  return s < 0.1 || l < 0.05 || l > 0.97;
+}
+
+// Helper: Styling keys that hold colors (background_color, border_color, ...)
+function isColorStylingKey(key) {
+  return /colou?r/i.test(key);
+}
+
+/**
+ * Every distinct color used in text HTML and element styling.
+ * Returns [{ hex, count, labels, uids, values }] sorted by count, where values
+ * are the notations the color was written in.
+ */
+function collectColorUsage(exportData) {
+  const usage = new Map();
+  const record = (color, token, el) => {
+    const hex = color.a < 1 ? `${toHex(color)}${Math.round(color.a * 255).toString(16).padStart(2, '0')}` : toHex(color);
+    if (!usage.has(hex)) usage.set(hex, { hex, color, count: 0, labels: new Set(), uids: new Set(), values: new Set() });
+    const entry = usage.get(hex);
+    entry.count++;
+    entry.values.add(String(token).trim());
+    if (el.uid) entry.uids.add(el.uid);
+    const label = el.config?.label || el.label || (el.element_type === 'text' ? 'Text' : el.element_type);
+    if (label) entry.labels.add(String(label).replace(/<[^>]*>/g, '').trim());
+  };
+
+  (function walk(list) {
+    for (const el of list || []) {
+      if (!el) continue;
+      if (typeof el.config?.text === 'string') {
+        transformColorsInHtml(el.config.text, (color, token) => {
+          record(color, token, el);
+          return null;
+        });
+      }
+      for (const [key, value] of Object.entries(el.styling || {})) {
+        const color = isColorStylingKey(key) && parseColor(value);
+        if (color) record(color, value, el);
+      }
+      walk(el.elements);
+    }
+  })(exportData?.records?.Stencil?.[0]?.json?.elements);
+
+  return [...usage.values()]
+    .map(entry => ({ ...entry, labels: [...entry.labels], uids: [...entry.uids], values: [...entry.values] }))
+    .sort((a, b) => b.count - a.count);
+}
+
+// Fields bulk_replace find/replace can target
+const REPLACE_FIELDS = ['text', 'label', 'description'];
+
+/**
+ * Helper: Build the RegExp for a bulk_replace find.
+ * Literal finds are escaped and case-insensitive; with regex: true, `find` is a
+ * pattern and `flags` (default 'i') apply. whole_word keeps matches from
+ * starting or ending inside a word. Throws on an invalid pattern.
+ */
+function buildFindRegex(find, { regex = false, flags, wholeWord = false } = {}) {
+  let source = regex ? find : find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  // Word characters include accented Latin letters, so "Année" isn't split at "é"
+  if (wholeWord) source = `(?<![\\w\\u00C0-\\u024F])(?:${source})(?![\\w\\u00C0-\\u024F])`;
+
+  const flagSet = new Set(String(regex && flags !== undefined ? flags : 'i').split(''));
+  flagSet.add('g');
+  // 'y' would anchor every search at lastIndex, which never makes sense here
+  flagSet.delete('y');
+  return new RegExp(source, [...flagSet].join(''));
+}
+
+// Helper: Replace every match in a string - returns { value, count }.
+// Regex replacements may use $1 / $<name>; literal ones are inserted as-is.
+function replaceMatches(value, pattern, replacement, useGroups) {
+  const count = (value.match(pattern) || []).length;
+  if (count === 0) return { value, count };
+  return { value: value.replace(pattern, useGroups ? replacement : () => replacement), count };
+}
+
+// Keys a `select` query may use
+const SELECTOR_KEYS = [
+  'element_type', 'within', 'label', 'text', 'name',
+  'required', 'collapsible', 'has_conditional', 'hidden', 'read_only', 'state'
+];
+
+// Helper: Fluxx stores flags as '1'/'0' strings or booleans
+function isFlagSet(value) {
+  return value === true || value === 1 || value === '1' || value === 'true';
+}
+
+function stripTags(html) {
+  return String(html || '').replace(/<[^>]*>/g, '').trim();
+}
+
+/**
+ * Evaluate a `select` query against the element tree. Every given key must match:
+ *   element_type    - 'group' | 'attribute' | 'text' (or an array of them)
+ *   within          - ancestor group uid or label (case-insensitive), or an array of them
+ *   label / text / name - case-insensitive regex on the label, text HTML or field name
+ *   required, collapsible, has_conditional, hidden, read_only - true or false
+ *   state           - workflow state the element is shown in
+ * `resolveUid` maps "$alias" references in `within`. Returns matching uids in
+ * document order; throws on unknown keys or invalid patterns.
+ */
+function selectElements(elements, select, resolveUid = uid => uid) {
+  if (!select || typeof select !== 'object' || Array.isArray(select)) {
+    throw new Error('select must be an object');
+  }
+  const unknown = Object.keys(select).filter(key => !SELECTOR_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`unknown select key${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')}`);
+  }
+
+  const pattern = (key) => {
+    if (select[key] === undefined) return null;
+    try {
+      return new RegExp(select[key], 'i');
+    } catch (e) {
+      throw new Error(`invalid ${key} pattern: ${e.message}`);
+    }
+  };
+  const labelPattern = pattern('label');
+  const textPattern = pattern('text');
+  const namePattern = pattern('name');
+  const types = select.element_type === undefined ? null : [].concat(select.element_type);
+  const within = select.within === undefined ? null : [].concat(select.within).map(ref => {
+    const resolved = String(ref).startsWith('$') ? resolveUid(ref) : ref;
+    return { uid: resolved, label: stripTags(ref).toLowerCase() };
+  });
+
+  const matches = (el, ancestors) => {
+    const config = el.config || {};
+    const visibility = el.visibility || {};
+    const readOnlyStates = Array.isArray(visibility.read_only_states) ? visibility.read_only_states : [];
+    const showStates = Array.isArray(visibility.show_states) ? visibility.show_states : [];
+    const flags = {
+      required: isFlagSet(config.required),
+      collapsible: isFlagSet(config.collapsible),
+      has_conditional: Boolean(config.reveal_if_attribute),
+      hidden: visibility.visible_form === false,
+      read_only: readOnlyStates.length > 0
+    };
+
+    if (types && !types.includes(el.element_type)) return false;
+    if (within && !ancestors.some(a => within.some(w => a.uid === w.uid || stripTags(a.config?.label || a.label).toLowerCase() === w.label))) return false;
+    if (labelPattern && !labelPattern.test(stripTags(config.label || el.label))) return false;
+    if (textPattern && !textPattern.test(config.text || '')) return false;
+    if (namePattern && !(el.element_type === 'attribute' && namePattern.test(el.name || ''))) return false;
+    for (const [key, value] of Object.entries(flags)) {
+      if (select[key] !== undefined && Boolean(select[key]) !== value) return false;
+    }
+    if (select.state !== undefined && showStates.length > 0 && !showStates.includes(select.state)) return false;
+    return true;
+  };
+
+  const uids = [];
+  (function walk(list, ancestors) {
+    for (const el of list || []) {
+      if (!el) continue;
+      if (el.uid && matches(el, ancestors)) uids.push(el.uid);
+      if (Array.isArray(el.elements)) walk(el.elements, [...ancestors, el]);
+    }
+  })(elements, []);
+  return uids;
+}
+
+// Comparison operators an advanced_query condition may use, and how they read
+const QUERY_OPERATORS = {
+  eq: '=', not_eq: '≠', gt: '>', gte: '≥', lt: '<', lte: '≤',
+  in: 'is one of', not_in: 'is not one of', contains: 'contains',
+  blank: 'is blank', not_blank: 'is not blank'
+};
+const VALUELESS_QUERY_OPERATORS = ['blank', 'not_blank'];
+const LIST_QUERY_OPERATORS = ['in', 'not_in'];
+const MAX_QUERY_DEPTH = 5;
+
+/**
+ * Validate an advanced_query condition tree and return it in stored form:
+ *   { group_type: 'and'|'or', conditions: [condition | group] }
+ *   condition: { attribute, operator, value } - value is omitted for blank /
+ *   not_blank and is an array for in / not_in
+ * `attributeNames` (a Set) restricts conditions to fields on the model.
+ * Throws on anything that can't be stored.
+ */
+function normalizeAdvancedQuery(tree, attributeNames = null, depth = 0) {
+  if (!tree || typeof tree !== 'object' || Array.isArray(tree)) {
+    throw new Error('query must be an object with group_type and conditions');
+  }
+  const groupType = String(tree.group_type || 'and').toLowerCase();
+  if (groupType !== 'and' && groupType !== 'or') {
+    throw new Error(`group_type must be "and" or "or", not "${tree.group_type}"`);
+  }
+  if (!Array.isArray(tree.conditions)) throw new Error('conditions must be an array');
+  if (depth >= MAX_QUERY_DEPTH) throw new Error(`groups can be nested at most ${MAX_QUERY_DEPTH} levels deep`);
+
+  const conditions = tree.conditions.map(condition => {
+    if (condition && typeof condition === 'object' && condition.conditions !== undefined) {
+      return normalizeAdvancedQuery(condition, attributeNames, depth + 1);
+    }
+    if (!condition || typeof condition !== 'object') throw new Error('each condition must be an object');
+
+    const attribute = String(condition.attribute || '').trim();
+    if (!attribute) throw new Error('condition has no attribute');
+    if (attributeNames && !attributeNames.has(attribute)) throw new Error(`"${attribute}" is not a field on this model`);
+
+    const operator = condition.operator || 'eq';
+    if (!QUERY_OPERATORS[operator]) {
+      throw new Error(`unknown operator "${operator}" (use ${Object.keys(QUERY_OPERATORS).join(', ')})`);
+    }
+    if (VALUELESS_QUERY_OPERATORS.includes(operator)) return { attribute, operator };
+
+    if (LIST_QUERY_OPERATORS.includes(operator)) {
+      const values = [].concat(condition.value ?? []).map(String).filter(value => value !== '');
+      if (values.length === 0) throw new Error(`condition on "${attribute}" needs at least one value`);
+      return { attribute, operator, value: values };
+    }
+    if (condition.value === undefined || condition.value === null || condition.value === '' || Array.isArray(condition.value)) {
+      throw new Error(`condition on "${attribute}" needs a single value`);
+    }
+    return { attribute, operator, value: condition.value };
+  });
+
+  return { group_type: groupType, conditions };
+}
+
+// Helper: an element's stored advanced_query as an object, or null if missing or unreadable
+function parseAdvancedQuery(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  try {
+    const query = JSON.parse(value);
+    return query && typeof query === 'object' ? query : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Helper: every comparison in a condition tree, flattened
+function flattenQueryConditions(query) {
+  const found = [];
+  (function walk(group) {
+    for (const condition of group?.conditions || []) {
+      if (!condition) continue;
+      if (Array.isArray(condition.conditions)) walk(condition);
+      else found.push(condition);
+    }
+  })(query);
+  return found;
+}
+
+// "amount > 50000 and (program = Health or program is blank)"
+function describeAdvancedQuery(query, labelFor = name => name) {
+  const describe = (group, nested) => {
+    const parts = (group?.conditions || []).map(condition => {
+      if (!condition) return '';
+      if (Array.isArray(condition.conditions)) return describe(condition, true);
+      const value = Array.isArray(condition.value) ? condition.value.join(', ') : condition.value;
+      const operator = QUERY_OPERATORS[condition.operator] || condition.operator;
+      return `${labelFor(condition.attribute)} ${operator}${value === undefined ? '' : ` ${value}`}`;
+    }).filter(Boolean);
+    const text = parts.join(group.group_type === 'or' ? ' or ' : ' and ');
+    return nested && parts.length > 1 ? `(${text})` : text;
+  };
+  return describe(query, false);
+}
+
+/**
+ * Apply an operation list to a copy of an export.
+ * Returns { data, report } - report has one entry per operation:
+ *   { index, type, status: 'applied'|'skipped'|'failed', reason }
+ */
+function applyOperations(exportData, operations) {
+  if (!Array.isArray(operations)) {
+    throw new Error('Operations must be an array');
+  }
+
+  if (!exportData || !exportData.records || !exportData.records.Stencil || !exportData.records.Stencil[0]) {
+    throw new Error('Invalid export data structure');
+  }
+
+  const data = JSON.parse(JSON.stringify(exportData));
+
+  // Ensure json.elements exists
+  if (!data.records.Stencil[0].json) {
+    data.records.Stencil[0].json = { elements: [] };
+  }
+  if (!data.records.Stencil[0].json.elements) {
+    data.records.Stencil[0].json.elements = [];
+  }
+  const elements = data.records.Stencil[0].json.elements;
+
+  // Get the model type from the Stencil (e.g., 'GrantRequest', 'RequestReport', etc.)
+  const modelType = data.records.Stencil[0].model_type || 'GrantRequest';
+
+  // Ensure ModelAttribute array exists (some exports may not have it)
+  if (!data.records.ModelAttribute) {
+    data.records.ModelAttribute = [];
+  }
+  const modelAttrs = data.records.ModelAttribute;
+
+  // Ensure ModelAttributeValue array exists (for select field choices)
+  if (!data.records.ModelAttributeValue) {
+    data.records.ModelAttributeValue = [];
+  }
+  const modelAttrValues = data.records.ModelAttributeValue;
+
+  const allWorkflowStates = (data.records.MachineState || []).map(s => s.name);
+  const aliases = {};
+  const report = [];
+
+  function fail(entry, reason) {
+    entry.status = 'failed';
+    entry.reason = reason;
+  }
+
+  // Resolve "$alias" references to the uid of an element added earlier in this run
+  function resolveAlias(uid, entry) {
+    if (!uid || !uid.startsWith('$') || uid === '$root') return uid;
+    const resolved = aliases[uid.slice(1)];
+    if (!resolved) {
+      fail(entry, `alias ${uid} undefined`);
+      return null;
+    }
+    return resolved;
+  }
+
+  // Stored advanced_query for a condition tree on this stencil's model.
+  // null or an empty conditions list clears the rule.
+  function advancedQueryString(query) {
+    if (query === null) return emptyAdvancedQuery(modelType);
+    // Exports without ModelAttribute records can't be checked for field names
+    const attributeNames = modelAttrs.length > 0 ? new Set(modelAttrs.map(a => a.name)) : null;
+    const normalized = normalizeAdvancedQuery(query, attributeNames);
+    if (normalized.conditions.length === 0) return emptyAdvancedQuery(modelType);
+    return JSON.stringify({ ...normalized, relationship_filter_model_type: modelType });
+  }
+
+  function setAdvancedQuery(el, queryString) {
+    el.visibility = el.visibility || {};
+    el.visibility.advanced_filter = '1';
+    el.visibility.advanced_query = queryString;
+  }
+
+  function applyOperation(op, entry) {
+    if (!op || typeof op !== 'object') {
+      fail(entry, 'operation is not an object');
+      return;
+    }
+
+    // Resolve aliases (but handle $root specially)
+    const rawTargetUid = op.after_uid || op.uid || op.target;
+    const isRoot = rawTargetUid === '$root';
+    const targetUid = resolveAlias(rawTargetUid, entry);
+    if (rawTargetUid && !targetUid) return;
+
+    if (op.type === 'add') {
+      let newElement;
+      // New fields and choices are only recorded once the element is in the tree
+      const newAttrs = [];
+      const newAttrValues = [];
+
+      if (op.element_type === 'group') {
+        newElement = createGroupElement(op.label, {
+          config: op.config,
+          styling: op.styling,
+          visibility: op.visibility,
+          conditional: op.conditional,
+          modelType
+        });
+      } else if (op.element_type === 'text') {
+        newElement = createTextElement(op.content, {
+          styling: op.styling,
+          visibility: op.visibility,
+          modelType
+        });
+      } else if (op.element_type === 'field') {
+        const existingAttr = modelAttrs.find(a => a.name === op.field_name);
+
+        // Handle select/multi_select field types
+        const isSelect = op.field_type === 'select';
+        const isMultiSelect = op.field_type === 'multi_select';
+
+        if (!existingAttr) {
+          if (isSelect || isMultiSelect) {
+            // Select fields use multi_value attribute type
+            newAttrs.push(createModelAttribute(op.field_name, op.field_name, 'multi_value', modelType, {
+              multi_allowed: isMultiSelect
+            }));
+
+            // Note: ModelAttributeValue entries (choices) cannot be created via JSON import
+            // They need to be created via the Fluxx API separately
+            // Store choices info for potential API creation
+            if (op.choices && Array.isArray(op.choices)) {
+              op.choices.forEach((choice, index) => {
+                newAttrValues.push(createModelAttributeValue(op.field_name, choice, index + 1, modelType));
+              });
+            }
+          } else {
+            newAttrs.push(createModelAttribute(op.field_name, op.field_name, op.field_type || 'string', modelType));
+          }
+        }
+
+        newElement = createAttributeElement(op.field_name, op.label, {
+          required: op.required,
+          config: op.config,
+          visibility: op.visibility,
+          modelType
+        });
+      }
+
+      if (!newElement) {
+        fail(entry, `unknown element_type "${op.element_type}"`);
+        return;
+      }
+      if (op.advanced_query !== undefined) {
+        try {
+          setAdvancedQuery(newElement, advancedQueryString(op.advanced_query));
+        } catch (err) {
+          fail(entry, `invalid advanced_query: ${err.message}`);
+          return;
+        }
+      }
+      if (!isRoot && !targetUid) {
+        fail(entry, 'no target uid given');
+        return;
+      }
+
+      // Handle $root - add to top-level elements array
+      if (isRoot) {
+        if (op.position === 'inside') {
+          elements.push(newElement);
+        } else {
+          // "after $root" means append to end, "before $root" means prepend
+          if (op.position === 'before') {
+            elements.unshift(newElement);
+          } else {
+            elements.push(newElement);
+          }
+        }
+      } else if (op.position === 'inside' || op.position === 'inside_end') {
+        // Add to END of group's children
+        const target = findElementByUid(elements, targetUid);
+        if (!target) {
+          fail(entry, `target uid ${targetUid} not found`);
+          return;
+        }
+        target.elements = target.elements || [];
+        target.elements.push(newElement);
+      } else if (op.position === 'inside_start' || op.position === 'inside_top') {
+        // Add to START of group's children (top of group)
+        const target = findElementByUid(elements, targetUid);
+        if (!target) {
+          fail(entry, `target uid ${targetUid} not found`);
+          return;
+        }
+        target.elements = target.elements || [];
+        target.elements.unshift(newElement);
+      } else {
+        const result = findParentOf(elements, targetUid);
+        if (!result || !result.array) {
+          fail(entry, `target uid ${targetUid} not found`);
+          return;
+        }
+        const insertIdx = op.position === 'before' ? result.index : result.index + 1;
+        result.array.splice(insertIdx, 0, newElement);
+      }
+
+      modelAttrs.push(...newAttrs);
+      modelAttrValues.push(...newAttrValues);
+
+      // Only register the alias once the element is actually in the tree
+      if (op.alias) {
+        aliases[op.alias] = newElement.uid;
+      }
+
+    } else if (op.type === 'edit') {
+      const el = findElementByUid(elements, targetUid);
+      if (!el) {
+        fail(entry, targetUid ? `target uid ${targetUid} not found` : 'no target uid given');
+        return;
+      }
+      el.config = el.config || {};
+
+      // Validate the condition tree before changing anything else
+      let advancedQuery = null;
+      if (op.advanced_query !== undefined) {
+        try {
+          advancedQuery = advancedQueryString(op.advanced_query);
+        } catch (err) {
+          fail(entry, `invalid advanced_query: ${err.message}`);
+          return;
+        }
+      }
+
+      // Label change
+      if (op.label) {
+        el.config.label = op.label;
+        if (el.label !== undefined) el.label = op.label;
+      }
+
+      // Required change (for fields)
+      if (op.required !== undefined) {
+        el.config.required = op.required;
+      }
+
+      // Read-only change (for fields) - uses visibility.read_only_states
+      if (op.read_only !== undefined || op.read_only_states !== undefined) {
+        el.visibility = el.visibility || {};
+        if (op.read_only_states && Array.isArray(op.read_only_states)) {
+          // Specific states provided
+          el.visibility.read_only_states = op.read_only_states;
+        } else if (op.read_only) {
+          // Make read-only in ALL workflow states
+          el.visibility.read_only_states = [...allWorkflowStates];
+        } else {
+          // Make editable - clear read_only_states
+          el.visibility.read_only_states = [];
+        }
+      }
+
+      // Text content change
+      if (op.content && el.element_type === 'text') {
+        el.config.text = op.content;
+      }
+
+      // Config options (show_in_toc, hide_label, collapsible, etc.)
+      if (op.config) {
+        if (op.config.show_in_toc !== undefined) {
+          el.config.show_in_toc = op.config.show_in_toc;
+        }
+        if (op.config.hide_label !== undefined) {
+          el.config.hide_label = op.config.hide_label;
+        }
+        if (op.config.collapsible !== undefined) {
+          el.config.collapsible = op.config.collapsible;
+        }
+        if (op.config.default_open !== undefined) {
+          el.config.default_open = op.config.default_open;
+        }
+        if (op.config.open_states !== undefined) {
+          el.config.open_states = op.config.open_states;
+        }
+        // Boolean field config (dropdown vs checkbox, custom labels)
+        if (op.config.widget_type !== undefined) {
+          el.config.widget_type = op.config.widget_type;
+        }
+        if (op.config.boolean_true_label !== undefined) {
+          el.config.boolean_true_label = op.config.boolean_true_label;
+        }
+        if (op.config.boolean_false_label !== undefined) {
+          el.config.boolean_false_label = op.config.boolean_false_label;
+        }
+        if (op.config.boolean_default !== undefined) {
+          el.config.boolean_default = op.config.boolean_default;
+        }
+      }
+
+      // Conditional visibility
+      if (op.conditional) {
+        if (op.conditional.field) {
+          el.config.reveal_if_attribute = op.conditional.field;
+        }
+        if (op.conditional.values) {
+          el.config.reveal_if_value = op.conditional.values;
+        }
+        if (op.conditional.type) {
+          el.config.reveal_if_type = op.conditional.type;
+        }
+      }
+
+      // Multi-condition visibility
+      if (advancedQuery !== null) {
+        setAdvancedQuery(el, advancedQuery);
+      }
+
+      // Styling
+      if (op.styling) {
+        el.styling = el.styling || {};
+        for (const [key, value] of Object.entries(op.styling)) {
+          // For non-groups, only allow margin/padding properties
+          if (el.element_type !== 'group') {
+            const spacingProps = ['margin_top', 'margin_bottom', 'margin_left', 'margin_right',
+                                  'padding_top', 'padding_bottom', 'padding_left', 'padding_right', 'alignment'];
+            if (!spacingProps.includes(key)) continue;
+          }
+          el.styling[key] = value;
+        }
+      }
+
+      // Visibility/workflow state control
+      if (op.visibility) {
+        el.visibility = el.visibility || {};
+        if (op.visibility.visible_form !== undefined) {
+          el.visibility.visible_form = op.visibility.visible_form;
+        }
+        if (op.visibility.visible_show !== undefined) {
+          el.visibility.visible_show = op.visibility.visible_show;
+        }
+        if (op.visibility.visible_list !== undefined) {
+          el.visibility.visible_list = op.visibility.visible_list;
+        }
+        if (op.visibility.show_states !== undefined) {
+          el.visibility.show_states = op.visibility.show_states;
+        }
+        if (op.visibility.read_only_states !== undefined) {
+          el.visibility.read_only_states = op.visibility.read_only_states;
+        }
+        if (op.visibility.user_profile !== undefined) {
+          el.visibility.user_profile = op.visibility.user_profile;
+        }
+      }
+
+    } else if (op.type === 'move') {
+      const sourceUid = resolveAlias(op.uid, entry);
+      const destUid = resolveAlias(op.target, entry);
+      if (entry.status === 'failed') return;
+
+      const srcResult = sourceUid && findParentOf(elements, sourceUid);
+      if (!srcResult || !srcResult.array) {
+        fail(entry, sourceUid ? `source uid ${sourceUid} not found` : 'no source uid given');
+        return;
+      }
+
+      // Check the destination before detaching the source so a bad target never loses an element
+      const source = srcResult.array[srcResult.index];
+      if (!destUid || !findElementByUid(elements, destUid)) {
+        fail(entry, destUid ? `target uid ${destUid} not found` : 'no target uid given');
+        return;
+      }
+      if (destUid === sourceUid || findElementByUid(source.elements || [], destUid)) {
+        fail(entry, 'cannot move an element into itself');
+        return;
+      }
+
+      srcResult.array.splice(srcResult.index, 1);
+
+      if (op.position === 'inside' || op.position === 'inside_end') {
+        // Move to END of destination group's children
+        const dest = findElementByUid(elements, destUid);
+        dest.elements = dest.elements || [];
+        dest.elements.push(source);
+      } else if (op.position === 'inside_start' || op.position === 'inside_top') {
+        // Move to START of destination group's children
+        const dest = findElementByUid(elements, destUid);
+        dest.elements = dest.elements || [];
+        dest.elements.unshift(source);
+      } else {
+        const destResult = findParentOf(elements, destUid);
+        const insertIdx = op.position === 'before' ? destResult.index : destResult.index + 1;
+        destResult.array.splice(insertIdx, 0, source);
+      }
+
+    } else if (op.type === 'set_advanced_query') {
+      // Replace an element's visibility condition tree
+      const el = targetUid && findElementByUid(elements, targetUid);
+      if (!el) {
+        fail(entry, targetUid ? `target uid ${targetUid} not found` : 'no target uid given');
+        return;
+      }
+      // A missing key is a malformed operation, not a request to clear the query
+      if (!('query' in op)) {
+        fail(entry, 'no query given (use "query": null to remove the visibility query)');
+        return;
+      }
+      let queryString;
+      try {
+        queryString = advancedQueryString(op.query);
+      } catch (err) {
+        fail(entry, `invalid query: ${err.message}`);
+        return;
+      }
+      if (el.visibility?.advanced_query === queryString && el.visibility?.advanced_filter === '1') {
+        entry.status = 'skipped';
+        entry.reason = 'element already has this query';
+        return;
+      }
+      setAdvancedQuery(el, queryString);
+
+    } else if (op.type === 'delete') {
+      const result = targetUid && findParentOf(elements, targetUid);
+      if (!result || !result.array) {
+        fail(entry, targetUid ? `target uid ${targetUid} not found` : 'no target uid given');
+        return;
+      }
+      result.array.splice(result.index, 1);
+
+    } else if (op.type === 'bulk_replace') {
+      // Bulk operations for multiple elements
+      const uids = op.uids || [];
+      const findColor = op.find_color;  // e.g., "red" - will match any red-ish color
+      const replaceColor = op.replace_color;  // e.g., "blue" or "#0066CC"
+      const colorMatch = op.color_match;  // 'family' or 'exact' (default depends on find_color)
+      const colorProperty = op.color_property;  // e.g., "background-color" - only replace there
+      const findStr = op.find;
+      const replaceStr = op.replace;  // may be '' to delete matches
+      const fields = op.fields === undefined ? ['text'] : [].concat(op.fields);  // 'text', 'label', 'description'
+      const setRequired = op.set_required;  // true or false
+      const setReadOnly = op.set_read_only;  // true or false
+      const readOnlyStates = op.read_only_states;  // array of specific states
+      const setHidden = op.set_hidden;  // true or false
+      const setCollapsible = op.set_collapsible;  // true or false
+      const setShowInToc = op.set_show_in_toc;  // true or false
+      const setDefaultOpen = op.set_default_open;  // true or false
+      const setHideLabel = op.set_hide_label;  // true or false
+
+      if (uids.length === 0) {
+        entry.status = 'skipped';
+        entry.reason = 'no uids given';
+        return;
+      }
+
+      const missing = uids.filter(uid => !findElementByUid(elements, uid));
+      if (missing.length === uids.length) {
+        fail(entry, `none of the ${uids.length} target uids were found`);
+        return;
+      }
+      if (missing.length > 0) {
+        entry.reason = `${missing.length} of ${uids.length} target uids not found`;
+      }
+
+      // Text find/replace - literal by default, or a pattern with regex: true
+      let findPattern = null;
+      if (findStr && typeof replaceStr === 'string' && !(findColor && replaceColor)) {
+        const unknownFields = fields.filter(field => !REPLACE_FIELDS.includes(field));
+        if (unknownFields.length > 0) {
+          fail(entry, `unknown field${unknownFields.length === 1 ? '' : 's'} ${unknownFields.join(', ')} (expected ${REPLACE_FIELDS.join(', ')})`);
+          return;
+        }
+        try {
+          findPattern = buildFindRegex(findStr, { regex: op.regex === true, flags: op.flags, wholeWord: op.whole_word === true });
+        } catch (e) {
+          fail(entry, `invalid regex: ${e.message}`);
+          return;
+        }
+        entry.matches = {};
+      }
+      // A description belongs to the field, so shared fields are only rewritten once
+      const replacedDescriptions = new Set();
+
+      if (findColor && replaceColor) {
+        if (!getColorMatcher(findColor, colorMatch)) {
+          fail(entry, `unrecognized color "${findColor}"${colorMatch ? ` for ${colorMatch} matching` : ''}`);
+          return;
+        }
+        if (!parseColor(getTargetColor(replaceColor))) {
+          fail(entry, `unrecognized replacement color "${replaceColor}"`);
+          return;
+        }
+      }
+
+      for (const uid of uids) {
+        const el = findElementByUid(elements, uid);
+        if (!el) continue;
+
+        el.config = el.config || {};
+
+        // Set required on multiple fields
+        if (setRequired !== undefined) {
+          el.config.required = setRequired;
+        }
+
+        // Set read-only on multiple fields - uses visibility.read_only_states
+        if (setReadOnly !== undefined || readOnlyStates !== undefined) {
+          el.visibility = el.visibility || {};
+          if (readOnlyStates && Array.isArray(readOnlyStates)) {
+            // Specific states provided
+            el.visibility.read_only_states = readOnlyStates;
+          } else if (setReadOnly) {
+            // Make read-only in ALL workflow states
+            el.visibility.read_only_states = [...allWorkflowStates];
+          } else {
+            // Make editable - clear read_only_states
+            el.visibility.read_only_states = [];
+          }
+        }
+
+        // Set hidden on multiple elements (affects both edit and view visibility)
+        if (setHidden !== undefined) {
+          el.visibility = el.visibility || {};
+          el.visibility.visible_form = !setHidden;
+          el.visibility.visible_show = !setHidden;
+        }
+
+        // Set collapsible on groups
+        if (setCollapsible !== undefined && el.element_type === 'group') {
+          el.config.collapsible = setCollapsible;
+        }
+
+        // Set show_in_toc on groups
+        if (setShowInToc !== undefined && el.element_type === 'group') {
+          el.config.show_in_toc = setShowInToc;
+        }
+
+        // Set default_open on groups
+        if (setDefaultOpen !== undefined && el.element_type === 'group') {
+          el.config.default_open = setDefaultOpen;
+        }
+
+        // Set hide_label on elements
+        if (setHideLabel !== undefined) {
+          el.config.hide_label = setHideLabel;
+        }
+
+        // Color-aware replacement (matches hex, rgb, hsl, and named colors)
+        if (el.config.text && findColor && replaceColor) {
+          el.config.text = replaceColorsInHtml(el.config.text, findColor, replaceColor, {
+            match: colorMatch,
+            property: colorProperty
+          });
+        }
+        // Text replacement in the selected fields, counting matches per element
+        else if (findPattern) {
+          const useGroups = op.regex === true;
+          let count = 0;
+          const replaceIn = (obj, key) => {
+            if (typeof obj?.[key] !== 'string') return 0;
+            const result = replaceMatches(obj[key], findPattern, replaceStr, useGroups);
+            obj[key] = result.value;
+            return result.count;
+          };
+
+          if (fields.includes('text')) count += replaceIn(el.config, 'text');
+          if (fields.includes('label')) {
+            // Labels are stored on both the element and its config - count them once
+            const configCount = replaceIn(el.config, 'label');
+            const elementCount = replaceIn(el, 'label');
+            count += Math.max(configCount, elementCount);
+          }
+          if (fields.includes('description') && el.element_type === 'attribute' && el.name && !replacedDescriptions.has(el.name)) {
+            replacedDescriptions.add(el.name);
+            for (const attr of modelAttrs.filter(a => a.name === el.name)) {
+              count += replaceIn(attr, 'description');
+            }
+          }
+
+          if (count > 0) entry.matches[uid] = count;
+        }
+      }
+
+      if (findPattern && Object.keys(entry.matches).length === 0) {
+        const onlyReplace = [setRequired, setReadOnly, readOnlyStates, setHidden, setCollapsible, setShowInToc, setDefaultOpen, setHideLabel]
+          .every(value => value === undefined);
+        if (onlyReplace) {
+          entry.status = 'skipped';
+          entry.reason = `no matches for "${findStr}" in ${fields.join(', ')}`;
+        }
+      }
+
+    } else if (op.type === 'replace_subtree') {
+      // Complex structural operation - insert or replace entire subtree
+      const targetUid = resolveAlias(op.target_uid, entry);
+      const position = op.position || 'after';
+      let newStructure = op.structure;
+
+      if (entry.status === 'failed') return;
+      if (!newStructure) {
+        fail(entry, 'no structure provided');
+        return;
+      }
+
+      const result = targetUid && findParentOf(elements, targetUid);
+      if (!result || !result.array) {
+        fail(entry, targetUid ? `target uid ${targetUid} not found` : 'no target uid given');
+        return;
+      }
+
+      // Deep clone and regenerate all UIDs to ensure uniqueness
+      function regenerateUids(el) {
+        el.uid = generateUid();
+        if (el.elements && Array.isArray(el.elements)) {
+          el.elements.forEach(regenerateUids);
+        }
+        return el;
+      }
+
+      newStructure = regenerateUids(JSON.parse(JSON.stringify(newStructure)));
+
+      if (position === 'replace') {
+        // Replace the target element with new structure
+        result.array.splice(result.index, 1, newStructure);
+      } else {
+        // Insert before or after the target
+        const insertIdx = position === 'before' ? result.index : result.index + 1;
+        result.array.splice(insertIdx, 0, newStructure);
+      }
+
+    } else if (op.type === 'normalize_palette') {
+      // Map every color in text HTML and styling to the nearest brand palette color
+      const paletteInput = Array.isArray(op.palette) ? op.palette : [];
+      const palette = paletteInput.map(c => parseColor(getTargetColor(c)));
+      const includeNeutrals = op.include_neutrals === true;
+      const maxDistance = typeof op.max_distance === 'number' ? op.max_distance : null;
+
+      if (palette.length === 0) {
+        fail(entry, 'no palette colors given');
+        return;
+      }
+      const invalid = paletteInput.filter((c, i) => !palette[i]);
+      if (invalid.length > 0) {
+        fail(entry, `unrecognized palette color${invalid.length === 1 ? '' : 's'}: ${invalid.join(', ')}`);
+        return;
+      }
+
+      let roots = elements;
+      if (Array.isArray(op.uids) && op.uids.length > 0) {
+        const uids = op.uids.map(uid => resolveAlias(uid, entry));
+        if (entry.status === 'failed') return;
+        roots = uids.map(uid => findElementByUid(elements, uid)).filter(Boolean);
+        if (roots.length === 0) {
+          fail(entry, `none of the ${uids.length} target uids were found`);
+          return;
+        }
+      }
+
+      let changed = 0;
+      const mapColor = (color) => {
+        if (!includeNeutrals && isNeutralColor(color)) return null;
+        const nearest = findNearestColor(color, palette);
+        if (maxDistance !== null && nearest.distance > maxDistance) return null;
+        const { r, g, b } = nearest.color;
+        if (color.r === r && color.g === g && color.b === b) return null;
+        changed++;
+        return formatColorLike(color, { r, g, b, name: nearest.color.name });
+      };
+
+      (function normalize(list) {
+        for (const el of list) {
+          if (!el) continue;
+          if (typeof el.config?.text === 'string') {
+            el.config.text = transformColorsInHtml(el.config.text, mapColor);
+          }
+          for (const [key, value] of Object.entries(el.styling || {})) {
+            const color = isColorStylingKey(key) && parseColor(value);
+            const mapped = color && mapColor(color);
+            if (mapped) el.styling[key] = mapped;
+          }
+          if (Array.isArray(el.elements)) normalize(el.elements);
+        }
+      })(roots);
+
+      if (changed === 0) {
+        entry.status = 'skipped';
+        entry.reason = 'all colors already match the palette';
+      }
+
+    } else if (op.type === 'clone_subtree') {
+      // Clone a subtree with transformations - backend does the heavy lifting
+      const sourceUid = resolveAlias(op.source_uid, entry);
+      const position = op.position || 'after';
+      const labelFind = op.label_find;
+      const labelReplace = op.label_replace;
+      const fieldSuffix = op.field_suffix || '';
+
+      if (entry.status === 'failed') return;
+
+      // Find the source element
+      const sourceEl = sourceUid && findElementByUid(elements, sourceUid);
+      if (!sourceEl) {
+        fail(entry, sourceUid ? `source uid ${sourceUid} not found` : 'no source uid given');
+        return;
+      }
+
+      // Deep clone
+      let cloned = JSON.parse(JSON.stringify(sourceEl));
+
+      // Apply transformations recursively
+      function transformElement(el) {
+        // Regenerate UID
+        el.uid = generateUid();
+
+        // Transform labels
+        if (labelFind && labelReplace) {
+          if (el.config?.label) {
+            el.config.label = el.config.label.replace(new RegExp(labelFind.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), labelReplace);
+          }
+          if (el.label) {
+            el.label = el.label.replace(new RegExp(labelFind.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), labelReplace);
+          }
+        }
+
+        // Add suffix to field names (attribute elements)
+        if (fieldSuffix && el.element_type === 'attribute' && el.name) {
+          el.name = el.name + fieldSuffix;
+        }
+
+        // Recurse into children
+        if (el.elements && Array.isArray(el.elements)) {
+          el.elements.forEach(transformElement);
+        }
+      }
+
+      transformElement(cloned);
+
+      // Create ModelAttribute entries for any new field names (when suffix applied)
+      if (fieldSuffix) {
+        function collectFieldNames(el) {
+          const names = [];
+          if (el.element_type === 'attribute' && el.name) {
+            names.push(el.name);
+          }
+          if (el.elements) {
+            for (const child of el.elements) {
+              names.push(...collectFieldNames(child));
+            }
+          }
+          return names;
+        }
+
+        const newFieldNames = collectFieldNames(cloned);
+        for (const fieldName of newFieldNames) {
+          const exists = modelAttrs.find(a => a.name === fieldName);
+          if (!exists) {
+            modelAttrs.push(createModelAttribute(fieldName, fieldName, 'string', modelType));
+          }
+        }
+      }
+
+      // Insert the cloned element
+      const result = findParentOf(elements, sourceUid);
+      const insertIdx = position === 'before' ? result.index : result.index + 1;
+      result.array.splice(insertIdx, 0, cloned);
+
+    } else {
+      fail(entry, `unknown operation type "${op.type}"`);
+    }
+  }
+
+  // Ops that take a list of uids get the selection as `uids`; single-element
+  // ops run once per selected element
+  const LIST_SELECT_OPS = ['bulk_replace', 'normalize_palette'];
+  const SINGLE_SELECT_KEYS = { edit: 'uid', delete: 'uid', move: 'uid', clone_subtree: 'source_uid', set_advanced_query: 'uid' };
+
+  function applySelectOperation(op, entry) {
+    const single = SINGLE_SELECT_KEYS[op.type];
+    if (!LIST_SELECT_OPS.includes(op.type) && !single) {
+      fail(entry, `select is not supported for ${op.type} operations`);
+      return;
+    }
+
+    let uids = selectElements(elements, op.select, uid => resolveAlias(uid, entry));
+    if (entry.status === 'failed') return;
+    if (uids.length === 0) {
+      entry.status = 'skipped';
+      entry.reason = 'select matched no elements';
+      return;
+    }
+    entry.selected = uids;
+
+    const { select, ...rest } = op;
+    if (!single) {
+      applyOperation({ ...rest, uids }, entry);
+      return;
+    }
+
+    // Deleting or moving a group takes its children along
+    if (op.type === 'delete' || op.type === 'move') {
+      uids = uids.filter(uid => !uids.some(other => other !== uid && findElementByUid(findElementByUid(elements, other).elements || [], uid)));
+    }
+    // Inserting one by one at the same spot reverses them, so go backwards
+    if (op.type === 'move' && !['before', 'inside', 'inside_end'].includes(op.position)) {
+      uids = [...uids].reverse();
+    }
+
+    const failures = [];
+    for (const uid of uids) {
+      const sub = { status: 'applied', reason: null };
+      applyOperation({ ...rest, [single]: uid }, sub);
+      if (sub.status === 'failed') failures.push(`${uid}: ${sub.reason}`);
+    }
+    if (failures.length === uids.length) {
+      fail(entry, failures.join('; '));
+    } else if (failures.length > 0) {
+      entry.reason = `${failures.length} of ${uids.length} selected elements failed (${failures.join('; ')})`;
+    }
+  }
+
+  operations.forEach((op, index) => {
+    const entry = { index, type: op?.type || 'unknown', status: 'applied', reason: null };
+    report.push(entry);
+
+    try {
+      if (op && typeof op === 'object' && op.select !== undefined) {
+        applySelectOperation(op, entry);
+      } else {
+        applyOperation(op, entry);
+      }
+    } catch (err) {
+      fail(entry, err.message);
+    }
+  });
+
+  // Update the form view name with current timestamp
+  if (data.name) {
+    const now = new Date();
+    const timestamp = now.toISOString().replace('T', ' ').substring(0, 19);
+    // Replace "Default" with timestamp, or append timestamp if no "Default"
+    if (data.name.includes('Default')) {
+      data.name = data.name.replace('Default', timestamp);
+    } else {
+      data.name = data.name + ' ' + timestamp;
+    }
+  }
+
+  return { data, report };
+}
+
+// True when any operation in an applyOperations report failed
+function hasFailedOperations(report) {
+  return report.some(entry => entry.status === 'failed');
+}
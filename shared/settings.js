@@ -0,0 +1,182 @@
+/**
+ * Fluxx AI Settings
+ *
+ * Extension settings kept in chrome.storage.sync and edited on the options
+ * page. Shared by the side panel, the options page and the background worker.
+ */
+
+const SETTINGS_KEY = 'settings';
+
+export const DEFAULT_SETTINGS = {
+  apiEndpoint: 'https://fluxxai-web-service.onrender.com/api/chat',
+  generateFormEndpoint: 'https://fluxxai-web-service.onrender.com/api/generate-form',
+  documentUpload: 'outline', // 'outline' (extract locally, send only the outline), 'file' (send the whole document, needed for .doc) or 'local' (no backend)
+  timeoutSeconds: 120,
+  maxRetries: 3,
+  headers: {}, // Extra request headers, e.g. an API key for a self-hosted backend
+  customDomains: [], // Extra Fluxx origins, e.g. 'https://grants.example.org' or 'https://*.example.org'
+  brandPalette: [] // Colors forms are normalized to, e.g. ['#003366', '#e91e63']
+};
+
+// Hosted Fluxx domains covered by the manifest's static content script
+const BUILT_IN_FLUXX_HOSTS = ['fluxxlabs.com', 'fluxx.io'];
+
+export async function loadSettings() {
+  const stored = await chrome.storage.sync.get(SETTINGS_KEY);
+  return { ...DEFAULT_SETTINGS, ...(stored[SETTINGS_KEY] || {}) };
+}
+
+export async function saveSettings(settings) {
+  await chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+}
+
+export async function resetSettings() {
+  await chrome.storage.sync.remove(SETTINGS_KEY);
+}
+
+// Call `callback` with the merged settings whenever they are saved from the options page
+export function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && changes[SETTINGS_KEY]) {
+      callback({ ...DEFAULT_SETTINGS, ...(changes[SETTINGS_KEY].newValue || {}) });
+    }
+  });
+}
+
+// Origin patterns the extension needs host access to for the configured endpoints
+export function getEndpointOrigins(settings) {
+  const origins = new Set();
+  for (const endpoint of [settings.apiEndpoint, settings.generateFormEndpoint]) {
+    try {
+      const url = new URL(endpoint);
+      origins.add(`${url.protocol}//${url.hostname}/*`);
+    } catch (e) {
+      // Invalid URLs are rejected by the options page before saving
+    }
+  }
+  return [...origins];
+}
+
+/**
+ * Normalize a user-entered Fluxx domain ("grants.example.org",
+ * "http://staging.local:8080/path", "*.example.org") to an origin.
+ * Returns null when the entry is not a usable host.
+ */
+export function normalizeDomain(entry) {
+  let text = String(entry || '').trim();
+  if (!text) return null;
+  if (!/^[a-z]+:\/\//i.test(text)) text = `https://${text}`;
+
+  // URL() rejects the leading wildcard, so parse the rest and put it back
+  const wildcard = /^([a-z]+:\/\/)\*\./i.exec(text);
+  if (wildcard) text = wildcard[1] + text.substring(wildcard[0].length);
+
+  try {
+    const url = new URL(text);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    if (!url.hostname.includes('.') && url.hostname !== 'localhost') return null;
+    return `${url.protocol}//${wildcard ? '*.' : ''}${url.hostname}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Match patterns (for permissions and content script registration) for the custom domains
+export function getCustomDomainPatterns(settings) {
+  return (settings.customDomains || []).map(origin => `${origin}/*`);
+}
+
+// Whether a tab URL is a built-in or user-added Fluxx site
+export function isFluxxUrl(url, settings) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  const hostname = parsed.hostname;
+  const matchesHost = (host) => hostname === host || hostname.endsWith(`.${host}`);
+
+  if (parsed.protocol === 'https:' && BUILT_IN_FLUXX_HOSTS.some(matchesHost)) return true;
+
+  return (settings.customDomains || []).some(origin => {
+    const [protocol, host] = origin.split('//');
+    if (parsed.protocol !== protocol) return false;
+    return host.startsWith('*.') ? matchesHost(host.substring(2)) : hostname === host;
+  });
+}
+
+/**
+ * Parse "Name: value" lines into a headers object.
+ * Returns { headers, errors } - errors lists lines that are not valid headers.
+ */
+export function parseHeaderLines(text) {
+  const headers = {};
+  const errors = [];
+
+  text.split('\n').forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    const colon = trimmed.indexOf(':');
+    const name = colon > 0 ? trimmed.substring(0, colon).trim() : '';
+    if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name)) {
+      errors.push(`Line ${i + 1}: expected "Header-Name: value"`);
+      return;
+    }
+    headers[name] = trimmed.substring(colon + 1).trim();
+  });
+
+  return { headers, errors };
+}
+
+export function formatHeaderLines(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+}
+
+// Gateway errors are usually a backend waking up or restarting - worth another try
+const RETRY_STATUSES = [502, 503, 504];
+
+/**
+ * fetch() against the configured backend: adds the custom headers, aborts after
+ * the configured timeout and retries network errors. Timeouts and gateway
+ * failures may come after the backend has already handled the request, so they
+ * are only retried for GET and HEAD - a chat prompt must not run twice.
+ */
+export async function fetchBackend(url, options, settings) {
+  const attempts = Math.max(0, Number(settings.maxRetries) || 0) + 1;
+  const idempotent = ['GET', 'HEAD'].includes((options.method || 'GET').toUpperCase());
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), settings.timeoutSeconds * 1000);
+
+    try {
+      const response = await fetch(url, {
+        ...options,
+        headers: { ...(settings.headers || {}), ...(options.headers || {}) },
+        signal: controller.signal
+      });
+      if (!idempotent || !RETRY_STATUSES.includes(response.status) || attempt === attempts) {
+        return response;
+      }
+      lastError = new Error(`API error: ${response.status}`);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        lastError = err;
+      } else {
+        lastError = new Error(`Request timed out after ${settings.timeoutSeconds}s`);
+        if (!idempotent) throw lastError;
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (attempt < attempts) {
+      console.warn(`[Fluxx AI] Backend request failed (attempt ${attempt} of ${attempts}):`, lastError.message);
+      await new Promise(r => setTimeout(r, 1000 * attempt));
+    }
+  }
+
+  throw lastError;
+}
@@ -0,0 +1,211 @@
+/**
+ * Data Dictionary
+ *
+ * One row per attribute element on a Stencil, with the field's type, choices,
+ * conditional logic and workflow states. Downloads as CSV or as an .xlsx
+ * workbook for program staff and data teams.
+ */
+
+import { createZip } from './zip.js';
+
+export const DICTIONARY_COLUMNS = [
+  { key: 'name', title: 'Field Name', width: 28 },
+  { key: 'label', title: 'Label', width: 40 },
+  { key: 'section', title: 'Section', width: 40 },
+  { key: 'type', title: 'Type', width: 14 },
+  { key: 'required', title: 'Required', width: 10 },
+  { key: 'choices', title: 'Choices', width: 40 },
+  { key: 'conditional', title: 'Conditional Logic', width: 40 },
+  { key: 'showStates', title: 'Show States', width: 30 },
+  { key: 'readOnlyStates', title: 'Read-Only States', width: 30 }
+];
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Plain text of a label: tags removed and entities such as &amp; decoded
+export function stripHtml(value) {
+  return String(value || '')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(?:#x([0-9a-f]+)|#(\d+)|([a-z]+));/gi, (entity, hex, dec, name) => {
+      if (hex) return String.fromCodePoint(parseInt(hex, 16));
+      if (dec) return String.fromCodePoint(Number(dec));
+      return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    })
+    .trim();
+}
+
+export function isFlagSet(value) {
+  return value === true || value === 1 || value === '1' || value === 'true';
+}
+
+// Choices per field name as [{ value, description }] in display order, skipping retired ones
+export function getAttributeChoices(records) {
+  const choicesByAttribute = new Map();
+  const sortedValues = [...(records?.ModelAttributeValue || [])]
+    .filter(value => !value.deleted_at && !value.retired)
+    .sort((a, b) => (a.display_order ?? 0) - (b.display_order ?? 0));
+  for (const value of sortedValues) {
+    const name = value.model_attributes?.name;
+    if (!name) continue;
+    if (!choicesByAttribute.has(name)) choicesByAttribute.set(name, []);
+    choicesByAttribute.get(name).push({ value: String(value.value), description: value.description ? String(value.description) : '' });
+  }
+  return choicesByAttribute;
+}
+
+/**
+ * Walk the stencil and describe every attribute element.
+ * Returns rows keyed by DICTIONARY_COLUMNS keys (all values strings).
+ */
+export function buildDataDictionary(exportData) {
+  const records = exportData?.records || {};
+  const attributes = new Map((records.ModelAttribute || []).map(attr => [attr.name, attr]));
+
+  const choicesByAttribute = getAttributeChoices(records);
+  const formatChoice = (choice) =>
+    choice.description && choice.description !== choice.value ? `${choice.value} (${choice.description})` : choice.value;
+
+  const rows = [];
+  (function walk(list, path) {
+    for (const el of list || []) {
+      if (!el) continue;
+      const label = stripHtml(el.config?.label || el.label);
+
+      if (el.element_type === 'attribute') {
+        const attr = attributes.get(el.name);
+        const config = el.config || {};
+        const conditional = config.reveal_if_attribute
+          ? `${config.reveal_if_type === 'hide' ? 'Hide' : 'Show'} when ${config.reveal_if_attribute} = ${[].concat(config.reveal_if_value ?? []).join(' or ') || '(any value)'}`
+          : '';
+        rows.push({
+          name: el.name || '',
+          label,
+          section: path.join(' > '),
+          type: attr?.attribute_type || '',
+          required: isFlagSet(config.required) ? 'Yes' : 'No',
+          choices: (choicesByAttribute.get(el.name) || []).map(formatChoice).join('; '),
+          conditional,
+          showStates: (el.visibility?.show_states || []).join(', '),
+          readOnlyStates: (el.visibility?.read_only_states || []).join(', ')
+        });
+      }
+
+      if (Array.isArray(el.elements)) {
+        walk(el.elements, el.element_type === 'group' ? [...path, label || '(untitled group)'] : path);
+      }
+    }
+  })(records.Stencil?.[0]?.json?.elements, []);
+
+  return rows;
+}
+
+// CSV per RFC 4180, with a BOM so Excel reads it as UTF-8. Cells that
+// spreadsheet apps would run as a formula get a leading apostrophe.
+export function dictionaryToCsv(rows) {
+  const quote = (value) => {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [
+    DICTIONARY_COLUMNS.map(col => quote(col.title)).join(','),
+    ...rows.map(row => DICTIONARY_COLUMNS.map(col => quote(row[col.key])).join(','))
+  ];
+  return new Blob(['\uFEFF' + lines.join('\r\n') + '\r\n'], { type: 'text/csv;charset=utf-8' });
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    // Control characters other than tab and newlines are not allowed in XML
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Spreadsheet column letters: 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Minimal SpreadsheetML workbook: one sheet with a bold, frozen header row,
+ * autofilter and inline strings.
+ */
+export function dictionaryToXlsx(rows, sheetName = 'Data Dictionary') {
+  const lastColumn = columnName(DICTIONARY_COLUMNS.length - 1);
+  const cell = (value, rowNumber, colIndex, style = 0) =>
+    `<c r="${columnName(colIndex)}${rowNumber}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+
+  const sheetRows = [
+    `<row r="1">${DICTIONARY_COLUMNS.map((col, i) => cell(col.title, 1, i, 1)).join('')}</row>`,
+    ...rows.map((row, r) => `<row r="${r + 2}">${DICTIONARY_COLUMNS.map((col, i) => cell(row[col.key], r + 2, i)).join('')}</row>`)
+  ];
+
+  const sheet = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${DICTIONARY_COLUMNS.map((col, i) => `<col min="${i + 1}" max="${i + 1}" width="${col.width}" customWidth="1"/>`).join('')}</cols>
+<sheetData>${sheetRows.join('')}</sheetData>
+<autoFilter ref="A1:${lastColumn}${rows.length + 1}"/>
+</worksheet>`;
+
+  // Sheet names are limited to 31 characters and can't contain []:*?/\
+  const safeSheetName = escapeXml(sheetName.replace(/[[\]:*?/\\]/g, ' ').substring(0, 31));
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`
+    },
+    {
+      name: '_rels/.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>
+<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${safeSheetName}'!$A$1:$${lastColumn}$${rows.length + 1}</definedName></definedNames>
+</workbook>`
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+    },
+    {
+      name: 'xl/styles.xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`
+    },
+    { name: 'xl/worksheets/sheet1.xml', data: sheet }
+  ];
+
+  return createZip(files, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+}
@@ -0,0 +1,369 @@
+/**
+ * Document Outline
+ *
+ * Extracts the structure of an uploaded application document - headings,
+ * numbered questions, checkbox lists and tables - from a .docx or a text
+ * PDF, in the browser. The outline is what goes to the generate-form backend
+ * instead of the document itself, and it can be turned into `add` operations
+ * locally when there is no backend to ask. Body paragraphs are counted but
+ * not kept.
+ */
+
+import { readZip } from './zip.js';
+import { extractPdfLines } from './pdf-text.js';
+import { decodeXml, questionRowsToOperations } from './question-import.js';
+
+// Checkbox and radio glyphs, including Word's Wingdings boxes and "[ ]" / "( )" drawn in text
+const BOX_MARK = /[☐☑☒□▢◻❏❑■]|\[\s?[xX]?\s?\]/;
+const CIRCLE_MARK = /[○◯●◉]|\(\s?\)/;
+const CHOICE_MARK = new RegExp(`${BOX_MARK.source}|${CIRCLE_MARK.source}`, 'g');
+
+// "1.", "1.2)", "Q3", "Question 4:", "a)", "iv."
+const NUMBERED = /^(?:(?:Q(?:uestion)?\s*)(\d{1,3}[a-z]?)[.):]?|(\d{1,2}(?:\.\d{1,2})*)[.)]|([a-z]|[ivx]{1,4})[.)])\s+(\S.*)$/i;
+const SECTION_HEADING = /^(?:section|part|step|appendix|attachment)\s+(?:\d+|[A-Z]|[IVX]+)\b/i;
+const PAGE_FURNITURE = /^(?:page\s+)?\d+(?:\s*(?:of|\/)\s*\d+)?$/i;
+const CHOICE_PROMPT = /\b(?:select|check|choose|tick|mark)\b/i;
+// Prompts that ask for an answer without a question mark
+const IMPERATIVE = /^(?:describe|explain|discuss|summari[sz]e|tell us|outline|list|please (?:describe|explain|provide|list))\b/i;
+
+function normalizeSpace(text) {
+  return String(text || '').replace(/[\s ]+/g, ' ').trim();
+}
+
+/**
+ * Accumulates classified lines into outline blocks:
+ *   { kind: 'heading', level, text }
+ *   { kind: 'question', number, text, choices, multiple }
+ *   { kind: 'table', rows }
+ * A line is { text, title?, headingLevel?, listItem?, emphasis? } - hints from
+ * Word styles or PDF font sizes; plain text is classified by its shape.
+ */
+function createOutlineBuilder() {
+  const blocks = [];
+  let title = '';
+  let paragraphCount = 0;
+  let last = null; // Last question or paragraph, for wrapped lines and checkbox lists
+  let lastKind = null;
+
+  const pushQuestion = (text, number = '') => {
+    const question = { kind: 'question', number, text: text.replace(/\s*:$/, ''), choices: [], multiple: false };
+    blocks.push(question);
+    last = question;
+    lastKind = 'question';
+    return question;
+  };
+
+  const addChoices = (question, text) => {
+    const marks = text.match(CHOICE_MARK) || [];
+    if (marks.some(mark => BOX_MARK.test(mark))) question.multiple = true;
+    const choices = text.split(CHOICE_MARK).map(normalizeSpace).filter(Boolean);
+    question.choices.push(...choices);
+  };
+
+  function addLine(line) {
+    const text = normalizeSpace(line.text);
+    if (!text || PAGE_FURNITURE.test(text) || /^[_\s.]+$/.test(text)) return;
+
+    // Checkbox lists: "☐ Yes ☐ No", or a question followed by its options inline
+    const firstMark = text.search(CHOICE_MARK);
+    if (firstMark === 0) {
+      let question = lastKind === 'question' ? last : null;
+      if (!question && lastKind === 'paragraph') {
+        // The prompt wasn't recognized as a question; promote it
+        blocks.splice(blocks.indexOf(last), 1);
+        paragraphCount--;
+        question = pushQuestion(last.text);
+      }
+      if (!question) question = pushQuestion('Choose one');
+      addChoices(question, text);
+      return;
+    }
+    if (firstMark > 0) {
+      const question = pushQuestion(normalizeSpace(text.substring(0, firstMark)));
+      addChoices(question, text.substring(firstMark));
+      return;
+    }
+
+    if (line.title && !title && blocks.length === 0) {
+      title = text;
+      return;
+    }
+    if (line.headingLevel) {
+      blocks.push({ kind: 'heading', level: line.headingLevel, text });
+      lastKind = 'heading';
+      return;
+    }
+
+    const numbered = NUMBERED.exec(text);
+    const letters = text.replace(/[^A-Za-z]/g, '');
+    const allCaps = letters.length >= 3 && letters === letters.toUpperCase() && text.length <= 80 && !/[?:]$/.test(text);
+
+    if (SECTION_HEADING.test(text) && text.length <= 100) {
+      blocks.push({ kind: 'heading', level: 1, text });
+      lastKind = 'heading';
+      return;
+    }
+    if ((allCaps || (line.emphasis && text.length <= 80 && !/[?:.]$/.test(text))) && !line.listItem) {
+      blocks.push({ kind: 'heading', level: 2, text: numbered ? numbered[4] : text });
+      lastKind = 'heading';
+      return;
+    }
+
+    // A list under "Select all that apply:" is its options, not more questions
+    if (line.listItem && lastKind === 'question' && CHOICE_PROMPT.test(last.text) && !numbered) {
+      last.choices.push(text);
+      if (/\ball\b/i.test(last.text)) last.multiple = true;
+      return;
+    }
+
+    if (numbered || line.listItem) {
+      pushQuestion(numbered ? numbered[4] : text, numbered ? (numbered[1] || numbered[2] || numbered[3]) : '');
+      return;
+    }
+
+    // Wrapped lines continue the question they belong to
+    if (lastKind === 'question' && last.choices.length === 0 && !/[?:.]$/.test(last.text) && /^[a-z(]/.test(text)) {
+      last.text = `${last.text} ${text}`.replace(/\s*:$/, '');
+      return;
+    }
+
+    // Fill-in prompts: "Organization name: ________"
+    const blank = /^(.+?)\s*_{3,}/.exec(text);
+    if (blank) {
+      pushQuestion(blank[1]);
+      return;
+    }
+    if ((/[?:]$/.test(text) || IMPERATIVE.test(text)) && text.length <= 250) {
+      pushQuestion(text);
+      return;
+    }
+
+    if (lastKind === 'paragraph' && !/[.!]$/.test(last.text)) {
+      last.text = `${last.text} ${text}`;
+      return;
+    }
+
+    paragraphCount++;
+    last = { kind: 'paragraph', text };
+    lastKind = 'paragraph';
+    blocks.push(last);
+  }
+
+  function addTable(rows) {
+    const cleaned = rows
+      .map(row => row.map(normalizeSpace))
+      .filter(row => row.some(Boolean));
+    if (cleaned.length === 0) return;
+    blocks.push({ kind: 'table', rows: cleaned });
+    lastKind = 'table';
+  }
+
+  return {
+    addLine,
+    addTable,
+    finish(source) {
+      // A lone top-level heading opening the document is its title, not a section
+      const first = blocks.find(block => block.kind !== 'paragraph');
+      const topLevel = blocks.filter(block => block.kind === 'heading' && block.level === first?.level);
+      if (!title && first?.kind === 'heading' && topLevel.length === 1 && blocks.some(block => block.kind === 'heading' && block !== first)) {
+        title = first.text;
+        blocks.splice(blocks.indexOf(first), 1);
+      }
+      // Paragraphs are body text: counted, not part of the outline
+      return { source, title, blocks: blocks.filter(block => block.kind !== 'paragraph'), paragraphCount };
+    }
+  };
+}
+
+// Text of a <w:p>, with Word's checkbox symbols and tabs kept as characters
+function paragraphText(xml) {
+  let text = '';
+  for (const m of xml.matchAll(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:br\/>|<w:sym\b([^>]*)\/>/g)) {
+    if (m[1] !== undefined) {
+      text += decodeXml(m[1]);
+    } else if (m[2] !== undefined) {
+      // Wingdings boxes (F06F, F0A8, F0FE...) are the usual way Word draws checkboxes
+      const code = /w:char="([0-9A-Fa-f]+)"/.exec(m[2])?.[1]?.toUpperCase();
+      if (['F06F', 'F070', 'F071', 'F072', 'F0A8', 'F0FD', 'F0FE', 'F078'].includes(code)) text += '☐';
+    } else {
+      text += ' ';
+    }
+  }
+  return text;
+}
+
+// Heading level from the paragraph style or outline level, if any
+function paragraphHeadingLevel(xml) {
+  const style = /<w:pStyle w:val="([^"]+)"/.exec(xml)?.[1] || '';
+  const styleLevel = /^(?:heading|berschrift|titre|titolo|encabezado)\s*(\d)$/i.exec(style.replace(/^\W+/, ''));
+  if (styleLevel) return Number(styleLevel[1]);
+  const outlineLevel = /<w:outlineLvl w:val="(\d)"/.exec(xml);
+  return outlineLevel && Number(outlineLevel[1]) < 6 ? Number(outlineLevel[1]) + 1 : 0;
+}
+
+// Every run bold (or the paragraph style's run properties bold)
+function paragraphIsBold(xml) {
+  const runs = [...xml.matchAll(/<w:r\b[^>]*>([\s\S]*?)<\/w:r>/g)].filter(m => /<w:t[\s>]/.test(m[1]));
+  if (runs.length === 0) return false;
+  return runs.every(m => /<w:b\/>|<w:b w:val="(?:1|true|on)"\/>/.test(m[1]));
+}
+
+/**
+ * Outline of a .docx from word/document.xml: heading styles, numbered and
+ * list paragraphs, checkbox glyphs and tables, in document order.
+ */
+export async function extractDocxOutline(buffer) {
+  const zip = readZip(buffer);
+  if (!zip.has('word/document.xml')) throw new Error('Not a Word document (word/document.xml is missing)');
+  const xml = await zip.readText('word/document.xml');
+  const body = /<w:body>([\s\S]*)<\/w:body>/.exec(xml)?.[1] || xml;
+
+  const builder = createOutlineBuilder();
+
+  // Tables can nest; cells of inner tables are folded into the outer cell's text
+  const tables = [];
+  const tokens = /<w:tbl\b[^>]*>|<\/w:tbl>|<w:tr\b[^>]*>|<w:tc\b[^>]*>|<w:p\b[^>]*\/>|<w:p\b[^>]*>[\s\S]*?<\/w:p>/g;
+  for (const [token] of body.matchAll(tokens)) {
+    if (token.startsWith('<w:tbl')) {
+      tables.push([]);
+    } else if (token === '</w:tbl>') {
+      const rows = tables.pop();
+      if (tables.length > 0) {
+        const outer = tables[tables.length - 1];
+        const row = outer[outer.length - 1];
+        if (row && row.length > 0) row[row.length - 1] += ' ' + rows.map(r => r.join(' ')).join(' ');
+      } else if (rows) {
+        builder.addTable(rows);
+      }
+    } else if (token.startsWith('<w:tr')) {
+      tables[tables.length - 1]?.push([]);
+    } else if (token.startsWith('<w:tc')) {
+      const table = tables[tables.length - 1];
+      table?.[table.length - 1]?.push('');
+    } else if (tables.length > 0) {
+      const table = tables[tables.length - 1];
+      const row = table[table.length - 1];
+      if (row && row.length > 0) row[row.length - 1] = `${row[row.length - 1]} ${paragraphText(token)}`;
+    } else {
+      builder.addLine({
+        text: paragraphText(token),
+        title: /<w:pStyle w:val="Title"/.test(token),
+        headingLevel: paragraphHeadingLevel(token),
+        listItem: /<w:numPr>/.test(token),
+        emphasis: paragraphIsBold(token)
+      });
+    }
+  }
+
+  return builder.finish('docx');
+}
+
+/**
+ * Outline of a PDF's text layer. Lines set noticeably larger than the body
+ * text are headings, ranked by size.
+ */
+export async function extractPdfOutline(buffer) {
+  const lines = await extractPdfLines(buffer);
+
+  // Body size: the size most characters are set in
+  const charsBySize = new Map();
+  for (const line of lines) charsBySize.set(line.size, (charsBySize.get(line.size) || 0) + line.text.length);
+  const bodySize = [...charsBySize.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  const headingSizes = [...charsBySize.keys()].filter(size => size >= bodySize * 1.15).sort((a, b) => b - a);
+
+  const builder = createOutlineBuilder();
+  for (const line of lines) {
+    const rank = headingSizes.indexOf(line.size);
+    builder.addLine({
+      text: line.text,
+      headingLevel: rank >= 0 && line.text.length <= 120 ? Math.min(rank + 1, 3) : 0
+    });
+  }
+  return builder.finish('pdf');
+}
+
+// Read a .docx or .pdf File into an outline
+export async function extractDocumentOutline(file) {
+  const extension = file.name.toLowerCase().slice(file.name.lastIndexOf('.'));
+  const buffer = await file.arrayBuffer();
+  if (extension === '.docx') return extractDocxOutline(buffer);
+  if (extension === '.pdf') return extractPdfOutline(buffer);
+  throw new Error(`${extension || 'This'} files can't be read in the browser; save the document as .docx or PDF`);
+}
+
+// Question wording -> question list type for fields without choices
+function guessType(text) {
+  if (IMPERATIVE.test(text) || text.length > 150) {
+    return 'longtext';
+  }
+  if (/\bdate\b|\bdeadline\b/i.test(text)) return 'date';
+  if (/\$|\bamount\b|\bhow much\b|\btotal (?:cost|budget)\b/i.test(text)) return 'currency';
+  if (/\bnumber of\b|\bhow many\b/i.test(text)) return 'number';
+  if (/^(?:is|are|do|does|did|has|have|will|can|was|were)\b.*\?$/i.test(text)) return 'yesno';
+  return '';
+}
+
+/**
+ * Question list rows (section, label, type, choices) for an outline, so
+ * local generation shares the question list import's naming, sections and
+ * warnings. Table rows with empty answer cells are questions; header rows
+ * and filled-in example rows are skipped.
+ */
+export function outlineToQuestionRows(outline) {
+  const rows = [['section', 'label', 'type', 'choices']];
+  const headings = []; // [{ level, text }] from the outermost in
+
+  const addQuestion = (text, choices = [], multiple = false) => {
+    const label = normalizeSpace(text).replace(/\s*[:*]+$/, '');
+    if (!label) return;
+    const section = headings.map(h => h.text.replace(/>/g, '-')).join(' > ');
+    let type = guessType(label);
+    if (choices.length > 0) {
+      const yesNo = choices.length === 2 && choices.every(choice => /^(?:yes|no)$/i.test(choice));
+      type = yesNo ? 'yesno' : multiple ? 'multiselect' : 'select';
+    }
+    rows.push([section, label, type, type === 'select' || type === 'multiselect' ? choices.map(c => c.replace(/;/g, ',')).join('; ') : '']);
+  };
+
+  for (const block of outline.blocks) {
+    if (block.kind === 'heading') {
+      while (headings.length > 0 && headings[headings.length - 1].level >= block.level) headings.pop();
+      headings.push({ level: block.level, text: block.text });
+    } else if (block.kind === 'question') {
+      addQuestion(block.text, block.choices, block.multiple);
+    } else if (block.kind === 'table') {
+      for (const [first, ...rest] of block.rows) {
+        if (!first) continue;
+        const answers = rest.filter(Boolean);
+        if (rest.length > 0 && answers.length === 0) {
+          addQuestion(first);
+        } else if (answers.some(cell => cell.search(CHOICE_MARK) >= 0)) {
+          const marks = answers.join(' ');
+          addQuestion(first, marks.split(CHOICE_MARK).map(normalizeSpace).filter(Boolean), BOX_MARK.test(marks));
+        } else if (rest.length === 0 && /[?:]$/.test(first)) {
+          // Single-cell tables are often boxed prompts
+          addQuestion(first);
+        }
+      }
+    }
+  }
+  return rows;
+}
+
+/**
+ * Local fallback for document generation: outline -> `add` operations via
+ * the question list import. Returns the same shape as questionRowsToOperations.
+ */
+export function outlineToOperations(outline, options) {
+  const rows = outlineToQuestionRows(outline);
+  if (rows.length < 2) throw new Error('No questions found in the document');
+  return questionRowsToOperations(rows, options);
+}
+
+// "3 headings, 12 questions, 1 table"
+export function describeOutline(outline) {
+  const counts = { heading: 0, question: 0, table: 0 };
+  for (const block of outline.blocks) counts[block.kind]++;
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  return [plural(counts.heading, 'heading'), plural(counts.question, 'question'), plural(counts.table, 'table')].join(', ');
+}
@@ -0,0 +1,261 @@
+/**
+ * Export Diff
+ *
+ * Compares two Stencil exports element by element (matched on uid) and
+ * builds a merged tree of added, removed, moved and changed elements for
+ * the operations preview.
+ */
+
+// Element sections compared property by property
+const DIFF_SECTIONS = ['config', 'visibility', 'styling'];
+
+// Index every element by uid with its parent and position among siblings
+function indexElements(elements, parentUid = null, index = new Map()) {
+  elements.forEach((el, position) => {
+    if (!el || !el.uid) return;
+    index.set(el.uid, { el, parentUid, position });
+    if (Array.isArray(el.elements)) {
+      indexElements(el.elements, el.uid, index);
+    }
+  });
+  return index;
+}
+
+function getElements(exportData) {
+  return exportData?.records?.Stencil?.[0]?.json?.elements || [];
+}
+
+// Display label for an element (groups/fields use their label, text uses its stripped HTML)
+export function getElementLabel(el) {
+  if (!el) return '';
+  const label = el.config?.label || el.label;
+  if (label) return String(label).replace(/<[^>]*>/g, '').trim();
+  if (el.element_type === 'text' && el.config?.text) {
+    const text = String(el.config.text).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    return text.length > 60 ? text.substring(0, 60) + '...' : text;
+  }
+  return el.name || el.element_type || 'element';
+}
+
+function formatValue(value) {
+  if (value === undefined) return '(unset)';
+  if (typeof value === 'string') {
+    const text = value.length > 60 ? value.substring(0, 60) + '...' : value;
+    return `"${text}"`;
+  }
+  return JSON.stringify(value);
+}
+
+// Property-level differences between two versions of the same element
+function diffProperties(before, after) {
+  const changes = [];
+
+  if (before.name !== after.name) {
+    changes.push({ key: 'name', before: formatValue(before.name), after: formatValue(after.name) });
+  }
+  // Top-level label mirrors config.label - only report it when it changed on its own
+  const configLabelChanged = before.config?.label !== after.config?.label;
+  if (before.label !== after.label && !configLabelChanged) {
+    changes.push({ key: 'label', before: formatValue(before.label), after: formatValue(after.label) });
+  }
+
+  for (const section of DIFF_SECTIONS) {
+    const a = before[section] || {};
+    const b = after[section] || {};
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const key of keys) {
+      if (JSON.stringify(a[key]) === JSON.stringify(b[key])) continue;
+      // Long HTML bodies are summarized rather than printed in full
+      if (section === 'config' && key === 'text') {
+        changes.push({ key: 'config.text', before: 'text content', after: 'updated text content' });
+        continue;
+      }
+      changes.push({ key: `${section}.${key}`, before: formatValue(a[key]), after: formatValue(b[key]) });
+    }
+  }
+
+  return changes;
+}
+
+// Longest increasing subsequence of positions - members kept their relative order
+function stableSet(positions) {
+  const tails = [];
+  const prev = new Array(positions.length).fill(-1);
+  const tailIdx = [];
+
+  positions.forEach((pos, i) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (tails[mid] < pos) lo = mid + 1;
+      else hi = mid;
+    }
+    tails[lo] = pos;
+    tailIdx[lo] = i;
+    prev[i] = lo > 0 ? tailIdx[lo - 1] : -1;
+  });
+
+  const stable = new Set();
+  let i = tailIdx[tails.length - 1];
+  while (i !== undefined && i !== -1) {
+    stable.add(i);
+    i = prev[i];
+  }
+  return stable;
+}
+
+/**
+ * Diff two exports.
+ * Returns { tree, counts } where tree is a list of merged nodes:
+ *   { uid, status: 'added'|'removed'|'moved'|'changed'|'unchanged', el, changes, children, hasChanges }
+ */
+export function diffExports(beforeExport, afterExport) {
+  const beforeIndex = indexElements(getElements(beforeExport));
+  const afterIndex = indexElements(getElements(afterExport));
+  const counts = { added: 0, removed: 0, moved: 0, changed: 0 };
+
+  // Elements that changed parent, or lost their order among surviving siblings
+  const moved = new Set();
+  const siblingsByParent = new Map();
+  for (const [uid, info] of afterIndex) {
+    const old = beforeIndex.get(uid);
+    if (!old) continue;
+    if (old.parentUid !== info.parentUid) {
+      moved.add(uid);
+      continue;
+    }
+    if (!siblingsByParent.has(info.parentUid)) siblingsByParent.set(info.parentUid, []);
+    siblingsByParent.get(info.parentUid).push({ uid, before: old.position, after: info.position });
+  }
+  for (const siblings of siblingsByParent.values()) {
+    siblings.sort((x, y) => x.after - y.after);
+    const stable = stableSet(siblings.map(s => s.before));
+    siblings.forEach((s, i) => {
+      if (!stable.has(i)) moved.add(s.uid);
+    });
+  }
+
+  function buildAfterNode(el) {
+    const old = beforeIndex.get(el.uid);
+    const node = { uid: el.uid, el, changes: [], children: [] };
+
+    if (!old) {
+      node.status = 'added';
+    } else {
+      node.changes = diffProperties(old.el, el);
+      if (moved.has(el.uid)) node.status = 'moved';
+      else if (node.changes.length > 0) node.status = 'changed';
+      else node.status = 'unchanged';
+    }
+    if (node.status !== 'unchanged') counts[node.status]++;
+
+    node.children = (el.elements || []).map(buildAfterNode);
+    insertRemoved(node.children, el.uid);
+    node.hasChanges = node.status !== 'unchanged' || node.children.some(c => c.hasChanges);
+    return node;
+  }
+
+  function buildRemovedNode(el) {
+    return {
+      uid: el.uid,
+      el,
+      status: 'removed',
+      changes: [],
+      children: [],
+      hasChanges: true,
+      removedDescendants: countDescendants(el)
+    };
+  }
+
+  // Place removed elements next to where they used to be among their old siblings
+  function insertRemoved(children, parentUid) {
+    for (const [uid, info] of beforeIndex) {
+      if (info.parentUid !== parentUid || afterIndex.has(uid)) continue;
+      // Children of a removed element are reported through their removed ancestor
+      counts.removed++;
+      const at = Math.min(info.position, children.length);
+      children.splice(at, 0, buildRemovedNode(info.el));
+    }
+  }
+
+  const tree = getElements(afterExport).map(buildAfterNode);
+  insertRemoved(tree, null);
+
+  return { tree, counts };
+}
+
+function countDescendants(el) {
+  let count = 0;
+  for (const child of el.elements || []) {
+    count += 1 + countDescendants(child);
+  }
+  return count;
+}
+
+const STATUS_MARKERS = {
+  added: '+',
+  removed: '−',
+  moved: '↕',
+  changed: '~',
+  unchanged: ''
+};
+
+/**
+ * Render a diff tree as HTML. Unchanged subtrees are collapsed into a count so
+ * large forms stay readable. `escapeHtml` is supplied by the caller.
+ */
+export function renderDiffTree(nodes, escapeHtml) {
+  const items = [];
+  let unchangedRun = 0;
+
+  const flushUnchanged = () => {
+    if (unchangedRun > 0) {
+      items.push(`<li class="diff-node diff-unchanged-run">… ${unchangedRun} unchanged</li>`);
+      unchangedRun = 0;
+    }
+  };
+
+  for (const node of nodes) {
+    if (!node.hasChanges) {
+      unchangedRun++;
+      continue;
+    }
+    flushUnchanged();
+
+    const type = node.el.element_type || 'element';
+    const label = escapeHtml(getElementLabel(node.el));
+    const marker = STATUS_MARKERS[node.status];
+
+    let extra = '';
+    if (node.status === 'removed' && node.removedDescendants > 0) {
+      extra = `<span class="diff-note">with ${node.removedDescendants} nested</span>`;
+    }
+
+    const props = node.changes.length > 0 ? `
+      <ul class="diff-props">
+        ${node.changes.map(c => `<li><span class="diff-prop-key">${escapeHtml(c.key)}</span>: ${escapeHtml(c.before)} → ${escapeHtml(c.after)}</li>`).join('')}
+      </ul>
+    ` : '';
+
+    const children = node.children.length > 0 && node.status !== 'removed'
+      ? renderDiffTree(node.children, escapeHtml)
+      : '';
+
+    items.push(`
+      <li class="diff-node diff-${node.status}">
+        <div class="diff-line">
+          <span class="diff-marker">${marker}</span>
+          <span class="diff-type">${escapeHtml(type)}</span>
+          <span class="diff-label">${label || '(no label)'}</span>
+          ${extra}
+        </div>
+        ${props}
+        ${children}
+      </li>
+    `);
+  }
+  flushUnchanged();
+
+  return `<ul class="diff-tree">${items.join('')}</ul>`;
+}
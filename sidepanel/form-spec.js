@@ -0,0 +1,259 @@
+/**
+ * Form Specification
+ *
+ * Renders a Stencil as a document program staff can review and sign off:
+ * numbered sections from TOC groups, numbered questions with type, required
+ * marker and choices, conditional rules as sentences and text blocks with
+ * their Liquid left as-is. Output is Markdown or a printable HTML page.
+ */
+
+import { getAttributeChoices, stripHtml, isFlagSet } from './data-dictionary.js';
+
+// Readable names for ModelAttribute types
+const TYPE_NAMES = {
+  string: 'Short text',
+  text: 'Long text',
+  integer: 'Number',
+  float: 'Decimal',
+  currency: 'Currency',
+  date: 'Date',
+  datetime: 'Date and time',
+  boolean: 'Yes / No',
+  multi_value: 'Choice',
+  file: 'File upload'
+};
+
+// Text HTML as plain lines, keeping paragraph and line breaks
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6]|tr)>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function hasLiquid(text) {
+  return /\{\{|\{%/.test(text);
+}
+
+/**
+ * Build the spec tree: [{ kind: 'section'|'group'|'question'|'text', ... }].
+ * Sections are TOC groups and get numbers ("1", "1.2"); other groups are
+ * unnumbered headings. Questions are numbered within their section ("Q1.3").
+ */
+export function buildFormSpec(exportData) {
+  const records = exportData?.records || {};
+  const attributes = new Map((records.ModelAttribute || []).map(attr => [attr.name, attr]));
+  const choicesByAttribute = getAttributeChoices(records);
+  const questionsByField = new Map();
+
+  let topLevelQuestions = 0;
+
+  function walk(list, section) {
+    const items = [];
+    let childSections = 0;
+
+    for (const el of list || []) {
+      if (!el) continue;
+      const config = el.config || {};
+      const condition = config.reveal_if_attribute
+        ? { field: config.reveal_if_attribute, values: [].concat(config.reveal_if_value ?? []), hide: config.reveal_if_type === 'hide' }
+        : null;
+
+      if (el.element_type === 'group') {
+        const label = stripHtml(config.label || el.label) || '(untitled group)';
+        if (isFlagSet(config.show_in_toc)) {
+          childSections++;
+          const number = section ? `${section.number}.${childSections}` : String(childSections);
+          const child = { number, questionCount: 0 };
+          items.push({ kind: 'section', number, label, condition, items: walk(el.elements, child) });
+        } else {
+          items.push({ kind: 'group', label, condition, items: walk(el.elements, section) });
+        }
+
+      } else if (el.element_type === 'attribute') {
+        const number = section ? `Q${section.number}.${++section.questionCount}` : `Q${++topLevelQuestions}`;
+        const attr = attributes.get(el.name);
+        const question = {
+          kind: 'question',
+          number,
+          label: stripHtml(config.label || el.label) || el.name,
+          name: el.name || '',
+          type: TYPE_NAMES[attr?.attribute_type] || attr?.attribute_type || 'Unknown type',
+          required: isFlagSet(config.required),
+          choices: (choicesByAttribute.get(el.name) || []).map(choice => choice.description || choice.value),
+          condition,
+          readOnlyStates: el.visibility?.read_only_states || [],
+          showStates: el.visibility?.show_states || []
+        };
+        if (el.name && !questionsByField.has(el.name)) questionsByField.set(el.name, question);
+        items.push(question);
+
+      } else if (el.element_type === 'text') {
+        // Liquid blocks keep their source untouched - stripping tags could eat a "<" comparison
+        const source = String(config.text || '');
+        const liquid = hasLiquid(source);
+        const text = liquid ? source.trim() : htmlToText(source);
+        if (text) items.push({ kind: 'text', text, liquid, condition });
+      }
+    }
+    return items;
+  }
+
+  return { items: walk(records.Stencil?.[0]?.json?.elements, null), questionsByField };
+}
+
+// "Shown when Q1.4 (Has budget?) = Yes or Maybe"
+function describeCondition(condition, questionsByField) {
+  if (!condition) return '';
+  const question = questionsByField.get(condition.field);
+  const subject = question ? `${question.number} (${question.label})` : condition.field;
+  const values = condition.values.filter(value => value !== '' && value !== null);
+  return `${condition.hide ? 'Hidden' : 'Shown'} when ${subject}${values.length > 0 ? ` = ${values.join(' or ')}` : ' has a value'}`;
+}
+
+function questionNotes(question, questionsByField) {
+  return [
+    describeCondition(question.condition, questionsByField),
+    question.showStates.length > 0 ? `Only in states: ${question.showStates.join(', ')}` : '',
+    question.readOnlyStates.length > 0 ? `Read-only in: ${question.readOnlyStates.join(', ')}` : ''
+  ].filter(Boolean);
+}
+
+// Markdown special characters that would change how a label renders
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]#|<>])/g, '\\$1');
+}
+
+export function formSpecToMarkdown(spec, meta = {}) {
+  const lines = [`# ${escapeMarkdown(meta.title || 'Form Specification')}`, ''];
+  if (meta.subtitle) lines.push(`_${escapeMarkdown(meta.subtitle)}_`, '');
+  lines.push('Questions marked **\\*** are required.', '');
+
+  function render(items, depth) {
+    for (const item of items) {
+      const condition = describeCondition(item.condition, spec.questionsByField);
+
+      if (item.kind === 'section' || item.kind === 'group') {
+        const heading = '#'.repeat(Math.min(depth + 2, 6));
+        const title = item.kind === 'section' ? `${item.number}. ${escapeMarkdown(item.label)}` : escapeMarkdown(item.label);
+        lines.push(`${heading} ${title}`, '');
+        if (condition) lines.push(`_${escapeMarkdown(condition)}_`, '');
+        render(item.items, depth + 1);
+
+      } else if (item.kind === 'question') {
+        lines.push(`**${item.number}. ${escapeMarkdown(item.label)}**${item.required ? ' \\*' : ''}`, '');
+        lines.push(`- Type: ${item.type}`);
+        lines.push(`- Field: \`${item.name}\``);
+        if (item.choices.length > 0) lines.push(`- Choices: ${item.choices.map(escapeMarkdown).join(', ')}`);
+        for (const note of questionNotes(item, spec.questionsByField)) lines.push(`- ${escapeMarkdown(note)}`);
+        lines.push('');
+
+      } else if (item.kind === 'text') {
+        if (condition) lines.push(`_${escapeMarkdown(condition)}:_`, '');
+        if (item.liquid) {
+          // Fenced so the Liquid stays exactly as written
+          const fence = item.text.includes('```') ? '~~~' : '```';
+          lines.push(`${fence}liquid`, item.text, fence, '');
+        } else {
+          lines.push(...item.text.split('\n').map(line => `> ${line}`), '');
+        }
+      }
+    }
+  }
+
+  render(spec.items, 0);
+  return lines.join('\n');
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const PRINT_STYLES = `
+  body { font-family: Georgia, 'Times New Roman', serif; font-size: 11pt; color: #111; max-width: 780px; margin: 32px auto; padding: 0 24px; line-height: 1.45; }
+  h1 { font-size: 20pt; margin-bottom: 4px; }
+  h2, h3, h4, h5, h6 { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; margin: 24px 0 8px; page-break-after: avoid; }
+  h2 { font-size: 15pt; border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+  h3 { font-size: 13pt; }
+  h4, h5, h6 { font-size: 11pt; }
+  .subtitle { color: #555; margin-bottom: 16px; }
+  .legend { font-size: 9pt; color: #555; margin-bottom: 24px; }
+  .condition { font-style: italic; color: #8a5300; font-size: 10pt; }
+  .question { margin: 12px 0; page-break-inside: avoid; }
+  .question-title { font-weight: bold; }
+  .required { color: #c00; }
+  .question ul { margin: 4px 0 0; padding-left: 20px; font-size: 10pt; color: #333; }
+  code { font-family: Consolas, Menlo, monospace; font-size: 9pt; background: #f3f3f3; padding: 0 3px; }
+  .text-block { margin: 12px 0; padding: 8px 12px; border-left: 3px solid #ccc; color: #333; white-space: pre-wrap; page-break-inside: avoid; }
+  .text-block.liquid { font-family: Consolas, Menlo, monospace; font-size: 9pt; background: #f8f8f8; }
+  @media print { body { margin: 0; max-width: none; } }
+`;
+
+export function formSpecToHtml(spec, meta = {}) {
+  const title = meta.title || 'Form Specification';
+  const parts = [];
+
+  function render(items, depth) {
+    for (const item of items) {
+      const condition = describeCondition(item.condition, spec.questionsByField);
+
+      if (item.kind === 'section' || item.kind === 'group') {
+        const level = Math.min(depth + 2, 6);
+        const heading = item.kind === 'section' ? `${item.number}. ${escapeHtml(item.label)}` : escapeHtml(item.label);
+        parts.push(`<h${level}>${heading}</h${level}>`);
+        if (condition) parts.push(`<div class="condition">${escapeHtml(condition)}</div>`);
+        render(item.items, depth + 1);
+
+      } else if (item.kind === 'question') {
+        const details = [
+          `<li>Type: ${escapeHtml(item.type)}</li>`,
+          `<li>Field: <code>${escapeHtml(item.name)}</code></li>`,
+          item.choices.length > 0 ? `<li>Choices: ${item.choices.map(escapeHtml).join(', ')}</li>` : '',
+          ...questionNotes(item, spec.questionsByField).map(note => `<li class="${note.startsWith('Shown') || note.startsWith('Hidden') ? 'condition' : ''}">${escapeHtml(note)}</li>`)
+        ].join('');
+        parts.push(`
+          <div class="question">
+            <div class="question-title">${escapeHtml(item.number)}. ${escapeHtml(item.label)}${item.required ? ' <span class="required">*</span>' : ''}</div>
+            <ul>${details}</ul>
+          </div>
+        `);
+
+      } else if (item.kind === 'text') {
+        if (condition) parts.push(`<div class="condition">${escapeHtml(condition)}:</div>`);
+        parts.push(`<div class="text-block${item.liquid ? ' liquid' : ''}">${escapeHtml(item.text)}</div>`);
+      }
+    }
+  }
+
+  render(spec.items, 0);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${meta.subtitle ? `<div class="subtitle">${escapeHtml(meta.subtitle)}</div>` : ''}
+<div class="legend">Questions marked <span class="required">*</span> are required.</div>
+${parts.join('\n')}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,811 @@
+/**
+ * Liquid Templates
+ *
+ * Parser, validator and preview renderer for the Liquid used in text
+ * elements (config.text).
+ * Fluxx runs an old Liquid engine - see LIQUID_PROMPT_PLAN.md for the tags it
+ * accepts - so templates that look fine elsewhere can still break the form.
+ */
+
+// Block tags and the tags allowed between their opening and end tag
+const BLOCK_TAGS = {
+  if: ['elsif', 'else'],
+  unless: ['elsif', 'else'],
+  case: ['when', 'else'],
+  for: ['else'],
+  tablerow: [],
+  capture: []
+};
+
+const SIMPLE_TAGS = ['assign', 'cycle', 'increment', 'decrement', 'break', 'continue'];
+
+// Rejected by Fluxx's old engine
+const UNSUPPORTED_TAGS = {
+  comment: 'comments are not supported by the Fluxx Liquid engine',
+  liquid: '{% liquid %} is not supported by the Fluxx Liquid engine',
+  render: '{% render %} is not supported by the Fluxx Liquid engine',
+  include: '{% include %} is not supported by the Fluxx Liquid engine',
+  echo: '{% echo %} is not supported by the Fluxx Liquid engine'
+};
+
+// Filters the old engine knows: the standard ones up to Liquid 3 plus the
+// Fluxx-specific ones. Later additions such as where and concat aren't there.
+const KNOWN_FILTERS = new Set([
+  'abs', 'append', 'capitalize', 'ceil', 'date', 'default', 'divided_by', 'downcase', 'escape',
+  'escape_once', 'first', 'floor', 'join', 'last', 'lstrip', 'map', 'minus', 'modulo', 'newline_to_br',
+  'plus', 'prepend', 'remove', 'remove_first', 'replace', 'replace_first', 'reverse', 'round', 'rstrip',
+  'size', 'slice', 'sort', 'split', 'strip', 'strip_html', 'strip_newlines', 'times', 'truncate',
+  'truncatewords', 'uniq', 'upcase', 'url_encode',
+  'format_date', 'currency_local', 'percentage'
+]);
+
+// model.* names that are columns or relationships rather than ModelAttributes
+const STANDARD_MODEL_FIELDS = new Set([
+  'id', 'created_at', 'updated_at', 'state', 'program_organization', 'grantee_user_ids'
+]);
+
+const MARKUP_PATTERN = /\{\{-?([\s\S]*?)-?\}\}|\{%-?([\s\S]*?)-?%\}/g;
+
+function lineAt(source, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i++) {
+    if (source[i] === '\n') line++;
+  }
+  return line;
+}
+
+// Split on `separator` outside quoted strings
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === '\'') {
+      quote = ch;
+    } else if (ch === separator) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Split output or assign markup into its expression and filters:
+ * "x | plus: 1, 2 | upcase" -> { expression: 'x', filters: [{ name: 'plus', args: ['1', '2'] }, { name: 'upcase', args: [] }] }
+ */
+export function splitFilters(markup) {
+  const [expression, ...rest] = splitOutsideQuotes(markup, '|');
+  const filters = rest.map(part => {
+    const colon = part.indexOf(':');
+    if (colon === -1) return { name: part.trim(), args: [] };
+    return {
+      name: part.substring(0, colon).trim(),
+      args: splitOutsideQuotes(part.substring(colon + 1), ',').map(arg => arg.trim()).filter(Boolean)
+    };
+  });
+  return { expression: expression.trim(), filters };
+}
+
+/**
+ * Parse a template into a tree.
+ * Nodes:
+ *   { type: 'text', value }
+ *   { type: 'output', markup, line }
+ *   { type: 'tag', name, markup, line }                       - assign, cycle, break, ...
+ *   { type: 'block', name, line, branches: [{ name, markup, line, body }] }
+ * The first branch of a block is its opening tag; elsif/else/when start new branches.
+ * Returns { nodes, errors } where errors are { severity, message, line }.
+ */
+export function parseLiquid(source) {
+  const text = String(source ?? '');
+  const errors = [];
+  const root = [];
+  const stack = [];
+  const currentBody = () => (stack.length > 0 ? stack[stack.length - 1].branches.at(-1).body : root);
+
+  const error = (message, line) => errors.push({ severity: 'error', message, line });
+
+  let lastIndex = 0;
+  let rawStart = null;
+  let match;
+  MARKUP_PATTERN.lastIndex = 0;
+
+  const pushText = (value, offset) => {
+    if (!value) return;
+    // A delimiter left in plain text means a tag or output was never closed
+    const open = value.search(/\{\{|\{%/);
+    if (open !== -1) {
+      error(`unclosed ${value.substr(open, 2)}`, lineAt(text, offset + open));
+    }
+    currentBody().push({ type: 'text', value });
+  };
+
+  while ((match = MARKUP_PATTERN.exec(text)) !== null) {
+    const line = lineAt(text, match.index);
+
+    // Inside {% raw %} everything up to {% endraw %} is text
+    if (rawStart !== null) {
+      if (match[2] !== undefined && match[2].trim() === 'endraw') {
+        currentBody().push({ type: 'text', value: text.substring(rawStart, match.index) });
+        rawStart = null;
+        lastIndex = MARKUP_PATTERN.lastIndex;
+      }
+      continue;
+    }
+
+    pushText(text.substring(lastIndex, match.index), lastIndex);
+    lastIndex = MARKUP_PATTERN.lastIndex;
+
+    if (match[1] !== undefined) {
+      if (!match[1].trim()) error('empty {{ }}', line);
+      currentBody().push({ type: 'output', markup: match[1].trim(), line });
+      continue;
+    }
+
+    const markup = match[2].trim();
+    const name = (markup.match(/^[A-Za-z_]+/) || [''])[0];
+    const args = markup.substring(name.length).trim();
+
+    if (!name) {
+      error(`invalid tag {% ${markup} %}`, line);
+    } else if (UNSUPPORTED_TAGS[name]) {
+      error(UNSUPPORTED_TAGS[name], line);
+    } else if (name === 'raw') {
+      rawStart = lastIndex;
+    } else if (BLOCK_TAGS[name]) {
+      const block = { type: 'block', name, line, branches: [{ name, markup: args, line, body: [] }] };
+      currentBody().push(block);
+      stack.push(block);
+    } else if (name.startsWith('end')) {
+      const open = stack[stack.length - 1];
+      const closes = name.substring(3);
+      if (UNSUPPORTED_TAGS[closes]) {
+        // Already reported at the opening tag
+      } else if (!open) {
+        error(`{% ${name} %} has no matching {% ${closes} %}`, line);
+      } else if (open.name !== closes) {
+        error(`{% ${name} %} closes {% ${open.name} %} opened on line ${open.line}`, line);
+        // Recover if the tag closes a block further up the stack
+        const depth = stack.map(b => b.name).lastIndexOf(closes);
+        if (depth !== -1) stack.length = depth;
+      } else {
+        stack.pop();
+      }
+    } else if (['elsif', 'else', 'when'].includes(name)) {
+      const open = stack[stack.length - 1];
+      if (!open || !BLOCK_TAGS[open.name].includes(name)) {
+        error(`{% ${name} %} is not inside ${name === 'when' ? 'a {% case %}' : 'an {% if %}'} block`, line);
+      } else {
+        open.branches.push({ name, markup: args, line, body: [] });
+      }
+    } else if (SIMPLE_TAGS.includes(name)) {
+      currentBody().push({ type: 'tag', name, markup: args, line });
+    } else {
+      error(`unknown tag {% ${name} %}`, line);
+    }
+  }
+
+  if (rawStart !== null) {
+    error('{% raw %} is never closed', lineAt(text, rawStart));
+  } else {
+    pushText(text.substring(lastIndex), lastIndex);
+  }
+
+  for (const open of stack) {
+    error(`{% ${open.name} %} on line ${open.line} is never closed`, open.line);
+  }
+
+  return { nodes: root, errors };
+}
+
+// Drop quoted strings so their contents aren't mistaken for variables
+function stripStrings(markup) {
+  return markup.replace(/"[^"]*"|'[^']*'/g, '""');
+}
+
+/**
+ * Validate a template. `attributeNames` (a Set) enables the model.* check.
+ * Returns a list of { severity: 'error'|'warning', message, line }.
+ */
+export function validateLiquid(source, { attributeNames = null } = {}) {
+  const { nodes, errors } = parseLiquid(source);
+  const issues = [...errors];
+  const reported = new Set();
+
+  const warn = (message, line) => {
+    if (reported.has(message)) return;
+    reported.add(message);
+    issues.push({ severity: 'warning', message, line });
+  };
+
+  const checkReferences = (markup, line) => {
+    if (!attributeNames || attributeNames.size === 0) return;
+    for (const ref of stripStrings(markup).matchAll(/\bmodel\.([A-Za-z_]\w*)/g)) {
+      const field = ref[1];
+      if (attributeNames.has(field) || STANDARD_MODEL_FIELDS.has(field) || field.startsWith('rd_tab_')) continue;
+      warn(`model.${field} is not a field of this form's model`, line);
+    }
+  };
+
+  const checkFilters = (markup, line) => {
+    for (const filter of splitFilters(markup).filters) {
+      if (!filter.name) {
+        issues.push({ severity: 'error', message: 'empty filter after |', line });
+      } else if (!KNOWN_FILTERS.has(filter.name)) {
+        warn(`filter "${filter.name}" is not supported by the Fluxx Liquid engine`, line);
+      }
+    }
+  };
+
+  const walk = (list) => {
+    for (const node of list) {
+      if (node.type === 'output') {
+        checkFilters(node.markup, node.line);
+        checkReferences(node.markup, node.line);
+      } else if (node.type === 'tag') {
+        if (node.name === 'assign') {
+          if (!/^[A-Za-z_][\w-]*\s*=\s*\S/.test(node.markup)) {
+            issues.push({ severity: 'error', message: 'malformed {% assign %}, expected name = value', line: node.line });
+          } else {
+            const value = node.markup.substring(node.markup.indexOf('=') + 1);
+            checkFilters(value, node.line);
+          }
+        }
+        checkReferences(node.markup, node.line);
+      } else if (node.type === 'block') {
+        for (const branch of node.branches) {
+          if (branch.name === 'for' && !/^[A-Za-z_]\w*\s+in\s+\S/.test(branch.markup)) {
+            issues.push({ severity: 'error', message: 'malformed {% for %}, expected item in collection', line: branch.line });
+          }
+          if (branch.name === 'capture' && !/^[A-Za-z_][\w-]*$/.test(branch.markup)) {
+            issues.push({ severity: 'error', message: '{% capture %} needs a variable name', line: branch.line });
+          }
+          if (['if', 'elsif', 'unless', 'case', 'when'].includes(branch.name) && !branch.markup) {
+            issues.push({ severity: 'error', message: `{% ${branch.name} %} is missing a condition`, line: branch.line });
+          }
+          checkReferences(branch.markup, branch.line);
+          walk(branch.body);
+        }
+      }
+    }
+  };
+
+  walk(nodes);
+  return issues.sort((a, b) => a.line - b.line);
+}
+
+// Rendering - evaluates the subset of Liquid Fluxx forms use against sample data
+
+const MAX_LOOP_ITERATIONS = 10000;
+
+// Thrown by {% break %} / {% continue %} and caught by the enclosing loop.
+// `output` collects what the iteration rendered before the tag.
+class LoopSignal {
+  constructor(kind) {
+    this.kind = kind;
+    this.output = '';
+  }
+}
+
+class RenderError extends Error {}
+
+function isEmpty(value) {
+  if (value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (value && typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || value === false ||
+    (typeof value === 'string' && value.trim() === '') || isEmpty(value);
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? 0 : number;
+}
+
+// Integers as Liquid sees them: "10.0" and 10.0 are floats
+function isInteger(value) {
+  if (typeof value === 'number') return Number.isInteger(value);
+  return /^\s*-?\d+\s*$/.test(toOutput(value));
+}
+
+// sort / sort_natural: by the items themselves or one of their properties, missing values last
+function sortItems(value, key, normalize) {
+  if (!Array.isArray(value)) return value;
+  const sortKey = (item) => normalize(key === undefined ? item : item?.[key]);
+  return [...value].sort((a, b) => {
+    const left = sortKey(a);
+    const right = sortKey(b);
+    if (left === undefined || left === null) return right === undefined || right === null ? 0 : 1;
+    if (right === undefined || right === null) return -1;
+    return left < right ? -1 : left > right ? 1 : 0;
+  });
+}
+
+function toOutput(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(toOutput).join('');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function parseDate(value) {
+  if (value === 'now' || value === 'today') return new Date();
+  if (value instanceof Date) return value;
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(typeof value === 'number' ? value * 1000 : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Enough of strftime for the formats used in forms
+function strftime(date, format) {
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  const hours12 = date.getHours() % 12 || 12;
+  const codes = {
+    Y: date.getFullYear(), y: pad(date.getFullYear() % 100), m: pad(date.getMonth() + 1),
+    d: pad(date.getDate()), e: date.getDate(), B: MONTHS[date.getMonth()], b: MONTHS[date.getMonth()].substring(0, 3),
+    A: DAYS[date.getDay()], a: DAYS[date.getDay()].substring(0, 3), H: pad(date.getHours()), I: pad(hours12),
+    M: pad(date.getMinutes()), S: pad(date.getSeconds()), p: date.getHours() < 12 ? 'AM' : 'PM', '%': '%'
+  };
+  return format.replace(/%([A-Za-z%])/g, (all, code) => (code in codes ? codes[code] : all));
+}
+
+const FILTERS = {
+  plus: (value, arg) => toNumber(value) + toNumber(arg),
+  minus: (value, arg) => toNumber(value) - toNumber(arg),
+  times: (value, arg) => toNumber(value) * toNumber(arg),
+  // Integer divided by integer is integer division in Liquid
+  divided_by: (value, arg) => {
+    const divisor = toNumber(arg);
+    if (divisor === 0) throw new RenderError('divided by 0');
+    const result = toNumber(value) / divisor;
+    return isInteger(value) && isInteger(arg) ? Math.floor(result) : result;
+  },
+  modulo: (value, arg) => toNumber(value) % toNumber(arg),
+  round: (value, digits = 0) => Number(toNumber(value).toFixed(toNumber(digits))),
+  floor: (value) => Math.floor(toNumber(value)),
+  ceil: (value) => Math.ceil(toNumber(value)),
+  abs: (value) => Math.abs(toNumber(value)),
+  at_least: (value, arg) => Math.max(toNumber(value), toNumber(arg)),
+  at_most: (value, arg) => Math.min(toNumber(value), toNumber(arg)),
+  default: (value, fallback) => (value === null || value === undefined || value === false || isEmpty(value) ? fallback : value),
+  size: (value) => (Array.isArray(value) || typeof value === 'string' ? value.length : 0),
+  first: (value) => (Array.isArray(value) ? value[0] : undefined),
+  last: (value) => (Array.isArray(value) ? value[value.length - 1] : undefined),
+  join: (value, separator = ' ') => (Array.isArray(value) ? value.map(toOutput).join(separator) : value),
+  map: (value, key) => (Array.isArray(value) ? value.map(item => item?.[key]) : value),
+  where: (value, key, target) => (Array.isArray(value)
+    ? value.filter(item => (target === undefined ? item?.[key] !== undefined && item?.[key] !== null && item?.[key] !== false : item?.[key] === target))
+    : value),
+  compact: (value) => (Array.isArray(value) ? value.filter(item => item !== null && item !== undefined) : value),
+  concat: (value, arg) => [...[].concat(value ?? []), ...[].concat(arg ?? [])],
+  reverse: (value) => (Array.isArray(value) ? [...value].reverse() : value),
+  sort: (value, key) => sortItems(value, key, item => item),
+  sort_natural: (value, key) => sortItems(value, key, item => (typeof item === 'string' ? item.toLowerCase() : item)),
+  uniq: (value) => (Array.isArray(value) ? [...new Set(value)] : value),
+  slice: (value, start, length = 1) => {
+    const items = Array.isArray(value) ? value : toOutput(value);
+    const from = Math.trunc(toNumber(start));
+    const begin = from < 0 ? Math.max(0, items.length + from) : from;
+    return items.slice(begin, begin + Math.max(0, Math.trunc(toNumber(length))));
+  },
+  split: (value, separator = ' ') => toOutput(value).split(toOutput(separator)),
+  upcase: (value) => toOutput(value).toUpperCase(),
+  downcase: (value) => toOutput(value).toLowerCase(),
+  capitalize: (value) => {
+    const text = toOutput(value);
+    return text.charAt(0).toUpperCase() + text.substring(1);
+  },
+  append: (value, arg) => toOutput(value) + toOutput(arg),
+  prepend: (value, arg) => toOutput(arg) + toOutput(value),
+  replace: (value, find, replacement = '') => toOutput(value).split(toOutput(find)).join(toOutput(replacement)),
+  replace_first: (value, find, replacement = '') => toOutput(value).replace(toOutput(find), () => toOutput(replacement)),
+  remove: (value, find) => toOutput(value).split(toOutput(find)).join(''),
+  remove_first: (value, find) => toOutput(value).replace(toOutput(find), ''),
+  strip: (value) => toOutput(value).trim(),
+  lstrip: (value) => toOutput(value).trimStart(),
+  rstrip: (value) => toOutput(value).trimEnd(),
+  strip_newlines: (value) => toOutput(value).replace(/\r?\n/g, ''),
+  newline_to_br: (value) => toOutput(value).replace(/\r?\n/g, '<br />\n'),
+  strip_html: (value) => toOutput(value).replace(/<[^>]*>/g, ''),
+  truncate: (value, length = 50, ellipsis = '...') => {
+    const text = toOutput(value);
+    const max = toNumber(length);
+    return text.length > max ? text.substring(0, Math.max(0, max - ellipsis.length)) + ellipsis : text;
+  },
+  truncatewords: (value, count = 15, ellipsis = '...') => {
+    const words = toOutput(value).split(/\s+/).filter(Boolean);
+    const max = Math.max(1, Math.trunc(toNumber(count)));
+    return words.length > max ? words.slice(0, max).join(' ') + ellipsis : words.join(' ');
+  },
+  escape: (value) => toOutput(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'),
+  escape_once: (value) => toOutput(value).replace(/&(?!(?:[a-z]+|#\d+|#x[0-9a-f]+);)/gi, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'),
+  url_encode: (value) => encodeURIComponent(toOutput(value)).replace(/%20/g, '+'),
+  url_decode: (value) => {
+    try {
+      return decodeURIComponent(toOutput(value).replace(/\+/g, ' '));
+    } catch (e) {
+      throw new RenderError('invalid URL encoding');
+    }
+  },
+  date: (value, format) => {
+    const date = parseDate(value);
+    return date && format ? strftime(date, format) : value;
+  },
+  // Fluxx filters - the instance's locale and currency are approximated with US defaults
+  currency_local: (value) => {
+    if (value === null || value === undefined || value === '') return '';
+    return toNumber(value).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+  },
+  format_date: (value, format) => {
+    const date = parseDate(value);
+    if (!date) return value ?? '';
+    return strftime(date, format || '%m/%d/%Y');
+  },
+  percentage: (value, digits = 0) => `${toNumber(value).toFixed(toNumber(digits))}%`
+};
+
+// Split an expression into operands, comparison operators and and/or
+function tokenizeCondition(markup) {
+  const tokens = [];
+  const pattern = /\s*("[^"]*"|'[^']*'|==|!=|<>|<=|>=|<|>|\(\S+?\.\.\S+?\)|[^\s=!<>]+)/g;
+  let match;
+  while ((match = pattern.exec(markup)) !== null) {
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+function compare(left, operator, right) {
+  const equals = (a, b) => {
+    if (b === EMPTY) return isEmpty(a);
+    if (a === EMPTY) return isEmpty(b);
+    if (b === BLANK) return isBlank(a);
+    if (a === BLANK) return isBlank(b);
+    if ((a === null || a === undefined) && (b === null || b === undefined)) return true;
+    return a === b;
+  };
+
+  switch (operator) {
+    case '==': return equals(left, right);
+    case '!=':
+    case '<>': return !equals(left, right);
+    case 'contains':
+      if (typeof left === 'string') return left.includes(toOutput(right));
+      if (Array.isArray(left)) return left.includes(right);
+      return false;
+  }
+
+  // Ordering only compares values of the same kind, as in Liquid
+  if (typeof left !== typeof right || (typeof left !== 'number' && typeof left !== 'string')) {
+    throw new RenderError(`cannot compare ${toOutput(left) || 'nil'} with ${toOutput(right) || 'nil'}`);
+  }
+  switch (operator) {
+    case '<': return left < right;
+    case '>': return left > right;
+    case '<=': return left <= right;
+    case '>=': return left >= right;
+  }
+  throw new RenderError(`unknown operator ${operator}`);
+}
+
+// Markers for the `empty` and `blank` literals
+const EMPTY = Symbol('empty');
+const BLANK = Symbol('blank');
+
+class Renderer {
+  constructor(context) {
+    this.scopes = [{ ...context }];
+    this.counters = {};
+    this.cycles = {};
+    this.errors = [];
+  }
+
+  lookup(name) {
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      if (Object.prototype.hasOwnProperty.call(this.scopes[i], name)) return this.scopes[i][name];
+    }
+    return undefined;
+  }
+
+  // Literals, ranges and variable paths like model.rd_tab_items[0].amount
+  evaluate(expression) {
+    const expr = expression.trim();
+    if (expr === '') return undefined;
+
+    const quoted = expr.match(/^"([\s\S]*)"$|^'([\s\S]*)'$/);
+    if (quoted) return quoted[1] ?? quoted[2];
+    if (/^-?\d+(\.\d+)?$/.test(expr)) return Number(expr);
+    if (expr === 'true') return true;
+    if (expr === 'false') return false;
+    if (expr === 'nil' || expr === 'null') return null;
+    if (expr === 'empty') return EMPTY;
+    if (expr === 'blank') return BLANK;
+
+    const range = expr.match(/^\((\S+?)\.\.(\S+?)\)$/);
+    if (range) {
+      const from = Math.trunc(toNumber(this.evaluate(range[1])));
+      const to = Math.trunc(toNumber(this.evaluate(range[2])));
+      const length = Math.min(Math.max(0, to - from + 1), MAX_LOOP_ITERATIONS);
+      return Array.from({ length }, (_, i) => from + i);
+    }
+
+    const segments = [];
+    const pattern = /^([A-Za-z_][\w-]*\??)|\.([A-Za-z_][\w-]*\??)|\[([^\]]+)\]/g;
+    let match;
+    let consumed = 0;
+    while ((match = pattern.exec(expr)) !== null && match.index === consumed) {
+      consumed = pattern.lastIndex;
+      if (match[1] !== undefined || match[2] !== undefined) segments.push(match[1] ?? match[2]);
+      else segments.push(this.evaluate(match[3]));
+    }
+    if (segments.length === 0 || consumed !== expr.length) {
+      throw new RenderError(`cannot read "${expr}"`);
+    }
+
+    let value = this.lookup(segments[0]);
+    for (const key of segments.slice(1)) {
+      if (value === null || value === undefined) return undefined;
+      if ((Array.isArray(value) || typeof value === 'string') && key === 'size') value = value.length;
+      else if (Array.isArray(value) && key === 'first') value = value[0];
+      else if (Array.isArray(value) && key === 'last') value = value[value.length - 1];
+      else value = value[key];
+    }
+    return value;
+  }
+
+  // Expression followed by filters: x | plus: 1 | currency_local
+  evaluateFiltered(markup) {
+    const { expression, filters } = splitFilters(markup);
+    // Filters get float literals as written, since 10.0 and 10 are the same JS number
+    const operand = (text) => (/^-?\d+\.\d+$/.test(text.trim()) ? text.trim() : this.evaluate(text));
+    let value = filters.length > 0 ? operand(expression) : this.evaluate(expression);
+    for (const filter of filters) {
+      const fn = FILTERS[filter.name];
+      if (!fn) throw new RenderError(`unknown filter "${filter.name}"`);
+      value = fn(value, ...filter.args.map(operand));
+    }
+    return value === EMPTY || value === BLANK ? '' : value;
+  }
+
+  // Conditions combine right to left without precedence, as in Liquid
+  evaluateCondition(markup) {
+    const tokens = tokenizeCondition(markup);
+    const evaluateFrom = (start) => {
+      const left = this.evaluate(tokens[start]);
+      let value = left;
+      let next = start + 1;
+      if (tokens[next] && tokens[next] !== 'and' && tokens[next] !== 'or') {
+        value = compare(left, tokens[next], this.evaluate(tokens[next + 1] ?? ''));
+        next += 2;
+      }
+      const truthy = value !== false && value !== null && value !== undefined;
+      if (tokens[next] === 'and') return truthy && evaluateFrom(next + 1);
+      if (tokens[next] === 'or') return truthy || evaluateFrom(next + 1);
+      return truthy;
+    };
+    return tokens.length > 0 && evaluateFrom(0);
+  }
+
+  renderNodes(nodes) {
+    let output = '';
+    for (const node of nodes) {
+      try {
+        output += this.renderNode(node);
+      } catch (signal) {
+        if (signal instanceof LoopSignal) signal.output = output + signal.output;
+        throw signal;
+      }
+    }
+    return output;
+  }
+
+  renderNode(node) {
+    if (node.type === 'text') return node.value;
+
+    try {
+      if (node.type === 'output') return toOutput(this.evaluateFiltered(node.markup));
+      if (node.type === 'tag') return this.renderTag(node);
+      if (node.type === 'block') return this.renderBlock(node);
+    } catch (err) {
+      if (err instanceof LoopSignal) throw err;
+      const message = err instanceof RenderError ? err.message : `internal error: ${err.message}`;
+      this.errors.push({ severity: 'error', message, line: node.line });
+      return `Liquid error: ${message}`;
+    }
+    return '';
+  }
+
+  renderTag(node) {
+    switch (node.name) {
+      case 'assign': {
+        const eq = node.markup.indexOf('=');
+        if (eq === -1) throw new RenderError('malformed assign');
+        // Assignments are global, even inside loops
+        this.scopes[0][node.markup.substring(0, eq).trim()] = this.evaluateFiltered(node.markup.substring(eq + 1));
+        return '';
+      }
+      case 'increment':
+      case 'decrement': {
+        const name = node.markup.trim();
+        const current = this.counters[name] ?? 0;
+        if (node.name === 'increment') {
+          this.counters[name] = current + 1;
+          return String(current);
+        }
+        this.counters[name] = current - 1;
+        return String(current - 1);
+      }
+      case 'cycle': {
+        const values = splitOutsideQuotes(node.markup.replace(/^[^"':,]+:\s*/, ''), ',').map(v => v.trim());
+        const key = node.markup;
+        const position = this.cycles[key] ?? 0;
+        this.cycles[key] = position + 1;
+        return toOutput(this.evaluate(values[position % values.length]));
+      }
+      case 'break':
+      case 'continue':
+        throw new LoopSignal(node.name);
+    }
+    return '';
+  }
+
+  renderBlock(node) {
+    const [opening, ...rest] = node.branches;
+
+    switch (node.name) {
+      case 'if':
+      case 'unless': {
+        const first = this.evaluateCondition(opening.markup);
+        if (node.name === 'if' ? first : !first) return this.renderNodes(opening.body);
+        for (const branch of rest) {
+          if (branch.name === 'else' || this.evaluateCondition(branch.markup)) {
+            return this.renderNodes(branch.body);
+          }
+        }
+        return '';
+      }
+      case 'case': {
+        const value = this.evaluate(opening.markup);
+        for (const branch of rest) {
+          if (branch.name === 'else') return this.renderNodes(branch.body);
+          const candidates = splitOutsideQuotes(branch.markup.replace(/\s+or\s+/g, ','), ',');
+          if (candidates.some(c => compare(value, '==', this.evaluate(c)))) {
+            return this.renderNodes(branch.body);
+          }
+        }
+        return '';
+      }
+      case 'capture':
+        this.scopes[0][opening.markup.trim()] = this.renderNodes(opening.body);
+        return '';
+      case 'for':
+        return this.renderFor(opening, rest.find(b => b.name === 'else'));
+      case 'tablerow':
+        throw new RenderError('{% tablerow %} is not supported in the preview');
+    }
+    return '';
+  }
+
+  renderFor(branch, elseBranch) {
+    const match = branch.markup.match(/^([A-Za-z_]\w*)\s+in\s+(\(\S+?\.\.\S+?\)|\S+)(.*)$/);
+    if (!match) throw new RenderError('malformed for loop');
+    const [, variable, collectionMarkup, optionsMarkup] = match;
+
+    let items = this.evaluate(collectionMarkup);
+    if (items && typeof items === 'object' && !Array.isArray(items)) items = Object.entries(items);
+    if (!Array.isArray(items)) items = [];
+
+    const offset = optionsMarkup.match(/offset:\s*(\S+)/);
+    const limit = optionsMarkup.match(/limit:\s*(\S+)/);
+    if (offset) items = items.slice(toNumber(this.evaluate(offset[1])));
+    if (limit) items = items.slice(0, toNumber(this.evaluate(limit[1])));
+    if (/\breversed\b/.test(optionsMarkup)) items = [...items].reverse();
+    items = items.slice(0, MAX_LOOP_ITERATIONS);
+
+    if (items.length === 0) return elseBranch ? this.renderNodes(elseBranch.body) : '';
+
+    let output = '';
+    const scope = {};
+    this.scopes.push(scope);
+    try {
+      for (let i = 0; i < items.length; i++) {
+        scope[variable] = items[i];
+        scope.forloop = {
+          index: i + 1, index0: i, rindex: items.length - i, rindex0: items.length - i - 1,
+          first: i === 0, last: i === items.length - 1, length: items.length
+        };
+        try {
+          output += this.renderNodes(branch.body);
+        } catch (signal) {
+          if (!(signal instanceof LoopSignal)) throw signal;
+          output += signal.output;
+          if (signal.kind === 'break') break;
+        }
+      }
+    } finally {
+      this.scopes.pop();
+    }
+    return output;
+  }
+}
+
+/**
+ * Render a template against `context` (e.g. { model: {...} }).
+ * Returns { html, errors } - render errors also appear inline as "Liquid error: ...",
+ * like they do on a Fluxx form.
+ */
+export function renderLiquid(source, context = {}) {
+  const { nodes, errors } = parseLiquid(source);
+  const renderer = new Renderer(context);
+  let html = '';
+  try {
+    html = renderer.renderNodes(nodes);
+  } catch (signal) {
+    // break/continue outside a loop just stop rendering
+    if (!(signal instanceof LoopSignal)) throw signal;
+    html = signal.output;
+  }
+  return { html, errors: [...errors, ...renderer.errors] };
+}
+
+// Placeholder values by ModelAttribute.attribute_type
+function sampleValue(name, attributeType) {
+  switch (attributeType) {
+    case 'currency':
+    case 'integer':
+    case 'float':
+    case 'decimal':
+      return 1000;
+    case 'boolean':
+      return true;
+    case 'date':
+    case 'datetime':
+      return new Date().toISOString().substring(0, 10);
+    default:
+      return `Sample ${name}`;
+  }
+}
+
+/**
+ * Starting `model` for the preview: every ModelAttribute with a placeholder value,
+ * plus two stub rows for each relationship the template loops over, with the
+ * fields the loop reads from them.
+ */
+export function buildSampleModel(attributes, template = '') {
+  const model = {};
+  for (const attr of attributes || []) {
+    if (attr?.name) model[attr.name] = sampleValue(attr.name, attr.attribute_type);
+  }
+
+  const source = String(template);
+  for (const loop of source.matchAll(/\{%-?\s*for\s+([A-Za-z_]\w*)\s+in\s+model\.([A-Za-z_]\w*)/g)) {
+    const [, variable, relationship] = loop;
+    const fields = new Set();
+    for (const ref of source.matchAll(new RegExp(`\\b${variable}\\.([A-Za-z_]\\w*)`, 'g'))) {
+      fields.add(ref[1]);
+    }
+    model[relationship] = [1, 2].map(row => {
+      const record = { id: row };
+      for (const field of fields) {
+        record[field] = /amount|total|paid|expense|budget/.test(field) ? row * 500 : `${field} ${row}`;
+      }
+      return record;
+    });
+  }
+
+  return model;
+}
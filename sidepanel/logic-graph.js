@@ -0,0 +1,262 @@
+/**
+ * Conditional Logic Graph
+ *
+ * Collects every reveal_if rule and visibility query (advanced_query) on a
+ * Stencil into a graph of which fields control which groups, fields and text
+ * blocks, and looks for logic that can't work: cycles, values the controlling
+ * field can never take, and elements whose controlling field is hidden - in
+ * workflow states where the element itself is shown, or on the form
+ * altogether. Uses the query helpers from json-ops.js, which the side panel
+ * loads as a classic script.
+ */
+
+import { getAttributeChoices, stripHtml } from './data-dictionary.js';
+
+function elementLabel(el) {
+  const label = stripHtml(el.config?.label || el.label);
+  if (label) return label;
+  if (el.element_type === 'text') {
+    const text = stripHtml(el.config?.text).replace(/\s+/g, ' ');
+    if (text) return text.length > 40 ? `${text.substring(0, 40)}…` : text;
+  }
+  return el.name || `${el.element_type || 'element'} ${el.uid || ''}`.trim();
+}
+
+// Fields an element's visibility depends on: its reveal_if field and every field its query reads
+function controllingFields(el) {
+  const fields = new Set(flattenQueryConditions(parseAdvancedQuery(el.visibility?.advanced_query)).map(c => c.attribute).filter(Boolean));
+  if (el.config?.reveal_if_attribute) fields.add(el.config.reveal_if_attribute);
+  return fields;
+}
+
+// Workflow states an element can appear in: null means every state.
+// show_states narrow down through every enclosing group.
+function narrowStates(parentStates, el) {
+  const own = el.visibility?.show_states;
+  if (!Array.isArray(own) || own.length === 0) return parentStates;
+  if (parentStates === null) return new Set(own);
+  return new Set(own.filter(state => parentStates.has(state)));
+}
+
+/**
+ * Analyze the conditional logic of an export. Returns
+ *   {
+ *     rules: [{ uid, label, type, path, field, values, hide, query, nested, el }],
+ *     controllers: Map(field name -> { field, label, uids, rules }),
+ *     roots: [field name],
+ *     issues: [{ severity, code, uid, message }],
+ *     elementsByUid: Map(uid -> { el, path, states, hidden, ancestors })
+ *   }
+ * where a rule's uid is the element it shows or hides, `query` describes its
+ * visibility query (null for reveal_if rules) and `nested` lists the
+ * controlling fields at or inside that element.
+ */
+export function analyzeConditionalLogic(exportData) {
+  const records = exportData?.records || {};
+  const allStates = (records.MachineState || []).map(state => state.name).filter(Boolean);
+  const choicesByAttribute = getAttributeChoices(records);
+
+  const elementsByUid = new Map();
+  const placements = new Map(); // field name -> [{ el, states, ancestors }]
+  const rules = [];
+
+  (function walk(list, path, states, hidden, ancestors) {
+    for (const el of list || []) {
+      if (!el) continue;
+      const elStates = narrowStates(states, el);
+      // Hidden elements (visible_form false) hide everything inside them
+      const elHidden = hidden || el.visibility?.visible_form === false;
+      const info = { el, path, states: elStates, hidden: elHidden, ancestors };
+      if (el.uid) elementsByUid.set(el.uid, info);
+
+      if (el.element_type === 'attribute' && el.name) {
+        if (!placements.has(el.name)) placements.set(el.name, []);
+        placements.get(el.name).push(info);
+      }
+
+      const field = el.config?.reveal_if_attribute;
+      if (field) {
+        rules.push({
+          uid: el.uid || null,
+          label: elementLabel(el),
+          type: el.element_type,
+          path,
+          field,
+          values: [].concat(el.config.reveal_if_value ?? []).filter(value => value !== '' && value !== null).map(String),
+          hide: el.config.reveal_if_type === 'hide',
+          query: null,
+          el
+        });
+      }
+
+      // Visibility queries become one rule per field they read
+      const query = parseAdvancedQuery(el.visibility?.advanced_query);
+      const queryFields = new Set(flattenQueryConditions(query).map(c => c.attribute).filter(Boolean));
+      for (const queryField of queryFields) {
+        rules.push({
+          uid: el.uid || null,
+          label: elementLabel(el),
+          type: el.element_type,
+          path,
+          field: queryField,
+          values: [],
+          hide: false,
+          query: describeAdvancedQuery(query),
+          el
+        });
+      }
+
+      if (Array.isArray(el.elements)) {
+        const childPath = el.element_type === 'group' ? [...path, elementLabel(el)] : path;
+        walk(el.elements, childPath, elStates, elHidden, [...ancestors, el]);
+      }
+    }
+  })(records.Stencil?.[0]?.json?.elements, [], null, false, []);
+
+  const controllers = new Map();
+  for (const rule of rules) {
+    if (!controllers.has(rule.field)) {
+      const placed = placements.get(rule.field) || [];
+      controllers.set(rule.field, {
+        field: rule.field,
+        label: placed.length > 0 ? elementLabel(placed[0].el) : rule.field,
+        uids: placed.map(p => p.el.uid).filter(Boolean),
+        rules: []
+      });
+    }
+    controllers.get(rule.field).rules.push(rule);
+  }
+
+  const issues = [];
+  const report = (severity, code, uid, message) => issues.push({ severity, code, uid, message });
+
+  // Cycles: a field depends on every field that shows or hides it or one of its groups
+  const dependsOn = new Map(); // field name -> Set of controlling field names
+  for (const [name, placed] of placements) {
+    const controlling = new Set();
+    for (const { el, ancestors } of placed) {
+      for (const node of [...ancestors, el]) {
+        for (const field of controllingFields(node)) controlling.add(field);
+      }
+    }
+    if (controlling.size > 0) dependsOn.set(name, controlling);
+  }
+
+  // Controlling fields placed at or inside each rule's element, for nesting the graph
+  for (const rule of rules) {
+    rule.nested = [...controllers.keys()].filter(name =>
+      (placements.get(name) || []).some(p => p.el === rule.el || p.ancestors.includes(rule.el)));
+  }
+
+  const seenCycles = new Set();
+  const visiting = [];
+  const done = new Set();
+  const visit = (name) => {
+    const index = visiting.indexOf(name);
+    if (index >= 0) {
+      const cycle = visiting.slice(index);
+      const key = [...cycle].sort().join('|');
+      if (seenCycles.has(key)) return;
+      seenCycles.add(key);
+
+      // Listed in the direction control flows: "A" → "B" means A shows or hides B
+      const names = [...cycle, name].reverse().map(n => `"${controllers.get(n)?.label || n}"`);
+      const rule = rules.find(r => cycle.includes(r.field) && r.nested.some(n => cycle.includes(n)));
+      let message = `Circular conditions: ${names.join(' → ')}`;
+      if (cycle.length === 1) {
+        message = rule?.el.element_type === 'attribute'
+          ? `${names[0]} is shown or hidden by its own value, so once hidden it can never be shown again`
+          : `${names[0]} controls a group that contains it, so once hidden it can never be shown again`;
+      }
+      report('error', 'logic_cycle', rule?.uid || null, message);
+      return;
+    }
+    if (done.has(name)) return;
+    visiting.push(name);
+    for (const next of dependsOn.get(name) || []) visit(next);
+    visiting.pop();
+    done.add(name);
+  };
+  for (const name of dependsOn.keys()) visit(name);
+
+  for (const rule of rules) {
+    // Queries are evaluated on the saved record, so their fields needn't be on
+    // screen; Check Form validates their values
+    if (rule.query) continue;
+
+    const subject = `"${rule.label}"`;
+    const controller = controllers.get(rule.field);
+
+    // Values the controlling field can never have
+    const choices = choicesByAttribute.get(rule.field);
+    if (choices && rule.values.length > 0) {
+      const valid = new Set(choices.map(choice => choice.value));
+      const invalid = rule.values.filter(value => !valid.has(value));
+      if (invalid.length === rule.values.length) {
+        const notChoices = invalid.length === 1 ? 'which is not a choice' : 'which are not choices';
+        report(rule.hide ? 'warning' : 'error', 'unsatisfiable_rule', rule.uid, rule.hide
+          ? `${subject} is hidden when "${controller.label}" = ${invalid.join(' or ')}, ${notChoices} of that field, so the rule never applies`
+          : `${subject} is shown only when "${controller.label}" = ${invalid.join(' or ')}, ${notChoices} of that field, so it can never be shown`);
+      } else if (invalid.length > 0) {
+        report('warning', 'unsatisfiable_value', rule.uid, invalid.length === 1
+          ? `${subject}: "${invalid[0]}" is not a choice of "${controller.label}" and never matches`
+          : `${subject}: ${invalid.map(v => `"${v}"`).join(', ')} are not choices of "${controller.label}" and never match`);
+      }
+    }
+
+    // The controlling field has to be on screen wherever the element is
+    const placed = placements.get(rule.field) || [];
+    const elementInfo = rule.uid ? elementsByUid.get(rule.uid) : null;
+    if (elementInfo?.hidden) continue;
+    const elementStates = elementInfo?.states;
+    if (placed.length === 0) {
+      report('warning', 'hidden_controller', rule.uid, `${subject} is controlled by "${rule.field}", which is not on this form, so nobody can change it here`);
+      continue;
+    }
+    const visible = placed.filter(p => !p.hidden);
+    if (visible.length === 0) {
+      report('warning', 'hidden_controller', rule.uid, `${subject} depends on "${controller.label}", which is hidden on the form, so nobody can change it here`);
+      continue;
+    }
+    if (visible.some(p => p.states === null)) continue;
+
+    const controllerStates = new Set(visible.flatMap(p => [...p.states]));
+    const shownIn = elementStates ?? (allStates.length > 0 ? new Set(allStates) : null);
+    if (shownIn === null) {
+      report('warning', 'hidden_controller', rule.uid,
+        `${subject} is shown in every state, but "${controller.label}" only in ${[...controllerStates].join(', ') || 'no states'}`);
+      continue;
+    }
+    const uncovered = [...shownIn].filter(state => !controllerStates.has(state));
+    if (uncovered.length > 0) {
+      report('warning', 'hidden_controller', rule.uid,
+        `${subject} depends on "${controller.label}", which is hidden in ${uncovered.length === 1 ? 'state' : 'states'} ${uncovered.join(', ')}`);
+    }
+  }
+
+  // Graph roots: controlling fields nothing else shows or hides. Fields that
+  // only sit in cycles have no root, so they start a tree of their own.
+  const roots = [...controllers.keys()].filter(name => !dependsOn.has(name));
+  const reachable = new Set();
+  const mark = (name) => {
+    if (reachable.has(name)) return;
+    reachable.add(name);
+    for (const rule of controllers.get(name)?.rules || []) rule.nested.forEach(mark);
+  };
+  roots.forEach(mark);
+  for (const name of controllers.keys()) {
+    if (!reachable.has(name)) {
+      roots.push(name);
+      mark(name);
+    }
+  }
+
+  return { rules, controllers, roots, issues, elementsByUid };
+}
+
+// "show when = Yes or No", "hide when has a value", "query: amount > 5"
+export function describeRule(rule) {
+  if (rule.query) return `query: ${rule.query}`;
+  const condition = rule.values.length > 0 ? `= ${rule.values.join(' or ')}` : 'has a value';
+  return `${rule.hide ? 'hide' : 'show'} when ${condition}`;
+}
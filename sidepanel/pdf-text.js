@@ -0,0 +1,421 @@
+/**
+ * PDF Text
+ *
+ * Reads the text layer of a PDF as lines with their font size, so uploaded
+ * documents can be outlined without sending them anywhere. Covers what
+ * form documents exported from Word and Google Docs use: Flate streams,
+ * object streams and ToUnicode maps. Scanned PDFs have no text layer and
+ * encrypted ones can't be read; both throw.
+ */
+
+const latin1 = new TextDecoder('windows-1252');
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Parser for PDF values (dictionaries, arrays, names, strings, numbers, refs)
+// over a byte string. Names keep their leading slash; strings are { str }.
+const WHITESPACE = /[\0\t\n\f\r ]/;
+const DELIMITER = /[()<>[\]{}/%]/;
+
+function skipSpace(src, pos) {
+  while (pos < src.length) {
+    if (WHITESPACE.test(src[pos])) pos++;
+    else if (src[pos] === '%') while (pos < src.length && src[pos] !== '\n' && src[pos] !== '\r') pos++;
+    else break;
+  }
+  return pos;
+}
+
+function readToken(src, pos) {
+  const start = pos;
+  while (pos < src.length && !WHITESPACE.test(src[pos]) && !DELIMITER.test(src[pos])) pos++;
+  return { token: src.substring(start, pos), pos };
+}
+
+function readLiteralString(src, pos) {
+  let depth = 1;
+  let out = '';
+  pos++;
+  while (pos < src.length && depth > 0) {
+    const ch = src[pos];
+    if (ch === '\\') {
+      const next = src[pos + 1];
+      const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+      if (escapes[next] !== undefined) {
+        out += escapes[next];
+        pos += 2;
+      } else if (/[0-7]/.test(next)) {
+        const octal = /^[0-7]{1,3}/.exec(src.substring(pos + 1, pos + 4))[0];
+        out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        pos += 1 + octal.length;
+      } else if (next === '\r' || next === '\n') {
+        pos += next === '\r' && src[pos + 2] === '\n' ? 3 : 2;
+      } else {
+        pos++;
+      }
+      continue;
+    }
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (depth > 0) out += ch;
+    pos++;
+  }
+  return { value: { str: out }, pos };
+}
+
+function readHexString(src, pos) {
+  const end = src.indexOf('>', pos);
+  let hex = src.substring(pos + 1, end).replace(/[^0-9a-fA-F]/g, '');
+  if (hex.length % 2) hex += '0';
+  let out = '';
+  for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.substr(i, 2), 16));
+  return { value: { str: out }, pos: end + 1 };
+}
+
+function parseValue(src, pos) {
+  pos = skipSpace(src, pos);
+  const ch = src[pos];
+
+  if (ch === '<' && src[pos + 1] === '<') {
+    const dict = {};
+    pos += 2;
+    for (;;) {
+      pos = skipSpace(src, pos);
+      if (pos >= src.length) break;
+      if (src[pos] === '>' && src[pos + 1] === '>') {
+        pos += 2;
+        break;
+      }
+      const key = parseValue(src, pos);
+      const value = parseValue(src, key.pos);
+      if (typeof key.value === 'string' && key.value.startsWith('/')) dict[key.value.substring(1)] = value.value;
+      pos = value.pos;
+    }
+    return { value: dict, pos };
+  }
+  if (ch === '<') return readHexString(src, pos);
+  if (ch === '(') return readLiteralString(src, pos);
+  if (ch === '[') {
+    const array = [];
+    pos++;
+    for (;;) {
+      pos = skipSpace(src, pos);
+      if (pos >= src.length) break;
+      if (src[pos] === ']') {
+        pos++;
+        break;
+      }
+      const item = parseValue(src, pos);
+      array.push(item.value);
+      pos = item.pos;
+    }
+    return { value: array, pos };
+  }
+  if (ch === '/') {
+    const { token, pos: end } = readToken(src, pos + 1);
+    return { value: '/' + token.replace(/#([0-9a-fA-F]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), pos: end };
+  }
+
+  const { token, pos: end } = readToken(src, pos);
+  if (token === '') return { value: null, pos: pos + 1 };
+  if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+    // "12 0 R" is a reference
+    const ref = /^\s+(\d+)\s+R(?![A-Za-z])/.exec(src.substring(end, end + 20));
+    if (/^\d+$/.test(token) && ref) return { value: { ref: Number(token) }, pos: end + ref[0].length };
+    return { value: Number(token), pos: end };
+  }
+  if (token === 'true' || token === 'false') return { value: token === 'true', pos: end };
+  return { value: null, pos: end };
+}
+
+// Index every object in the file, including those packed into object streams
+async function loadObjects(bytes) {
+  const src = latin1.decode(bytes);
+  if (!src.startsWith('%PDF')) throw new Error('Not a PDF file');
+  // The trailer (or xref stream) points at an encryption dictionary
+  if (/\/Encrypt\s*(\d+\s+\d+\s+R|<<)/.test(src)) throw new Error('This PDF is encrypted');
+
+  const objects = new Map();
+  for (const match of src.matchAll(/(?:^|[\r\n\s])(\d+)\s+(\d+)\s+obj\b/g)) {
+    const number = Number(match[1]);
+    const { value, pos } = parseValue(src, match.index + match[0].length);
+    const object = { value, stream: null };
+
+    const after = skipSpace(src, pos);
+    if (src.startsWith('stream', after)) {
+      let start = after + 6;
+      if (src[start] === '\r') start++;
+      if (src[start] === '\n') start++;
+      const length = typeof value?.Length === 'number' ? value.Length : -1;
+      const end = length >= 0 && src.startsWith('endstream', skipSpace(src, start + length))
+        ? start + length
+        : src.indexOf('endstream', start);
+      object.stream = bytes.subarray(start, end);
+    }
+    // Later definitions (incremental updates) replace earlier ones
+    objects.set(number, object);
+  }
+
+  const resolve = (value) => (value && typeof value === 'object' && 'ref' in value ? objects.get(value.ref)?.value : value);
+
+  async function decodeStream(object) {
+    if (!object?.stream) return null;
+    if (object.decoded) return object.decoded;
+    const filters = [].concat(resolve(object.value?.Filter) || []);
+    let data = object.stream;
+    for (const filter of filters) {
+      if (filter !== '/FlateDecode') return null; // Images and other encodings don't carry text
+      data = await inflate(data);
+    }
+    object.decoded = data;
+    return data;
+  }
+
+  for (const [, object] of [...objects]) {
+    if (object.value?.Type !== '/ObjStm') continue;
+    try {
+      const data = latin1.decode(await decodeStream(object));
+      const first = resolve(object.value.First);
+      const header = data.substring(0, first).trim().split(/\s+/).map(Number);
+      for (let i = 0; i + 1 < header.length; i += 2) {
+        if (!objects.has(header[i])) {
+          objects.set(header[i], { value: parseValue(data, first + header[i + 1]).value, stream: null });
+        }
+      }
+    } catch (e) {
+      // A damaged object stream only loses the objects in it
+    }
+  }
+
+  return { objects, resolve, decodeStream };
+}
+
+// ToUnicode CMap -> { codeLength, map: Map(code -> string) }
+function parseToUnicode(text) {
+  const map = new Map();
+  const utf16 = (hex) => {
+    let out = '';
+    for (let i = 0; i + 3 < hex.length; i += 4) out += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+    return out;
+  };
+
+  const codespace = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(text);
+  const codeLength = codespace ? codespace[1].length / 2 : 1;
+
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(m[1], 16), utf16(m[2]));
+    }
+  }
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const low = parseInt(m[1], 16);
+      const high = parseInt(m[2], 16);
+      if (m[3].startsWith('[')) {
+        [...m[3].matchAll(/<([0-9a-fA-F]*)>/g)].forEach((dst, i) => map.set(low + i, utf16(dst[1])));
+      } else {
+        const base = m[3].slice(1, -1);
+        // Increment the last UTF-16 unit across the range
+        const prefix = utf16(base.substring(0, base.length - 4));
+        const last = parseInt(base.substring(base.length - 4), 16);
+        for (let code = low; code <= high && code - low < 65536; code++) {
+          map.set(code, prefix + String.fromCharCode(last + code - low));
+        }
+      }
+    }
+  }
+  return { codeLength, map };
+}
+
+// Turn a font dictionary into a byte-string -> text decoder
+async function buildFontDecoder(fontDict, pdf) {
+  const font = pdf.resolve(fontDict) || {};
+  const toUnicodeObject = font.ToUnicode && 'ref' in font.ToUnicode ? pdf.objects.get(font.ToUnicode.ref) : null;
+  const composite = font.Subtype === '/Type0';
+
+  if (toUnicodeObject) {
+    const data = await pdf.decodeStream(toUnicodeObject);
+    if (data) {
+      const { codeLength, map } = parseToUnicode(latin1.decode(data));
+      const length = composite ? Math.max(codeLength, 2) : codeLength;
+      return (str) => {
+        let out = '';
+        for (let i = 0; i < str.length; i += length) {
+          let code = 0;
+          for (let j = 0; j < length; j++) code = (code << 8) | (str.charCodeAt(i + j) || 0);
+          out += map.get(code) ?? '';
+        }
+        return out;
+      };
+    }
+  }
+
+  // Composite fonts without a map can't be read; simple fonts are close enough to WinAnsi
+  if (composite) return () => '';
+  return (str) => str;
+}
+
+// Split a content stream into operands and operators
+function* contentTokens(src) {
+  let pos = 0;
+  while (pos < src.length) {
+    pos = skipSpace(src, pos);
+    if (pos >= src.length) break;
+    const ch = src[pos];
+
+    if (ch === '(' || ch === '<' || ch === '[' || ch === '/') {
+      const { value, pos: end } = parseValue(src, pos);
+      yield { operand: value };
+      pos = end;
+      continue;
+    }
+    if (ch === ']' || ch === '>' || ch === ')' || ch === '{' || ch === '}') {
+      pos++;
+      continue;
+    }
+
+    const { token, pos: end } = readToken(src, pos);
+    pos = end;
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      yield { operand: Number(token) };
+    } else if (token === 'BI') {
+      // Inline images hold raw bytes; jump past "EI"
+      const ei = src.substring(pos).search(/\sEI(?=[\s]|$)/);
+      pos = ei < 0 ? src.length : pos + ei + 3;
+    } else if (token) {
+      yield { operator: token };
+    }
+  }
+}
+
+async function pageLines(page, pdf) {
+  // Resources are inheritable from parent page tree nodes
+  let resources = null;
+  for (let node = page; node && !resources; node = pdf.resolve(node.Parent)) {
+    resources = pdf.resolve(node.Resources);
+  }
+  const fontResources = pdf.resolve(resources?.Font) || {};
+  const decoders = new Map();
+  for (const [name, ref] of Object.entries(fontResources)) {
+    decoders.set('/' + name, await buildFontDecoder(ref, pdf));
+  }
+
+  const contentRefs = [].concat(page.Contents || []);
+  const parts = [];
+  for (const ref of contentRefs) {
+    const object = ref && 'ref' in ref ? pdf.objects.get(ref.ref) : null;
+    const data = object && await pdf.decodeStream(object);
+    if (data) parts.push(latin1.decode(data));
+  }
+
+  const lines = [];
+  let current = null;
+  let decode = (str) => str;
+  let fontSize = 12;
+  let leading = 0;
+  let tm = [1, 0, 0, 1, 0, 0];
+  let tlm = [1, 0, 0, 1, 0, 0];
+  let moved = false;
+  let operands = [];
+
+  const moveTo = (tx, ty) => {
+    tlm = [tlm[0], tlm[1], tlm[2], tlm[3], tx * tlm[0] + ty * tlm[2] + tlm[4], tx * tlm[1] + ty * tlm[3] + tlm[5]];
+    tm = [...tlm];
+    moved = true;
+  };
+
+  const emit = (text) => {
+    if (!text) return;
+    const size = Math.abs(fontSize * Math.hypot(tm[1], tm[3])) || fontSize;
+    const y = tm[5];
+    if (!current || Math.abs(current.y - y) > size * 0.5) {
+      current = { text: '', size, y };
+      lines.push(current);
+    } else if (moved && !/\s$/.test(current.text) && !/^\s/.test(text)) {
+      current.text += ' ';
+    }
+    current.text += text;
+    current.size = Math.max(current.size, size);
+    moved = false;
+  };
+
+  for (const token of contentTokens(parts.join('\n'))) {
+    if ('operand' in token) {
+      operands.push(token.operand);
+      continue;
+    }
+    const op = token.operator;
+    if (op === 'BT') {
+      tm = [1, 0, 0, 1, 0, 0];
+      tlm = [1, 0, 0, 1, 0, 0];
+    } else if (op === 'Tf') {
+      decode = decoders.get(operands[0]) || ((str) => str);
+      fontSize = Number(operands[1]) || fontSize;
+    } else if (op === 'TL') {
+      leading = Number(operands[0]) || 0;
+    } else if (op === 'Td') {
+      moveTo(operands[0], operands[1]);
+    } else if (op === 'TD') {
+      leading = -operands[1];
+      moveTo(operands[0], operands[1]);
+    } else if (op === 'Tm') {
+      tm = operands.slice(0, 6).map(Number);
+      tlm = [...tm];
+      moved = true;
+    } else if (op === 'T*') {
+      moveTo(0, -leading);
+    } else if (op === 'Tj' || op === "'" || op === '"') {
+      if (op !== 'Tj') moveTo(0, -leading);
+      const str = operands[operands.length - 1];
+      if (str?.str !== undefined) emit(decode(str.str));
+    } else if (op === 'TJ') {
+      const items = operands[operands.length - 1];
+      let text = '';
+      for (const item of Array.isArray(items) ? items : []) {
+        if (item?.str !== undefined) text += decode(item.str);
+        // Large negative kerning is how many generators write a space
+        else if (typeof item === 'number' && item < -250 && !/\s$/.test(text)) text += ' ';
+      }
+      emit(text);
+    }
+    operands = [];
+  }
+
+  return lines
+    .map(line => ({ text: line.text.replace(/\s+/g, ' ').trim(), size: Math.round(line.size * 10) / 10 }))
+    .filter(line => line.text);
+}
+
+/**
+ * Extract text lines from a PDF: [{ text, size, page }] in reading order
+ * as written by the generator (page by page, top to bottom for most files).
+ */
+export async function extractPdfLines(buffer) {
+  const pdf = await loadObjects(new Uint8Array(buffer));
+
+  // Walk the page tree from the catalog so pages come out in order
+  const pages = [];
+  const catalog = [...pdf.objects.values()].find(object => object.value?.Type === '/Catalog')?.value;
+  const visit = (node, depth = 0) => {
+    const value = pdf.resolve(node);
+    if (!value || depth > 50) return;
+    if (value.Type === '/Page') pages.push(value);
+    else for (const kid of value.Kids || []) visit(kid, depth + 1);
+  };
+  if (catalog) visit(catalog.Pages);
+  if (pages.length === 0) {
+    for (const object of pdf.objects.values()) if (object.value?.Type === '/Page') pages.push(object.value);
+  }
+
+  const lines = [];
+  for (let i = 0; i < pages.length; i++) {
+    for (const line of await pageLines(pages[i], pdf)) lines.push({ ...line, page: i + 1 });
+  }
+  if (lines.length === 0) {
+    throw new Error('No text found in this PDF. It may be a scanned image without a text layer');
+  }
+  return lines;
+}
@@ -0,0 +1,336 @@
+/**
+ * Question List Import
+ *
+ * Turns a CSV or .xlsx question list into `add` operations without the AI
+ * backend. One row per question, with columns such as section, label,
+ * field_name, type, required, choices and show_if. Sections can be nested
+ * with "Budget > Personnel"; each becomes a group with an alias that its
+ * fields and subsections target.
+ */
+
+import { readZip } from './zip.js';
+
+// Column header spellings accepted for each field (compared lowercased, without spaces/underscores)
+const COLUMN_ALIASES = {
+  section: ['section', 'group', 'sectionname', 'page'],
+  label: ['label', 'question', 'questiontext', 'prompt', 'title'],
+  fieldName: ['fieldname', 'field', 'name', 'attribute', 'attributename'],
+  type: ['type', 'fieldtype', 'questiontype', 'answertype'],
+  required: ['required', 'mandatory', 'isrequired'],
+  choices: ['choices', 'options', 'values', 'answers'],
+  showIf: ['showif', 'condition', 'conditional', 'showwhen', 'revealif']
+};
+
+// Spreadsheet wording -> add operation field_type
+const TYPE_ALIASES = {
+  string: ['', 'text', 'string', 'short', 'shorttext', 'singleline', 'textbox'],
+  text: ['longtext', 'paragraph', 'textarea', 'multiline', 'essay', 'narrative'],
+  integer: ['number', 'integer', 'int', 'whole'],
+  float: ['decimal', 'float', 'percent', 'percentage'],
+  currency: ['currency', 'money', 'amount', 'dollar', 'dollars'],
+  date: ['date'],
+  boolean: ['boolean', 'yesno', 'bool', 'checkbox', 'truefalse'],
+  select: ['select', 'dropdown', 'choice', 'singleselect', 'radio', 'picklist'],
+  multi_select: ['multiselect', 'multi', 'multiplechoice', 'checkboxes', 'multiplechoices']
+};
+
+const TRUE_WORDS = ['yes', 'y', 'true', '1', 'x', 'required', 'mandatory'];
+
+function normalizeKey(text) {
+  return String(text || '').toLowerCase().replace(/[\s_\-/]+/g, '');
+}
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells with embedded
+ * delimiters, quotes and newlines, and picks comma, semicolon or tab from the
+ * header line.
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+export function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&amp;/g, '&');
+}
+
+// All <t> text runs inside an XML fragment, joined (rich text splits cells into runs)
+function textRuns(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => decodeXml(m[1])).join('');
+}
+
+// "C12" -> 2 (zero-based column)
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/.exec(ref)?.[0] || 'A';
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Rows of the first worksheet of an .xlsx file as arrays of strings.
+ * Numbers come through as Excel stores them; formulas use their cached value.
+ */
+export async function readXlsxRows(buffer) {
+  const zip = readZip(buffer);
+
+  // The first sheet in the workbook isn't always sheet1.xml
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  if (zip.has('xl/workbook.xml') && zip.has('xl/_rels/workbook.xml.rels')) {
+    const workbook = await zip.readText('xl/workbook.xml');
+    const rels = await zip.readText('xl/_rels/workbook.xml.rels');
+    const firstSheetId = /<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbook)?.[1];
+    const relation = firstSheetId && [...rels.matchAll(/<Relationship\b[^>]*>/g)]
+      .map(m => m[0])
+      .find(tag => tag.includes(`Id="${firstSheetId}"`));
+    const target = relation && /Target="([^"]+)"/.exec(relation)?.[1];
+    if (target) sheetPath = target.startsWith('/') ? target.substring(1) : `xl/${target.replace(/^\.\//, '')}`;
+  }
+  if (!zip.has(sheetPath)) throw new Error('No worksheet found in the workbook');
+
+  const sharedStrings = zip.has('xl/sharedStrings.xml')
+    ? [...(await zip.readText('xl/sharedStrings.xml')).matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => textRuns(m[1]))
+    : [];
+
+  const sheet = await zip.readText(sheetPath);
+  const rows = [];
+  for (const rowMatch of sheet.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = [];
+    for (const cellMatch of (rowMatch[1] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const ref = /\br="([A-Z]+\d+)"/.exec(attrs)?.[1];
+      const type = /\bt="([^"]+)"/.exec(attrs)?.[1];
+      const raw = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+
+      let value = '';
+      if (type === 's') value = sharedStrings[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = textRuns(body);
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (raw !== undefined) value = decodeXml(raw);
+
+      row[ref ? columnIndex(ref) : row.length] = value;
+    }
+    rows.push(Array.from(row, cell => cell ?? ''));
+  }
+  return rows;
+}
+
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/<[^>]*>/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .substring(0, 50)
+    .replace(/_+$/, '');
+}
+
+function splitChoices(text) {
+  return String(text || '').split(/\s*(?:;|\||\r?\n)\s*/).map(choice => choice.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a show_if cell: "field = Yes", "field = A or B", "field in (A, B)"
+ * or "field: A | B". Returns { field, values } or null.
+ */
+function parseShowIf(text) {
+  const source = String(text || '').trim();
+  if (!source) return null;
+  // "in"/"is" only separate when there's no = or :, so "Organization is nonprofit = Yes" works
+  const match = /^(.+?)\s*(?:==?|:)\s*(.+)$/.exec(source) || /^(.+?)\s+(?:in|is)\s+(.+)$/i.exec(source);
+  if (!match) return { field: source, values: [] };
+  const values = match[2]
+    .replace(/^\((.*)\)$/, '$1')
+    .split(/\s*(?:,|\||;|\s+or\s+)\s*/i)
+    .map(value => value.trim().replace(/^["']|["']$/g, ''))
+    .filter(Boolean);
+  return { field: match[1].trim(), values };
+}
+
+/**
+ * Build `add` operations from spreadsheet rows (the first non-empty row is the header).
+ * `existingFieldNames` are ModelAttribute names already on the model: rows naming
+ * one place that field, generated names avoid them.
+ * Returns { operations, questionCount, sectionCount, warnings }.
+ */
+export function questionRowsToOperations(rows, { existingFieldNames = [] } = {}) {
+  const nonEmpty = rows.filter(row => row.some(cell => String(cell).trim() !== ''));
+  if (nonEmpty.length < 2) throw new Error('The file needs a header row and at least one question');
+
+  // Map header cells to known columns
+  const header = nonEmpty[0].map(normalizeKey);
+  const columns = {};
+  for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = header.findIndex(cell => aliases.includes(cell));
+    if (index >= 0) columns[key] = index;
+  }
+  if (columns.label === undefined && columns.fieldName === undefined) {
+    throw new Error('No "label" or "field_name" column found in the header row');
+  }
+
+  const typeByAlias = new Map();
+  for (const [type, aliases] of Object.entries(TYPE_ALIASES)) {
+    for (const alias of aliases) typeByAlias.set(alias, type);
+  }
+
+  const operations = [];
+  const warnings = [];
+  const sectionAliases = new Map(); // "Budget > Personnel" -> alias
+  const usedNames = new Set(existingFieldNames);
+  const nameByLabel = new Map(); // lowercased label -> field name, for show_if by label
+  const fieldOps = [];
+  let questionCount = 0;
+
+  const sectionFor = (path) => {
+    if (path.length === 0) return null;
+    const key = path.join(' > ');
+    if (sectionAliases.has(key)) return sectionAliases.get(key);
+
+    const parent = sectionFor(path.slice(0, -1));
+    const alias = `section_${sectionAliases.size + 1}`;
+    sectionAliases.set(key, alias);
+    operations.push({
+      type: 'add',
+      element_type: 'group',
+      label: path[path.length - 1],
+      config: { show_in_toc: parent ? '0' : '1', collapsible: '1', default_open: '1' },
+      alias,
+      ...(parent ? { target: `$${parent}`, position: 'inside' } : { target: '$root', position: 'after' })
+    });
+    return alias;
+  };
+
+  nonEmpty.slice(1).forEach((row, i) => {
+    const rowNumber = i + 2;
+    const cell = (key) => (columns[key] === undefined ? '' : String(row[columns[key]] ?? '').trim());
+
+    const label = cell('label') || cell('fieldName');
+    const path = cell('section').split(/\s*>\s*/).filter(Boolean);
+    const section = sectionFor(path);
+    if (!cell('label') && !cell('fieldName')) {
+      if (path.length === 0) warnings.push(`Row ${rowNumber}: no label or field name, skipped`);
+      return;
+    }
+
+    // Field name: as given, or generated from the label without clashing
+    let fieldName = slugify(cell('fieldName'));
+    if (cell('fieldName') && fieldName !== cell('fieldName')) {
+      warnings.push(`Row ${rowNumber}: field name "${cell('fieldName')}" changed to "${fieldName}"`);
+    }
+    if (!fieldName) {
+      const base = slugify(label) || `question_${rowNumber}`;
+      fieldName = base;
+      for (let n = 2; usedNames.has(fieldName); n++) fieldName = `${base}_${n}`;
+    } else if (fieldOps.some(op => op.field_name === fieldName)) {
+      warnings.push(`Row ${rowNumber}: field "${fieldName}" is already used by an earlier row`);
+    }
+    usedNames.add(fieldName);
+    nameByLabel.set(label.toLowerCase(), fieldName);
+
+    // Type: explicit, or a select when choices are listed
+    const choices = splitChoices(cell('choices'));
+    const typeText = normalizeKey(cell('type'));
+    let fieldType = typeByAlias.get(typeText);
+    if (!fieldType) {
+      warnings.push(`Row ${rowNumber}: unknown type "${cell('type')}", using short text`);
+      fieldType = 'string';
+    }
+    if (fieldType === 'string' && !typeText && choices.length > 0) fieldType = 'select';
+    if ((fieldType === 'select' || fieldType === 'multi_select') && choices.length === 0) {
+      warnings.push(`Row ${rowNumber}: "${label}" is a ${fieldType === 'select' ? 'dropdown' : 'multi-select'} without choices`);
+    }
+    if (choices.length > 0 && fieldType !== 'select' && fieldType !== 'multi_select') {
+      warnings.push(`Row ${rowNumber}: choices ignored for a ${fieldType} field`);
+    }
+
+    const op = {
+      type: 'add',
+      element_type: 'field',
+      label,
+      field_name: fieldName,
+      field_type: fieldType,
+      required: TRUE_WORDS.includes(cell('required').toLowerCase()),
+      ...(section ? { target: `$${section}`, position: 'inside' } : { target: '$root', position: 'after' })
+    };
+    if (fieldType === 'select' || fieldType === 'multi_select') op.choices = choices;
+    if (existingFieldNames.includes(fieldName)) {
+      warnings.push(`Row ${rowNumber}: "${fieldName}" already exists on the model, so the existing field is placed`);
+    }
+
+    const condition = parseShowIf(cell('showIf'));
+    if (condition) op._showIf = { ...condition, row: rowNumber };
+
+    operations.push(op);
+    fieldOps.push(op);
+    questionCount++;
+  });
+
+  // Resolve show_if once every row is known, so conditions can point at later questions
+  for (const op of fieldOps) {
+    const condition = op._showIf;
+    delete op._showIf;
+    if (!condition) continue;
+
+    const field = usedNames.has(condition.field) ? condition.field
+      : nameByLabel.get(condition.field.toLowerCase()) || (usedNames.has(slugify(condition.field)) ? slugify(condition.field) : null);
+    if (!field) {
+      warnings.push(`Row ${condition.row}: show_if refers to "${condition.field}", which is not a field in the file or on the model`);
+      continue;
+    }
+    op.config = { reveal_if_attribute: field, reveal_if_value: condition.values, reveal_if_type: 'show' };
+  }
+
+  return { operations, questionCount, sectionCount: sectionAliases.size, warnings };
+}
+
+// Read a .csv or .xlsx File into rows
+export async function readQuestionFile(file) {
+  const extension = file.name.toLowerCase().slice(file.name.lastIndexOf('.'));
+  if (extension === '.xlsx') return readXlsxRows(await file.arrayBuffer());
+  return parseCsv(await file.text());
+}
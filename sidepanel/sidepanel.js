@@ -3,14 +3,22 @@
  *
  * Main chat interface for the extension.
  * Communicates with content script and backend API.
+ * The operations engine (shared/json-ops.js) and form linter (shared/form-lint.js)
+ * are loaded as global scripts before this module so proposals can be previewed
+ * and checked locally.
  */
 
-// Configuration
-const CONFIG = {
-  apiEndpoint: 'https://fluxxai-web-service.onrender.com/api/chat',
-  generateFormEndpoint: 'https://fluxxai-web-service.onrender.com/api/generate-form',
-  maxRetries: 3
-};
+import { diffExports, renderDiffTree, getElementLabel } from './export-diff.js';
+import { validateLiquid, renderLiquid, buildSampleModel } from './liquid.js';
+import { buildDataDictionary, dictionaryToCsv, dictionaryToXlsx, getAttributeChoices } from './data-dictionary.js';
+import { buildFormSpec, formSpecToMarkdown, formSpecToHtml } from './form-spec.js';
+import { readQuestionFile, questionRowsToOperations } from './question-import.js';
+import { extractDocumentOutline, outlineToOperations, describeOutline } from './document-outline.js';
+import { analyzeConditionalLogic, describeRule } from './logic-graph.js';
+import { DEFAULT_SETTINGS, loadSettings, saveSettings, onSettingsChanged, fetchBackend, isFluxxUrl } from '../shared/settings.js';
+
+// Configuration - backend endpoints and request options from the options page
+let settings = DEFAULT_SETTINGS;
 
 // State
 let state = {
@@ -20,9 +28,21 @@ let state = {
   themeNameFromUI: null,
   modelNameFromUI: null,
   pendingOperations: null,
+  pendingPrompt: null, // Chat prompt or upload that produced the pending operations
+  pendingReport: null, // Local dry-run report for the pending operations
+  excludedOps: new Set(), // Indices of pending operations the user unticked
+  excludedBulkUids: new Map(), // Operation index -> uids unticked in a bulk_replace
+  editingOps: new Set(), // Indices of operation cards with the inline editor open
+  editedOps: new Set(), // Indices of operations changed by hand in the preview
+  allowFailures: false,
+  pendingLintIssues: [], // Form check problems introduced by the selected operations
+  allowLintErrors: false,
   isLoading: false,
   sessionId: null, // Session ID for tool-based architecture
-  lastDebugInfo: null // Store debug info from last API call
+  lastDebugInfo: null, // Store debug info from last API call
+  sandbox: false, // Working on an export file from disk instead of a Fluxx page
+  sandboxFileName: null,
+  sandboxUndoStack: [] // Exports before each local apply in sandbox mode
 };
 
 // DOM Elements
@@ -34,12 +54,31 @@ const elements = {
   themeName: document.getElementById('themeName'),
   elementCount: document.getElementById('elementCount'),
   refreshBtn: document.getElementById('refreshBtn'),
+  undoBtn: document.getElementById('undoBtn'),
+  checkFormBtn: document.getElementById('checkFormBtn'),
+  liquidPreviewBtn: document.getElementById('liquidPreviewBtn'),
+  colorsBtn: document.getElementById('colorsBtn'),
+  searchBtn: document.getElementById('searchBtn'),
+  outlineBtn: document.getElementById('outlineBtn'),
+  logicBtn: document.getElementById('logicBtn'),
+  conditionsBtn: document.getElementById('conditionsBtn'),
+  exportsBtn: document.getElementById('exportsBtn'),
+  downloadExportBtn: document.getElementById('downloadExportBtn'),
+  exitSandboxBtn: document.getElementById('exitSandboxBtn'),
+  sandboxFile: document.getElementById('sandboxFile'),
+  historyBtn: document.getElementById('historyBtn'),
+  toolPanel: document.getElementById('toolPanel'),
+  toolPanelTitle: document.getElementById('toolPanelTitle'),
+  toolPanelContent: document.getElementById('toolPanelContent'),
+  closeToolPanel: document.getElementById('closeToolPanel'),
   messages: document.getElementById('messages'),
+  settingsBtn: document.getElementById('settingsBtn'),
   operationsPreview: document.getElementById('operationsPreview'),
   previewContent: document.getElementById('previewContent'),
   cancelOps: document.getElementById('cancelOps'),
   rejectOps: document.getElementById('rejectOps'),
   applyOps: document.getElementById('applyOps'),
+  downloadOps: document.getElementById('downloadOps'),
   userInput: document.getElementById('userInput'),
   sendBtn: document.getElementById('sendBtn'),
   docUpload: document.getElementById('docUpload'),
@@ -48,6 +87,12 @@ const elements = {
 
 // Initialize
 async function init() {
+  settings = await loadSettings();
+  onSettingsChanged((updated) => {
+    settings = updated;
+    checkFluxxConnection();
+  });
+
   setupEventListeners();
 
   chrome.runtime.onMessage.addListener(handleMessage);
@@ -80,10 +125,48 @@ function setupEventListeners() {
   // Refresh export
   elements.refreshBtn.addEventListener('click', refreshExport);
 
+  // Roll back the last applied change set
+  elements.undoBtn.addEventListener('click', undoLastApply);
+
+  // Settings
+  elements.settingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+  // Offline sandbox mode
+  elements.sandboxFile.addEventListener('change', openSandboxFile);
+  elements.downloadExportBtn.addEventListener('click', downloadSandboxExport);
+  elements.exitSandboxBtn.addEventListener('click', exitSandbox);
+
+  // Version history
+  elements.historyBtn.addEventListener('click', showHistory);
+
+  // Form check
+  elements.checkFormBtn.addEventListener('click', showFormCheck);
+
+  // Liquid preview
+  elements.liquidPreviewBtn.addEventListener('click', () => showLiquidPreview());
+
+  // Data dictionary and other downloads
+  elements.exportsBtn.addEventListener('click', showExports);
+
+  // Outline with drag-and-drop reordering
+  elements.outlineBtn.addEventListener('click', showOutline);
+
+  // Search labels, field names and text
+  elements.searchBtn.addEventListener('click', showSearch);
+
+  // Conditional logic graph
+  elements.logicBtn.addEventListener('click', showLogic);
+  elements.conditionsBtn.addEventListener('click', showQueryEditor);
+
+  // Color usage and brand palette
+  elements.colorsBtn.addEventListener('click', showColors);
+  elements.closeToolPanel.addEventListener('click', closeToolPanel);
+
   // Operations preview
   elements.cancelOps.addEventListener('click', hideOperationsPreview);
   elements.rejectOps.addEventListener('click', hideOperationsPreview);
-  elements.applyOps.addEventListener('click', applyOperations);
+  elements.applyOps.addEventListener('click', applyPendingOperations);
+  elements.downloadOps.addEventListener('click', downloadPendingOperations);
 
   // Document upload for form generation
   elements.docUpload.addEventListener('change', handleDocumentUpload);
@@ -102,12 +185,15 @@ async function checkFluxxConnectionWithRetry(retries = 3, delay = 1000) {
   return false;
 }
 
-// Check if URL is a Fluxx site
+// Check if URL is a Fluxx site (built-in or user-added domain)
 function isFluxxSite(url) {
-  return url?.includes('fluxxlabs.com') || url?.includes('fluxx.io');
+  return isFluxxUrl(url, settings);
 }
 
 async function checkFluxxConnection() {
+  // Sandbox mode works on a file, not the active tab
+  if (state.sandbox) return true;
+
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
@@ -127,7 +213,7 @@ async function checkFluxxConnection() {
           setDisconnected('Loading...');
           chrome.scripting.executeScript({
             target: { tabId: tab.id },
-            files: ['content/fluxx-bridge.js']
+            files: ['shared/json-ops.js', 'shared/form-lint.js', 'content/fluxx-bridge.js']
           }).catch(() => {});
           resolve(false);
           return;
@@ -165,11 +251,12 @@ function setConnected(exportData, themeNameFromUI = null, modelNameFromUI = null
   if (oldStencilId && newStencilId && oldStencilId !== newStencilId) {
     state.sessionId = null;
     elements.messages.innerHTML = '';
+    closeToolPanel();
   }
 
   // Update UI
-  elements.status.querySelector('.status-dot').className = 'status-dot connected';
-  elements.status.querySelector('.status-text').textContent = 'Connected';
+  elements.status.querySelector('.status-dot').className = state.sandbox ? 'status-dot sandbox' : 'status-dot connected';
+  elements.status.querySelector('.status-text').textContent = state.sandbox ? 'Sandbox' : 'Connected';
 
   elements.connectionPanel.style.display = 'none';
   elements.formInfo.style.display = 'flex';
@@ -183,7 +270,7 @@ function setConnected(exportData, themeNameFromUI = null, modelNameFromUI = null
     elements.modelName.textContent = modelName;
 
     // Prefer UI theme name over export JSON data (more accurate)
-    const themeName = themeNameFromUI || exportData.name || stencil.name || '-';
+    const themeName = themeNameFromUI || exportData.name || stencil.name || state.sandboxFileName || '-';
     elements.themeName.textContent = themeName;
 
     // Count elements
@@ -191,6 +278,14 @@ function setConnected(exportData, themeNameFromUI = null, modelNameFromUI = null
     elements.elementCount.textContent = count;
   }
 
+  // Live forms refresh and keep history; sandbox copies download instead
+  elements.historyBtn.style.display = state.sandbox ? 'none' : 'inline-flex';
+  elements.refreshBtn.style.display = state.sandbox ? 'none' : 'inline-flex';
+  elements.downloadExportBtn.style.display = state.sandbox ? 'inline-flex' : 'none';
+  elements.exitSandboxBtn.style.display = state.sandbox ? 'inline-flex' : 'none';
+
+  updateUndoAvailability();
+
   // Enable input
   elements.userInput.disabled = false;
   elements.sendBtn.disabled = false;
@@ -219,6 +314,8 @@ function setDisconnected(reason) {
   elements.modelName.textContent = '-';
   elements.themeName.textContent = '-';
   elements.elementCount.textContent = '-';
+  elements.undoBtn.style.display = 'none';
+  closeToolPanel();
 
   elements.userInput.disabled = true;
   elements.sendBtn.disabled = true;
@@ -241,6 +338,7 @@ function handleMessage(message) {
   switch (message.type) {
     case 'FLUXX_PAGE_LOADED':
     case 'FLUXX_STATE_CHANGED':
+      if (state.sandbox) break;
       if (message.isOnFormEditor) {
         state.currentExport = null;
         // Show loading state while fetching new export
@@ -251,7 +349,7 @@ function handleMessage(message) {
       }
       break;
     case 'EXPORT_UPDATED':
-      if (message.data) {
+      if (message.data && !state.sandbox) {
         setConnected(message.data, message.themeNameFromUI, message.modelNameFromUI);
       }
       break;
@@ -259,6 +357,14 @@ function handleMessage(message) {
       addMessage('assistant', 'Changes applied successfully! The form has been updated.');
       setLoading(false);
       break;
+    case 'RESTORE_COMPLETE':
+      addMessage('assistant', 'Version restored. The form has been updated.');
+      setLoading(false);
+      break;
+    case 'UNDO_COMPLETE':
+      addMessage('assistant', 'Previous version restored. The last applied changes have been undone.');
+      setLoading(false);
+      break;
     case 'IMPORT_ERROR':
       addMessage('error', `Failed to apply changes: ${message.error}`);
       setLoading(false);
@@ -277,7 +383,7 @@ async function sendMessage() {
   setLoading(true);
 
   try {
-    const response = await fetch(CONFIG.apiEndpoint, {
+    const response = await fetchBackend(settings.apiEndpoint, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -285,7 +391,7 @@ async function sendMessage() {
         export: state.currentExport,
         sessionId: state.sessionId // Send session ID for tool-based architecture
       })
-    });
+    }, settings);
 
     if (!response.ok) {
       throw new Error(`API error: ${response.status}`);
@@ -310,7 +416,7 @@ async function sendMessage() {
       const explanation = data.explanation || 'Here are the proposed changes:';
       addMessage('assistant', explanation);
       showOperationsPreview(data.operations);
-      state.pendingOperations = data.operations;
+      state.pendingPrompt = text;
     } else if (data.operations && !Array.isArray(data.operations)) {
       addMessage('error', 'Invalid response format from AI. Please try again.');
     } else {
@@ -350,47 +456,69 @@ async function handleDocumentUpload(e) {
   const validExtensions = ['.pdf', '.doc', '.docx'];
   const fileExtension = file.name.toLowerCase().slice(file.name.lastIndexOf('.'));
 
+  // Question lists are turned into operations locally
+  if (fileExtension === '.csv' || fileExtension === '.xlsx') {
+    await importQuestionList(file);
+    e.target.value = '';
+    return;
+  }
+
   if (!validTypes.includes(file.type) && !validExtensions.includes(fileExtension)) {
-    addMessage('error', 'Please upload a PDF or Word document (.pdf, .doc, .docx)');
+    addMessage('error', 'Please upload a PDF or Word document (.pdf, .doc, .docx) or a question list (.csv, .xlsx)');
     e.target.value = '';
     return;
   }
 
-  addMessage('user', `📄 Uploaded: ${file.name}`);
-  addMessage('assistant', 'Analyzing document and generating form structure... This may take a moment.');
+  // Old .doc files are binary and can only be read by the backend
+  if (settings.documentUpload !== 'file' && fileExtension === '.doc') {
+    addMessage('error', 'Old .doc files can\'t be read in the browser. Save the document as .docx or PDF, or choose "Send the whole document" in Settings.');
+    e.target.value = '';
+    return;
+  }
 
+  addMessage('user', `📄 Uploaded: ${file.name}`);
   setLoading(true);
 
   try {
-    const formData = new FormData();
-    formData.append('document', file);
-
-    // Include current export for style reference (if available)
-    if (state.currentExport) {
-      formData.append('export', JSON.stringify(state.currentExport));
+    if (settings.documentUpload === 'file') {
+      addMessage('assistant', 'Analyzing document and generating form structure... This may take a moment.');
+      const formData = new FormData();
+      formData.append('document', file);
+      showGeneratedForm(await requestGeneratedForm(formData), file);
+      return;
     }
 
-    const response = await fetch(CONFIG.generateFormEndpoint, {
-      method: 'POST',
-      body: formData
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `Server error: ${response.status}`);
+    let outline;
+    try {
+      outline = await extractDocumentOutline(file);
+    } catch (err) {
+      addMessage('error', `Failed to read document: ${err.message}. To have the backend read it instead, choose "Send the whole document" in Settings.`);
+      return;
+    }
+    if (outline.blocks.length === 0) {
+      addMessage('error', 'No headings, questions or tables found in the document.');
+      return;
     }
 
-    const data = await response.json();
+    if (settings.documentUpload === 'local') {
+      buildFormFromOutline(outline, file);
+      return;
+    }
 
-    if (data.error) {
-      addMessage('error', data.error);
-    } else if (data.operations && Array.isArray(data.operations) && data.operations.length > 0) {
-      const explanation = data.explanation || `Generated ${data.operations.length} operations to create the form.`;
-      addMessage('assistant', explanation);
-      showOperationsPreview(data.operations);
-      state.pendingOperations = data.operations;
-    } else {
-      addMessage('error', 'Could not generate form structure from the document. Try a different document or describe what you need.');
+    // Only the outline leaves the browser
+    addMessage('assistant', `Read ${describeOutline(outline)} from ${file.name}. Generating form structure from the outline...`);
+    const formData = new FormData();
+    formData.append('outline', JSON.stringify({ ...outline, filename: file.name }));
+    try {
+      showGeneratedForm(await requestGeneratedForm(formData), file);
+    } catch (err) {
+      // Build locally only when the backend is unreachable or doesn't accept
+      // outlines; other failures are real errors and are reported as such
+      const unreachable = err instanceof TypeError;
+      const rejected = OUTLINE_UNSUPPORTED_STATUSES.includes(err.status);
+      if (!unreachable && !rejected) throw err;
+      addMessage('assistant', `The backend couldn't generate the form (${err.message}), so it was built from the outline locally.`);
+      buildFormFromOutline(outline, file);
     }
   } catch (err) {
     addMessage('error', `Failed to process document: ${err.message}`);
@@ -400,6 +528,81 @@ async function handleDocumentUpload(e) {
   }
 }
 
+// Responses from a backend that doesn't know the `outline` field
+const OUTLINE_UNSUPPORTED_STATUSES = [400, 404, 415, 422];
+
+// POST a document or outline to the generate-form endpoint; resolves to { operations, explanation }.
+// HTTP errors carry the response status.
+async function requestGeneratedForm(formData) {
+  // Include current export for style reference (if available)
+  if (state.currentExport) {
+    formData.append('export', JSON.stringify(state.currentExport));
+  }
+
+  const response = await fetchBackend(settings.generateFormEndpoint, {
+    method: 'POST',
+    body: formData
+  }, settings);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.error || `Server error: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  if (data.error) throw new Error(data.error);
+  if (!Array.isArray(data.operations) || data.operations.length === 0) {
+    throw new Error('Could not generate form structure from the document. Try a different document or describe what you need.');
+  }
+  return data;
+}
+
+function showGeneratedForm(data, file) {
+  addMessage('assistant', data.explanation || `Generated ${data.operations.length} operations to create the form.`);
+  showOperationsPreview(data.operations);
+  state.pendingPrompt = `Generated from document: ${file.name}`;
+}
+
+// Local fallback: outline -> question list rows -> add operations
+function buildFormFromOutline(outline, file) {
+  const existingFieldNames = (state.currentExport?.records?.ModelAttribute || []).map(attr => attr.name);
+  const result = outlineToOperations(outline, { existingFieldNames });
+  showImportedQuestions(result, file.name, `Generated from document: ${file.name}`);
+}
+
+// Build add operations from a CSV/XLSX question list, without the backend
+async function importQuestionList(file) {
+  addMessage('user', `📋 Uploaded: ${file.name}`);
+
+  try {
+    const rows = await readQuestionFile(file);
+    const existingFieldNames = (state.currentExport?.records?.ModelAttribute || []).map(attr => attr.name);
+    const result = questionRowsToOperations(rows, { existingFieldNames });
+
+    if (result.operations.length === 0) {
+      addMessage('error', 'No questions found in the file.');
+      return;
+    }
+    showImportedQuestions(result, file.name, `Imported from question list: ${file.name}`);
+  } catch (err) {
+    addMessage('error', `Failed to read question list: ${err.message}`);
+  }
+}
+
+// Summarize locally built questions (with any warnings) and open the preview
+function showImportedQuestions({ operations, questionCount, sectionCount, warnings }, source, prompt) {
+  const summary = `Read ${questionCount} question${questionCount === 1 ? '' : 's'}${sectionCount > 0 ? ` in ${sectionCount} section${sectionCount === 1 ? '' : 's'}` : ''} from ${source}.`;
+  if (warnings.length > 0) {
+    addMessage('assistant', `<p>${escapeHtml(summary)}</p><ul>${warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}</ul>`);
+  } else {
+    addMessage('assistant', summary);
+  }
+  showOperationsPreview(operations);
+  state.pendingPrompt = prompt;
+}
+
 function addMessage(type, content) {
   const messageDiv = document.createElement('div');
   messageDiv.className = `message ${type}`;
@@ -427,45 +630,480 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+// escapeHtml leaves quotes alone, so attribute values go through this instead
+function escapeAttr(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // Operations Preview
 function showOperationsPreview(operations) {
+  state.pendingOperations = operations;
+  state.excludedOps = new Set();
+  state.excludedBulkUids = new Map();
+  state.editingOps = new Set();
+  state.editedOps = new Set();
+  state.allowFailures = false;
+  state.allowLintErrors = false;
+
+  renderOperationsPreview();
+  elements.operationsPreview.style.display = 'block';
+}
+
+// Render the pending proposal with its selection, dry-run results and diff
+function renderOperationsPreview() {
+  const operations = state.pendingOperations || [];
+  const selected = getSelectedOperations();
+  const dryRun = dryRunOperations(selected.map(s => s.op));
+
+  // Map dry-run results (selected subset) back to the full proposal
+  const resultByIndex = new Map();
+  selected.forEach((s, i) => resultByIndex.set(s.index, dryRun.report?.[i]));
+  const brokenRefs = findBrokenAliasRefs(operations);
+  const attributeNames = getAttributeNames(dryRun.modified || state.currentExport);
+
   const html = operations.map((op, idx) => {
     const details = formatOperationDetails(op);
+    const included = !state.excludedOps.has(idx);
+    const result = included ? resultByIndex.get(idx) : null;
 
-    // Expandable section for bulk operations
+    // Expandable drill-down for bulk operations - each uid can be left out
     let bulkHtml = '';
-    if (details.isBulk && details.bulkLabels && details.bulkLabels.length > 0) {
-      const labelList = details.bulkLabels.slice(0, 20).map(label =>
-        `<li class="bulk-uid">${escapeHtml(label)}</li>`
-      ).join('');
-      const moreCount = details.bulkLabels.length > 20 ? details.bulkLabels.length - 20 : 0;
+    if (details.isBulk && Array.isArray(op.uids) && op.uids.length > 0) {
+      const excluded = state.excludedBulkUids.get(idx) || new Set();
+      const uidList = op.uids.map((uid, i) => {
+        const label = details.bulkLabels[i] || getElementLabelByUid(uid) || uid;
+        // Find/replace reports how many matches each element had
+        const matchCount = result?.matches && !excluded.has(uid) ? result.matches[uid] || 0 : null;
+        return `
+          <li class="bulk-uid">
+            <label>
+              <input type="checkbox" class="bulk-toggle" data-index="${idx}" data-uid="${escapeAttr(uid)}" ${excluded.has(uid) ? '' : 'checked'} ${included ? '' : 'disabled'}>
+              ${escapeHtml(label)}
+              ${matchCount !== null ? `<span class="bulk-matches${matchCount === 0 ? ' none' : ''}">${matchCount} match${matchCount === 1 ? '' : 'es'}</span>` : ''}
+            </label>
+          </li>
+        `;
+      }).join('');
+      const selectedCount = op.uids.length - excluded.size;
+      bulkHtml = `
+        <details class="bulk-details" data-index="${idx}">
+          <summary>${selectedCount} of ${op.uids.length} affected elements selected</summary>
+          <ul class="bulk-uid-list">${uidList}</ul>
+        </details>
+      `;
+    } else if (op.select && Array.isArray(result?.selected)) {
+      // Selector-based operations list what the query matched in the dry run
+      const matched = result.selected.map(uid => `<li class="bulk-uid">${escapeHtml(getElementLabelByUid(uid) || uid)}</li>`).join('');
       bulkHtml = `
         <details class="bulk-details">
-          <summary>Show ${details.bulkLabels.length} affected elements</summary>
-          <ul class="bulk-uid-list">${labelList}</ul>
-          ${moreCount > 0 ? `<div class="bulk-more">...and ${moreCount} more</div>` : ''}
+          <summary>${result.selected.length} element${result.selected.length === 1 ? '' : 's'} selected</summary>
+          <ul class="bulk-uid-list">${matched}</ul>
         </details>
       `;
     }
 
+    const dependencyWarning = included && brokenRefs.has(idx)
+      ? `<div class="op-result failed">Depends on ${brokenRefs.get(idx).map(a => escapeHtml(a)).join(', ')} from an excluded operation</div>`
+      : '';
+
+    const liquidIssues = included ? renderLiquidIssues(checkOperationLiquid(op, attributeNames)) : '';
+
+    const classes = ['op-item'];
+    if (!included) classes.push('op-excluded');
+    if (result) classes.push(`op-${result.status}`);
+
+    const editable = getEditableFields(op).length > 0;
+    const editing = state.editingOps.has(idx);
+    const hasLiquid = getOperationLiquidSources(op).length > 0;
+
     return `
-      <div class="op-item">
+      <div class="${classes.join(' ')}">
+        <input type="checkbox" class="op-toggle" data-index="${idx}" ${included ? 'checked' : ''} title="Include this operation">
         <span class="op-type ${op.type}">${op.type.replace('_', ' ')}</span>
         <div class="op-details">
-          <div class="op-summary">${escapeHtml(details.summary)}</div>
+          <div class="op-summary">
+            ${escapeHtml(details.summary)}
+            ${state.editedOps.has(idx) ? '<span class="op-edited">edited</span>' : ''}
+            ${editable ? `<button class="op-edit-toggle" data-index="${idx}">${editing ? 'Done' : 'Edit'}</button>` : ''}
+            ${hasLiquid ? `<button class="op-edit-toggle op-liquid-preview" data-index="${idx}">Preview</button>` : ''}
+          </div>
+          ${editing ? renderOperationEditor(op, idx) : ''}
           ${details.changes.length > 0 ? `
             <ul class="op-changes">
               ${details.changes.map(c => `<li>${escapeHtml(c)}</li>`).join('')}
             </ul>
           ` : ''}
           ${bulkHtml}
+          ${dependencyWarning}
+          ${liquidIssues}
+          ${renderOperationResult(result)}
         </div>
       </div>
     `;
   }).join('');
 
-  elements.previewContent.innerHTML = html;
-  elements.operationsPreview.style.display = 'block';
+  // Keep drill-downs open and the scroll position stable across re-renders
+  const openDetails = new Set(
+    Array.from(elements.previewContent.querySelectorAll('.bulk-details[open]')).map(d => d.dataset.index)
+  );
+  const scrollTop = elements.previewContent.scrollTop;
+
+  state.pendingReport = dryRun.report;
+  state.pendingLintIssues = dryRun.modified ? findNewLintIssues(state.currentExport, dryRun.modified) : [];
+  elements.previewContent.innerHTML = renderReportBanner(dryRun.report || []) +
+    renderLintBanner(state.pendingLintIssues) + html + renderStructuralDiff(dryRun);
+
+  elements.previewContent.querySelectorAll('.bulk-details').forEach(d => {
+    if (openDetails.has(d.dataset.index)) d.open = true;
+  });
+  elements.previewContent.scrollTop = scrollTop;
+
+  elements.previewContent.querySelectorAll('.op-toggle').forEach(input => {
+    input.addEventListener('change', () => {
+      const idx = Number(input.dataset.index);
+      if (input.checked) state.excludedOps.delete(idx);
+      else state.excludedOps.add(idx);
+      renderOperationsPreview();
+    });
+  });
+
+  elements.previewContent.querySelectorAll('.bulk-toggle').forEach(input => {
+    input.addEventListener('change', () => {
+      const idx = Number(input.dataset.index);
+      if (!state.excludedBulkUids.has(idx)) state.excludedBulkUids.set(idx, new Set());
+      const excluded = state.excludedBulkUids.get(idx);
+      if (input.checked) excluded.delete(input.dataset.uid);
+      else excluded.add(input.dataset.uid);
+      renderOperationsPreview();
+    });
+  });
+
+  elements.previewContent.querySelectorAll('.op-liquid-preview').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const op = state.pendingOperations[Number(btn.dataset.index)];
+      showLiquidPreview(getOperationLiquidSources(op)[0]);
+    });
+  });
+
+  elements.previewContent.querySelectorAll('.op-edit-toggle:not(.op-liquid-preview)').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const idx = Number(btn.dataset.index);
+      if (state.editingOps.has(idx)) state.editingOps.delete(idx);
+      else state.editingOps.add(idx);
+      renderOperationsPreview();
+    });
+  });
+
+  elements.previewContent.querySelectorAll('.op-editor [data-field]').forEach(input => {
+    input.addEventListener('change', () => {
+      const idx = Number(input.closest('.op-editor').dataset.index);
+      updateOperationField(idx, input.dataset.field, input);
+      renderOperationsPreview();
+    });
+  });
+
+  const allowFailures = document.getElementById('allowFailures');
+  if (allowFailures) {
+    allowFailures.checked = state.allowFailures;
+    allowFailures.addEventListener('change', () => {
+      state.allowFailures = allowFailures.checked;
+      updateApplyButton();
+    });
+  }
+
+  const allowLintErrors = document.getElementById('allowLintErrors');
+  if (allowLintErrors) {
+    allowLintErrors.checked = state.allowLintErrors;
+    allowLintErrors.addEventListener('change', () => {
+      state.allowLintErrors = allowLintErrors.checked;
+      updateApplyButton();
+    });
+  }
+  updateApplyButton();
+}
+
+// Inline Operation Editing
+const POSITION_OPTIONS = {
+  add: ['before', 'after', 'inside', 'inside_start', 'inside_end'],
+  move: ['before', 'after', 'inside', 'inside_start', 'inside_end'],
+  clone_subtree: ['before', 'after'],
+  replace_subtree: ['before', 'after', 'replace']
+};
+
+// Fields of an operation that can be corrected in place: { field, label, kind }
+function getEditableFields(op) {
+  const fields = [];
+
+  if (op.type === 'add') {
+    if (op.element_type === 'text') {
+      fields.push({ field: 'content', label: 'Content', kind: 'textarea' });
+    } else {
+      fields.push({ field: 'label', label: 'Label', kind: 'text' });
+    }
+    if (op.element_type === 'field') {
+      fields.push({ field: 'field_name', label: 'Field name', kind: 'text' });
+      fields.push({ field: 'required', label: 'Required', kind: 'checkbox' });
+    }
+    fields.push({ field: 'position', label: 'Position', kind: 'position' });
+  } else if (op.type === 'edit') {
+    if (op.label !== undefined) fields.push({ field: 'label', label: 'Label', kind: 'text' });
+    if (op.content !== undefined) fields.push({ field: 'content', label: 'Content', kind: 'textarea' });
+    if (op.required !== undefined) fields.push({ field: 'required', label: 'Required', kind: 'checkbox' });
+  } else if (op.type === 'move') {
+    fields.push({ field: 'position', label: 'Position', kind: 'position' });
+  } else if (op.type === 'clone_subtree') {
+    fields.push({ field: 'label_find', label: 'Find in labels', kind: 'text' });
+    fields.push({ field: 'label_replace', label: 'Replace with', kind: 'text' });
+    fields.push({ field: 'field_suffix', label: 'Field suffix', kind: 'text' });
+    fields.push({ field: 'position', label: 'Position', kind: 'position' });
+  } else if (op.type === 'replace_subtree') {
+    fields.push({ field: 'position', label: 'Position', kind: 'position' });
+  }
+
+  if ((op.type === 'add' || op.type === 'edit') && op.conditional?.field) {
+    fields.push({ field: 'conditional.values', label: `Show when ${op.conditional.field} is (comma separated)`, kind: 'list' });
+  }
+
+  return fields;
+}
+
+function renderOperationEditor(op, idx) {
+  const rows = getEditableFields(op).map(({ field, label, kind }) => {
+    const value = field === 'conditional.values' ? op.conditional?.values : op[field];
+
+    let input;
+    if (kind === 'textarea') {
+      input = `<textarea data-field="${field}" rows="4">${escapeHtml(value || '')}</textarea>`;
+    } else if (kind === 'checkbox') {
+      input = `<input type="checkbox" data-field="${field}" ${value ? 'checked' : ''}>`;
+    } else if (kind === 'position') {
+      const current = value || 'after';
+      const options = POSITION_OPTIONS[op.type].map(p =>
+        `<option value="${p}" ${p === current ? 'selected' : ''}>${p.replace('_', ' ')}</option>`
+      ).join('');
+      input = `<select data-field="${field}">${options}</select>`;
+    } else if (kind === 'list') {
+      input = `<input type="text" data-field="${field}" value="${escapeAttr([].concat(value ?? []).join(', '))}">`;
+    } else {
+      input = `<input type="text" data-field="${field}" value="${escapeAttr(value || '')}">`;
+    }
+
+    return `
+      <label class="op-editor-row ${kind === 'checkbox' ? 'inline' : ''}">
+        <span>${escapeHtml(label)}</span>
+        ${input}
+      </label>
+    `;
+  }).join('');
+
+  return `<div class="op-editor" data-index="${idx}">${rows}</div>`;
+}
+
+// Write an edited value back into the pending proposal
+function updateOperationField(idx, field, input) {
+  const op = { ...state.pendingOperations[idx] };
+
+  if (field === 'conditional.values') {
+    const values = input.value.split(',').map(v => v.trim()).filter(Boolean);
+    op.conditional = { ...op.conditional, values };
+  } else if (input.type === 'checkbox') {
+    op[field] = input.checked;
+  } else {
+    op[field] = input.value;
+  }
+
+  state.pendingOperations[idx] = op;
+  state.editedOps.add(idx);
+}
+
+// The ticked subset of the proposal, with unticked bulk uids removed
+function getSelectedOperations() {
+  const selected = [];
+  (state.pendingOperations || []).forEach((op, index) => {
+    if (state.excludedOps.has(index)) return;
+
+    const excludedUids = state.excludedBulkUids.get(index);
+    if (op.type === 'bulk_replace' && Array.isArray(op.uids) && excludedUids && excludedUids.size > 0) {
+      const keep = op.uids.map(uid => !excludedUids.has(uid));
+      const uids = op.uids.filter((uid, i) => keep[i]);
+      if (uids.length === 0) return;
+      const narrowed = { ...op, uids };
+      if (Array.isArray(op._labels)) {
+        narrowed._labels = op._labels.filter((label, i) => keep[i]);
+      }
+      selected.push({ index, op: narrowed });
+      return;
+    }
+
+    selected.push({ index, op });
+  });
+  return selected;
+}
+
+// "$alias" references an operation can make to elements added earlier in the proposal
+function getAliasRefs(op) {
+  const within = op.select?.within === undefined ? [] : [].concat(op.select.within);
+  return [op.after_uid, op.uid, op.target, op.target_uid, op.source_uid, ...within]
+    .filter(ref => typeof ref === 'string' && ref.startsWith('$') && ref !== '$root');
+}
+
+// Included operations whose aliases come from an excluded add (directly or through a chain)
+function findBrokenAliasRefs(operations) {
+  const missingAliases = new Set();
+  const broken = new Map();
+
+  operations.forEach((op, idx) => {
+    const refs = getAliasRefs(op).filter(ref => missingAliases.has(ref.slice(1)));
+    const excluded = state.excludedOps.has(idx);
+
+    if (!excluded && refs.length > 0) {
+      broken.set(idx, refs);
+    }
+    if (op.alias && (excluded || refs.length > 0)) {
+      missingAliases.add(op.alias);
+    }
+  });
+
+  return broken;
+}
+
+// Liquid Validation - text written by add/edit content and replace_subtree structures
+function getOperationLiquidSources(op) {
+  const sources = [];
+  if ((op.type === 'add' || op.type === 'edit') && typeof op.content === 'string') {
+    sources.push(op.content);
+  } else if (op.type === 'replace_subtree' && op.structure) {
+    const collect = (el) => {
+      if (!el || typeof el !== 'object') return;
+      if (el.element_type === 'text' && typeof el.config?.text === 'string') {
+        sources.push(el.config.text);
+      }
+      (el.elements || []).forEach(collect);
+    };
+    [].concat(op.structure).forEach(collect);
+  }
+  return sources;
+}
+
+function checkOperationLiquid(op, attributeNames) {
+  return getOperationLiquidSources(op).flatMap(text => validateLiquid(text, { attributeNames }));
+}
+
+function getAttributeNames(exportData) {
+  return new Set((exportData?.records?.ModelAttribute || []).map(a => a.name));
+}
+
+function renderLiquidIssues(issues) {
+  return issues.map(issue => {
+    const status = issue.severity === 'error' ? 'failed' : 'skipped';
+    return `<div class="op-result ${status}">Liquid line ${issue.line}: ${escapeHtml(issue.message)}</div>`;
+  }).join('');
+}
+
+function getElementLabelByUid(uid) {
+  const elementsList = state.currentExport?.records?.Stencil?.[0]?.json?.elements;
+  if (!elementsList) return null;
+  const el = findElementByUid(elementsList, uid);
+  return el ? getElementLabel(el) : null;
+}
+
+// Run the proposal against a copy of the current export without uploading anything
+function dryRunOperations(operations) {
+  if (!state.currentExport) {
+    return { modified: null, report: null, error: null };
+  }
+  try {
+    const { data, report } = applyOperations(state.currentExport, operations);
+    return { modified: data, report, error: null };
+  } catch (err) {
+    return { modified: null, report: null, error: err.message };
+  }
+}
+
+function renderOperationResult(result) {
+  if (!result || (result.status === 'applied' && !result.reason)) return '';
+  const labels = { applied: 'Applied', skipped: 'Skipped', failed: 'Failed' };
+  return `<div class="op-result ${result.status}">${labels[result.status]}: ${escapeHtml(result.reason || '')}</div>`;
+}
+
+function renderReportBanner(report) {
+  const failed = report.filter(entry => entry.status === 'failed').length;
+  const skipped = report.filter(entry => entry.status === 'skipped').length;
+  if (failed === 0 && skipped === 0) return '';
+
+  if (failed === 0) {
+    return `<div class="report-banner skipped">${skipped} of ${report.length} operations will be skipped.</div>`;
+  }
+  return `
+    <div class="report-banner failed">
+      <div>${failed} of ${report.length} operations failed in a dry run and nothing will be uploaded.</div>
+      <label class="report-override">
+        <input type="checkbox" id="allowFailures">
+        Apply anyway, leaving out the failed operations
+      </label>
+    </div>
+  `;
+}
+
+// Problems the dry-run result has that the current form doesn't
+function renderLintBanner(issues) {
+  if (issues.length === 0) return '';
+
+  const list = `<ul class="lint-list">${issues.map(issue => `<li class="lint-${issue.severity}">${escapeHtml(issue.message)}</li>`).join('')}</ul>`;
+  if (!hasLintErrors(issues)) {
+    return `<div class="report-banner skipped">These changes introduce ${issues.length} form warning(s):${list}</div>`;
+  }
+  return `
+    <div class="report-banner failed">
+      <div>These changes introduce form problems and nothing will be uploaded:</div>
+      ${list}
+      <label class="report-override">
+        <input type="checkbox" id="allowLintErrors">
+        Apply anyway
+      </label>
+    </div>
+  `;
+}
+
+// Block the upload while the dry run has failures or new form errors, unless the user opted to continue
+function updateApplyButton() {
+  const failed = (state.pendingReport || []).some(entry => entry.status === 'failed');
+  const lintErrors = hasLintErrors(state.pendingLintIssues || []);
+  const nothingSelected = getSelectedOperations().length === 0;
+  elements.applyOps.disabled = nothingSelected || (failed && !state.allowFailures) || (lintErrors && !state.allowLintErrors);
+  elements.downloadOps.disabled = elements.applyOps.disabled;
+}
+
+// Show what the dry run changes as a structural diff
+function renderStructuralDiff(dryRun) {
+  if (dryRun.error) {
+    return `<div class="diff-section diff-error">Could not preview changes: ${escapeHtml(dryRun.error)}</div>`;
+  }
+  if (!dryRun.modified) return '';
+
+  const diff = diffExports(state.currentExport, dryRun.modified);
+
+  const { counts } = diff;
+  const summary = [
+    `${counts.added} added`,
+    `${counts.removed} removed`,
+    `${counts.moved} moved`,
+    `${counts.changed} changed`
+  ].join(', ');
+
+  const hasChanges = counts.added + counts.removed + counts.moved + counts.changed > 0;
+
+  return `
+    <details class="diff-section" open>
+      <summary>Structural changes (${summary})</summary>
+      ${hasChanges ? renderDiffTree(diff.tree, escapeHtml) : '<div class="diff-empty">These operations do not change the form structure.</div>'}
+    </details>
+  `;
 }
 
 function formatOperationDetails(op) {
@@ -483,15 +1121,16 @@ function formatOperationDetails(op) {
       if (op.config.show_in_toc) details.changes.push('Show in TOC');
     }
     if (op.conditional) {
-      details.changes.push(`Conditional: show when ${op.conditional.field} = "${op.conditional.values?.join('" or "')}"`);
+      details.changes.push(`Conditional: show when ${op.conditional.field} = "${[].concat(op.conditional.values ?? []).join('" or "')}"`);
     }
+    if (op.advanced_query) details.changes.push(`Query: ${describeQueryChange(op.advanced_query)}`);
     if (op.styling?.background_color) details.changes.push(`Background: ${op.styling.background_color}`);
     if (op.visibility?.show_states) details.changes.push(`States: ${op.visibility.show_states.join(', ')}`);
     if (op.visibility?.user_profile) details.changes.push(`Profiles: ${op.visibility.user_profile.join(', ')}`);
 
   } else if (op.type === 'edit') {
     // EDIT operation
-    const name = op._label || `(${op.uid?.substring(0, 8)}...)`;
+    const name = op._label || (op.select ? 'selected elements' : `(${op.uid?.substring(0, 8)}...)`);
     details.summary = `Edit: ${name}`;
 
     // Label/content/required changes
@@ -513,12 +1152,14 @@ function formatOperationDetails(op) {
     // Conditional visibility
     if (op.conditional) {
       if (op.conditional.field) {
-        details.changes.push(`Conditional: ${op.conditional.type || 'show'} when ${op.conditional.field} = "${op.conditional.values?.join('" or "')}"`);
+        details.changes.push(`Conditional: ${op.conditional.type || 'show'} when ${op.conditional.field} = "${[].concat(op.conditional.values ?? []).join('" or "')}"`);
       } else {
         details.changes.push('Remove conditional visibility');
       }
     }
 
+    if (op.advanced_query !== undefined) details.changes.push(`Query: ${describeQueryChange(op.advanced_query)}`);
+
     // Styling changes
     if (op.styling) {
       const styleChanges = [];
@@ -550,23 +1191,37 @@ function formatOperationDetails(op) {
 
   } else if (op.type === 'move') {
     // MOVE operation
-    const name = op._label || `(${op.uid?.substring(0, 8)}...)`;
+    const name = op._label || (op.select ? 'selected elements' : `(${op.uid?.substring(0, 8)}...)`);
     details.summary = `Move: ${name}`;
-    details.changes.push(`Position: ${op.position} ${op.target?.startsWith('$') ? op.target : `(${op.target?.substring(0, 8)}...)`}`);
+    const targetName = op._target_label ? `"${op._target_label}"` : op.target?.startsWith('$') ? op.target : `(${op.target?.substring(0, 8)}...)`;
+    details.changes.push(`Position: ${op.position} ${targetName}`);
 
   } else if (op.type === 'delete') {
     // DELETE operation
-    const name = op._label || `(${op.uid?.substring(0, 8)}...)`;
+    const name = op._label || (op.select ? 'selected elements' : `(${op.uid?.substring(0, 8)}...)`);
     details.summary = `Delete: ${name}`;
     details.changes.push('⚠️ This will also delete all children');
 
+  } else if (op.type === 'set_advanced_query') {
+    // SET ADVANCED QUERY operation
+    const name = op._label || (op.select ? 'selected elements' : `(${op.uid?.substring(0, 8)}...)`);
+    details.summary = `Visibility query: ${name}`;
+    details.changes.push('query' in op ? describeQueryChange(op.query, 'Show only when ') : '⚠️ No query given - this operation will fail');
+
   } else if (op.type === 'bulk_replace') {
     // BULK REPLACE operation
-    const count = Array.isArray(op.uids) ? op.uids.length : 0;
+    const count = op.select ? 'selected' : Array.isArray(op.uids) ? op.uids.length : 0;
     if (op.find_color && op.replace_color) {
       details.summary = `Change ${op.find_color} → ${op.replace_color} (${count} elements)`;
-    } else if (op.find && op.replace) {
-      details.summary = `Replace "${op.find}" → "${op.replace}" (${count} elements)`;
+      if (op.color_match) details.changes.push(`Matching: ${op.color_match === 'exact' ? 'exact color' : 'any shade'}`);
+      if (op.color_property) details.changes.push(`Only in: ${[].concat(op.color_property).join(', ')}`);
+    } else if (op.find && typeof op.replace === 'string') {
+      details.summary = op.replace
+        ? `Replace "${op.find}" → "${op.replace}" (${count} elements)`
+        : `Remove "${op.find}" (${count} elements)`;
+      const modes = [op.regex ? `regex${op.flags ? ` /${op.flags}` : ''}` : '', op.whole_word ? 'whole word' : ''].filter(Boolean);
+      if (modes.length > 0) details.changes.push(`Matching: ${modes.join(', ')}`);
+      details.changes.push(`In: ${(op.fields === undefined ? ['text'] : [].concat(op.fields)).join(', ')}`);
     } else if (op.set_required !== undefined) {
       details.summary = `Set ${op.set_required ? 'required' : 'optional'} (${count} fields)`;
     } else if (op.set_read_only !== undefined) {
@@ -587,9 +1242,18 @@ function formatOperationDetails(op) {
     details.isBulk = true;
     details.bulkLabels = Array.isArray(op._labels) ? op._labels : [];
 
+  } else if (op.type === 'normalize_palette') {
+    // NORMALIZE PALETTE operation
+    const palette = Array.isArray(op.palette) ? op.palette : [];
+    const count = op.select ? 'selected' : Array.isArray(op.uids) ? op.uids.length : 0;
+    details.summary = `Normalize colors to palette${count ? ` (${count} elements)` : ''}`;
+    details.changes.push(`Palette: ${palette.join(', ')}`);
+    if (!op.include_neutrals) details.changes.push('Black, white and grays are kept');
+    if (typeof op.max_distance === 'number') details.changes.push(`Only colors within distance ${op.max_distance}`);
+
   } else if (op.type === 'clone_subtree') {
     // CLONE operation - efficient duplication
-    const sourceLabel = op._label || `(${op.source_uid?.substring(0, 8)}...)`;
+    const sourceLabel = op._label || (op.select ? 'selected elements' : `(${op.source_uid?.substring(0, 8)}...)`);
     details.summary = `Clone: ${sourceLabel}`;
 
     if (op.label_find && op.label_replace) {
@@ -635,23 +1299,87 @@ function formatOperationDetails(op) {
     details.summary = `${op.type || 'Unknown'} operation`;
   }
 
+  if (op.select) details.changes.unshift(`Selects: ${describeSelector(op.select)}`);
+
   return details;
 }
 
+// "amount > 50000 and program = Health", or a note that the query is removed
+function describeQueryChange(query, prefix = '') {
+  const parsed = parseAdvancedQuery(query);
+  if (!parsed || flattenQueryConditions(parsed).length === 0) return 'Remove visibility query';
+  return `${prefix}${describeAdvancedQuery(parsed)}`;
+}
+
+// Plain-language summary of a `select` query
+function describeSelector(select) {
+  if (!select || typeof select !== 'object') return 'invalid selector';
+  const flags = {
+    required: ['required', 'not required'],
+    collapsible: ['collapsible', 'not collapsible'],
+    has_conditional: ['conditional', 'not conditional'],
+    hidden: ['hidden', 'visible'],
+    read_only: ['read-only', 'editable']
+  };
+
+  const parts = [];
+  for (const [key, value] of Object.entries(select)) {
+    if (flags[key]) {
+      parts.push(flags[key][value ? 0 : 1]);
+    } else if (key === 'element_type') {
+      parts.push(`${[].concat(value).join(' or ')} elements`);
+    } else if (key === 'within') {
+      parts.push(`under ${[].concat(value).map(v => `"${v}"`).join(' or ')}`);
+    } else if (key === 'name') {
+      parts.push(`field name matches /${value}/`);
+    } else if (key === 'state') {
+      parts.push(`shown in "${value}"`);
+    } else {
+      parts.push(`${key} matches /${value}/`);
+    }
+  }
+  return parts.join(', ') || 'all elements';
+}
+
 function hideOperationsPreview() {
   elements.operationsPreview.style.display = 'none';
+  elements.applyOps.disabled = false;
+  elements.downloadOps.disabled = false;
   state.pendingOperations = null;
+  state.pendingPrompt = null;
+  state.pendingReport = null;
+  state.excludedOps = new Set();
+  state.excludedBulkUids = new Map();
+  state.editingOps = new Set();
+  state.editedOps = new Set();
+  state.allowFailures = false;
+  state.pendingLintIssues = [];
+  state.allowLintErrors = false;
 }
 
-async function applyOperations() {
-  if (!state.pendingOperations || !Array.isArray(state.pendingOperations) || !state.fluxxTabId) {
+async function applyPendingOperations() {
+  if (!state.pendingOperations || !Array.isArray(state.pendingOperations) || (!state.fluxxTabId && !state.sandbox)) {
     addMessage('error', 'Make sure you\'re in form preview mode.');
     return;
   }
 
-  const ops = [...state.pendingOperations];
+  const ops = getSelectedOperations().map(s => s.op);
+  if (ops.length === 0) {
+    addMessage('error', 'No operations selected.');
+    return;
+  }
+
+  const prompt = state.pendingPrompt;
+  const allowFailures = state.allowFailures;
+  const allowLintErrors = state.allowLintErrors;
   state.pendingOperations = null;
 
+  if (state.sandbox) {
+    hideOperationsPreview();
+    applySandboxOperations(ops, { allowFailures, allowLintErrors });
+    return;
+  }
+
   setLoading(true);
   hideOperationsPreview();
   addMessage('assistant', 'Applying changes...');
@@ -659,7 +1387,1219 @@ async function applyOperations() {
   chrome.tabs.sendMessage(state.fluxxTabId, {
     type: 'APPLY_OPERATIONS',
     operations: ops,
-    export: state.currentExport
+    export: state.currentExport,
+    prompt: prompt,
+    allowFailures: allowFailures,
+    allowLintErrors: allowLintErrors
+  });
+}
+
+// Apply the selected operations and download the result instead of importing it
+function downloadPendingOperations() {
+  if (!state.pendingOperations || !Array.isArray(state.pendingOperations) || (!state.fluxxTabId && !state.sandbox)) {
+    addMessage('error', 'Make sure you\'re in form preview mode.');
+    return;
+  }
+
+  const ops = getSelectedOperations().map(s => s.op);
+  if (ops.length === 0) {
+    addMessage('error', 'No operations selected.');
+    return;
+  }
+
+  const allowFailures = state.allowFailures;
+  const allowLintErrors = state.allowLintErrors;
+  hideOperationsPreview();
+
+  const onResult = (response) => {
+    if (!response?.success) {
+      addMessage('error', `Failed to build the import file: ${response?.error || 'No response from page'}`);
+      return;
+    }
+    downloadJson(response.data, 'fluxx_import.json');
+    const applied = response.report.filter(entry => entry.status === 'applied').length;
+    addMessage('assistant', `Downloaded fluxx_import.json with ${applied} of ${response.report.length} operations applied. Import it from the form builder when you're ready - the form itself was not changed.`);
+  };
+
+  // Sandbox copies are already local, so build the file here
+  if (state.sandbox) {
+    const { modified, report, error } = dryRunOperations(ops);
+    const failed = (report || []).some(entry => entry.status === 'failed');
+    const lintErrors = modified && hasLintErrors(findNewLintIssues(state.currentExport, modified));
+    if (error || (failed && !allowFailures)) {
+      onResult({ success: false, error: error || 'Some operations failed' });
+    } else if (lintErrors && !allowLintErrors) {
+      onResult({ success: false, error: 'The changes introduce form problems' });
+    } else {
+      onResult({ success: true, data: modified, report });
+    }
+    return;
+  }
+
+  chrome.tabs.sendMessage(state.fluxxTabId, {
+    type: 'APPLY_AND_DOWNLOAD',
+    operations: ops,
+    export: state.currentExport,
+    allowFailures: allowFailures,
+    allowLintErrors: allowLintErrors
+  }, (response) => {
+    // The tab was closed or navigated away while the file was being built
+    if (chrome.runtime.lastError) {
+      setDisconnected('Not connected');
+      onResult({ success: false, error: chrome.runtime.lastError.message });
+      return;
+    }
+    onResult(response);
+  });
+}
+
+// Undo Last Apply
+function getStencilId() {
+  return state.currentExport?.records?.Stencil?.[0]?.id || null;
+}
+
+// Show the undo button only when the content script saved a pre-apply snapshot for this form
+async function updateUndoAvailability() {
+  if (state.sandbox) {
+    elements.undoBtn.style.display = state.sandboxUndoStack.length > 0 ? 'inline-flex' : 'none';
+    elements.undoBtn.title = 'Revert the sandbox copy to before the last apply';
+    return;
+  }
+
+  const stencilId = getStencilId();
+  if (!stencilId) {
+    elements.undoBtn.style.display = 'none';
+    return;
+  }
+
+  const key = `undo_snapshot_${stencilId}`;
+  const stored = await chrome.storage.local.get(key);
+  const snapshot = stored[key];
+
+  // Connection may have changed while reading storage
+  if (getStencilId() !== stencilId) return;
+
+  if (snapshot) {
+    elements.undoBtn.style.display = 'inline-flex';
+    elements.undoBtn.title = `Restore the form as it was before ${new Date(snapshot.savedAt).toLocaleString()}`;
+  } else {
+    elements.undoBtn.style.display = 'none';
+  }
+}
+
+async function undoLastApply() {
+  if (state.sandbox) {
+    undoSandboxApply();
+    return;
+  }
+
+  const stencilId = getStencilId();
+  if (!stencilId || !state.fluxxTabId || state.isLoading) return;
+
+  const confirmed = confirm('Restore the form as it was before the last applied changes? Any edits made since then will be lost.');
+  if (!confirmed) return;
+
+  setLoading(true);
+  addMessage('assistant', 'Restoring previous version...');
+
+  chrome.tabs.sendMessage(state.fluxxTabId, {
+    type: 'UNDO_LAST_APPLY',
+    stencilId: stencilId
+  });
+}
+
+// Sandbox Mode - edit an export file from disk without a Fluxx page
+async function openSandboxFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (err) {
+    addMessage('error', `Could not read ${file.name}: ${err.message}`);
+    return;
+  }
+
+  if (!data?.records?.Stencil?.[0]) {
+    addMessage('error', `${file.name} is not a Fluxx stencil export (records.Stencil is missing).`);
+    return;
+  }
+
+  state.sandbox = true;
+  state.sandboxFileName = file.name;
+  state.sandboxUndoStack = [];
+  state.fluxxTabId = null;
+  state.sessionId = null;
+  elements.messages.innerHTML = '';
+
+  setConnected(data);
+  addMessage('assistant', `Sandbox mode: working on ${file.name}. Changes are applied to this copy only - download the modified export when you are done.`);
+}
+
+function applySandboxOperations(ops, { allowFailures, allowLintErrors }) {
+  let result;
+  try {
+    result = applyOperations(state.currentExport, ops);
+  } catch (err) {
+    addMessage('error', `Failed to apply changes: ${err.message}`);
+    return;
+  }
+
+  const failed = result.report.filter(entry => entry.status === 'failed');
+  if (failed.length > 0 && !allowFailures) {
+    addMessage('error', `${failed.length} operation(s) failed, the sandbox copy was not changed.`);
+    return;
+  }
+
+  if (hasLintErrors(findNewLintIssues(state.currentExport, result.data)) && !allowLintErrors) {
+    addMessage('error', 'The changes introduce form problems, the sandbox copy was not changed.');
+    return;
+  }
+
+  state.sandboxUndoStack.push(state.currentExport);
+  setConnected(result.data);
+
+  const applied = result.report.length - failed.length;
+  addMessage('assistant', `Applied ${applied} of ${result.report.length} operations to the sandbox copy. Use Download JSON to save it for import.`);
+}
+
+function undoSandboxApply() {
+  const previous = state.sandboxUndoStack.pop();
+  if (!previous) return;
+  setConnected(previous);
+  addMessage('assistant', 'Reverted the sandbox copy to before the last apply.');
+}
+
+function downloadSandboxExport() {
+  if (!state.currentExport) return;
+  downloadJson(state.currentExport, 'fluxx_import.json');
+}
+
+function exitSandbox() {
+  state.sandbox = false;
+  state.sandboxFileName = null;
+  state.sandboxUndoStack = [];
+  state.sessionId = null;
+  setDisconnected('Not connected');
+  checkFluxxConnection();
+}
+
+// Tool Panel - replaces the chat area while a local tool is open
+function openToolPanel(title, html) {
+  elements.toolPanelTitle.textContent = title;
+  elements.toolPanelContent.innerHTML = html;
+  elements.toolPanel.style.display = 'flex';
+  elements.messages.style.display = 'none';
+  return elements.toolPanelContent;
+}
+
+function closeToolPanel() {
+  elements.toolPanel.style.display = 'none';
+  elements.toolPanelContent.innerHTML = '';
+  elements.messages.style.display = 'flex';
+}
+
+// Version History
+async function showHistory() {
+  const stencilId = getStencilId();
+  if (!stencilId) return;
+
+  const key = `history_${stencilId}`;
+  const stored = await chrome.storage.local.get(key);
+  const versions = stored[key] || [];
+
+  if (versions.length === 0) {
+    openToolPanel('Version History', '<div class="tool-empty">No changes have been applied to this form from the extension yet.</div>');
+    return;
+  }
+
+  const html = versions.map(version => {
+    const prompt = version.prompt || 'No prompt recorded';
+    const opCount = Array.isArray(version.operations) ? version.operations.length : 0;
+    return `
+      <div class="history-item">
+        <div class="history-meta">
+          <span>${escapeHtml(new Date(version.savedAt).toLocaleString())}</span>
+          <span>${opCount} operation${opCount === 1 ? '' : 's'}</span>
+        </div>
+        <div class="history-prompt">${escapeHtml(prompt)}</div>
+        <div class="history-actions">
+          <button class="btn btn-secondary btn-sm" data-action="restore" data-version="${version.id}">Restore</button>
+          <button class="btn btn-secondary btn-sm" data-action="download-after" data-version="${version.id}">Download</button>
+          <button class="btn btn-secondary btn-sm" data-action="download-before" data-version="${version.id}">Download Previous</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  const content = openToolPanel('Version History', html);
+  content.querySelectorAll('button[data-action]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const version = versions.find(v => v.id === btn.dataset.version);
+      if (!version) return;
+
+      const stamp = new Date(version.savedAt).toISOString().replace(/[:.]/g, '-');
+      if (btn.dataset.action === 'restore') {
+        restoreVersion(stencilId, version);
+      } else if (btn.dataset.action === 'download-after') {
+        downloadJson(version.after, `fluxx_stencil_${stencilId}_${stamp}.json`);
+      } else if (btn.dataset.action === 'download-before') {
+        downloadJson(version.before, `fluxx_stencil_${stencilId}_${stamp}_before.json`);
+      }
+    });
+  });
+}
+
+// Form Check - broken references and structural problems in the current export
+function showFormCheck() {
+  if (!state.currentExport) return;
+
+  const issues = lintExport(state.currentExport);
+  if (issues.length === 0) {
+    openToolPanel('Form Check', '<div class="tool-empty">No problems found.</div>');
+    return;
+  }
+
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  const warnings = issues.length - errors;
+  const summary = [
+    errors > 0 ? `${errors} error${errors === 1 ? '' : 's'}` : '',
+    warnings > 0 ? `${warnings} warning${warnings === 1 ? '' : 's'}` : ''
+  ].filter(Boolean).join(', ');
+
+  const html = `
+    <div class="lint-summary">${summary}</div>
+    ${issues.map(issue => `
+      <div class="lint-item lint-${issue.severity}">
+        <span class="lint-severity">${issue.severity}</span>
+        <span class="lint-message">${escapeHtml(issue.message)}</span>
+        ${issue.uid ? `<span class="lint-uid">${escapeHtml(issue.uid)}</span>` : ''}
+      </div>
+    `).join('')}
+  `;
+  openToolPanel('Form Check', html);
+}
+
+// Liquid Preview - render a text element against an editable sample record,
+// kept per form
+const LIQUID_SAMPLE_KEY_PREFIX = 'liquid_sample_model_';
+
+async function showLiquidPreview(template = null) {
+  const elementsList = state.currentExport?.records?.Stencil?.[0]?.json?.elements || [];
+  const textElements = [];
+  (function collect(list) {
+    for (const el of list) {
+      if (el.element_type === 'text') textElements.push(el);
+      if (Array.isArray(el.elements)) collect(el.elements);
+    }
+  })(elementsList);
+
+  const initialTemplate = template ?? textElements[0]?.config?.text ?? '';
+  const attributes = state.currentExport?.records?.ModelAttribute || [];
+  const sampleKey = `${LIQUID_SAMPLE_KEY_PREFIX}${getStencilId() || 'form'}`;
+  const stored = await chrome.storage.local.get(sampleKey);
+
+  const options = [
+    template !== null ? '<option value="">Proposed content</option>' : '',
+    ...textElements.map(el => `<option value="${escapeAttr(el.uid)}">${escapeHtml(getElementLabel(el) || el.uid)}</option>`)
+  ].join('');
+
+  const content = openToolPanel('Liquid Preview', `
+    <div class="liquid-preview">
+      ${options ? `
+        <label class="liquid-field">
+          <span>Text element</span>
+          <select id="liquidElement">${options}</select>
+        </label>
+      ` : ''}
+      <label class="liquid-field">
+        <span>Template</span>
+        <textarea id="liquidTemplate" rows="8" spellcheck="false"></textarea>
+      </label>
+      <label class="liquid-field">
+        <span>Sample model (JSON)</span>
+        <textarea id="liquidModel" rows="8" spellcheck="false"></textarea>
+      </label>
+      <div class="liquid-actions">
+        <button class="btn btn-secondary btn-sm" id="liquidResetSample">Reset Sample</button>
+      </div>
+      <ul class="liquid-errors" id="liquidErrors"></ul>
+      <iframe class="liquid-output" id="liquidOutput" sandbox=""></iframe>
+    </div>
+  `);
+
+  const templateInput = content.querySelector('#liquidTemplate');
+  const modelInput = content.querySelector('#liquidModel');
+  const elementSelect = content.querySelector('#liquidElement');
+  const errorList = content.querySelector('#liquidErrors');
+  const output = content.querySelector('#liquidOutput');
+
+  // A saved sample still gets stub rows for relationships the template loops over
+  const withTemplateStubs = (modelText, template) => {
+    try {
+      const model = JSON.parse(modelText);
+      const stubs = buildSampleModel(attributes, template);
+      const missing = Object.keys(stubs).filter(key => !(key in model));
+      if (missing.length === 0) return modelText;
+      missing.forEach(key => { model[key] = stubs[key]; });
+      return JSON.stringify(model, null, 2);
+    } catch (e) {
+      return modelText;
+    }
+  };
+
+  templateInput.value = initialTemplate;
+  modelInput.value = stored[sampleKey]
+    ? withTemplateStubs(stored[sampleKey], initialTemplate)
+    : JSON.stringify(buildSampleModel(attributes, initialTemplate), null, 2);
+
+  const render = () => {
+    let model;
+    try {
+      model = JSON.parse(modelInput.value || '{}');
+    } catch (err) {
+      errorList.innerHTML = `<li class="lint-error">Sample model is not valid JSON: ${escapeHtml(err.message)}</li>`;
+      return;
+    }
+
+    const { html, errors } = renderLiquid(templateInput.value, { model });
+    const checks = validateLiquid(templateInput.value, { attributeNames: getAttributeNames(state.currentExport) });
+    const seen = new Set();
+    const issues = [...errors, ...checks].filter(issue => {
+      const key = `${issue.line}:${issue.message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    errorList.innerHTML = issues.map(issue =>
+      `<li class="lint-${issue.severity}">Line ${issue.line}: ${escapeHtml(issue.message)}</li>`
+    ).join('');
+    output.srcdoc = `<style>body { font-family: sans-serif; font-size: 13px; color: #222; background: #fff; margin: 8px; }</style>${html}`;
+  };
+
+  let renderTimer = null;
+  const scheduleRender = () => {
+    clearTimeout(renderTimer);
+    renderTimer = setTimeout(render, 300);
+  };
+
+  templateInput.addEventListener('input', scheduleRender);
+  modelInput.addEventListener('input', () => {
+    scheduleRender();
+    try {
+      JSON.parse(modelInput.value);
+      chrome.storage.local.set({ [sampleKey]: modelInput.value });
+    } catch (e) {
+      // Keep the last valid sample until the JSON is fixed
+    }
+  });
+
+  if (elementSelect) {
+    elementSelect.addEventListener('change', () => {
+      const el = elementSelect.value && findElementByUid(elementsList, elementSelect.value);
+      templateInput.value = el ? el.config?.text || '' : template ?? '';
+      modelInput.value = withTemplateStubs(modelInput.value, templateInput.value);
+      render();
+    });
+  }
+
+  content.querySelector('#liquidResetSample').addEventListener('click', () => {
+    modelInput.value = JSON.stringify(buildSampleModel(attributes, templateInput.value), null, 2);
+    chrome.storage.local.remove(sampleKey);
+    render();
+  });
+
+  render();
+}
+
+// Exports - documents generated locally from the current export
+function showExports() {
+  if (!state.currentExport) return;
+
+  const dictionary = buildDataDictionary(state.currentExport);
+  const baseName = `fluxx_${getStencilId() || 'form'}`;
+  const specMeta = {
+    title: elements.themeName.textContent || 'Form Specification',
+    subtitle: [elements.modelName.textContent, `Generated ${new Date().toLocaleDateString()}`].filter(text => text && text !== '-').join(' · ')
+  };
+
+  const content = openToolPanel('Export', `
+    <div class="export-panel">
+      <div class="export-item">
+        <div class="export-title">Data Dictionary</div>
+        <div class="export-description">
+          One row per field (${dictionary.length} on this form): name, label, section, type, required,
+          choices, conditional logic, show states and read-only states.
+        </div>
+        <div class="export-actions">
+          <button class="btn btn-secondary btn-sm" data-export="dictionary-csv" ${dictionary.length === 0 ? 'disabled' : ''}>Download CSV</button>
+          <button class="btn btn-secondary btn-sm" data-export="dictionary-xlsx" ${dictionary.length === 0 ? 'disabled' : ''}>Download Excel</button>
+        </div>
+      </div>
+      <div class="export-item">
+        <div class="export-title">Form Specification</div>
+        <div class="export-description">
+          A reviewable document with numbered sections and questions, types, required markers, choices,
+          conditional rules and text content. Open the HTML version in a browser to print it or save it as PDF.
+        </div>
+        <div class="export-actions">
+          <button class="btn btn-secondary btn-sm" data-export="spec-markdown">Download Markdown</button>
+          <button class="btn btn-secondary btn-sm" data-export="spec-html">Download HTML</button>
+        </div>
+      </div>
+    </div>
+  `);
+
+  content.querySelectorAll('button[data-export]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (btn.dataset.export === 'dictionary-csv') {
+        downloadBlob(dictionaryToCsv(dictionary), `${baseName}_data_dictionary.csv`);
+      } else if (btn.dataset.export === 'dictionary-xlsx') {
+        downloadBlob(dictionaryToXlsx(dictionary), `${baseName}_data_dictionary.xlsx`);
+      } else if (btn.dataset.export === 'spec-markdown') {
+        downloadBlob(new Blob([formSpecToMarkdown(buildFormSpec(state.currentExport), specMeta)], { type: 'text/markdown' }), `${baseName}_spec.md`);
+      } else if (btn.dataset.export === 'spec-html') {
+        downloadBlob(new Blob([formSpecToHtml(buildFormSpec(state.currentExport), specMeta)], { type: 'text/html' }), `${baseName}_spec.html`);
+      }
+    });
+  });
+}
+
+// Outline - the element tree, reordered by drag and drop into move operations
+const OUTLINE_ICONS = { group: '▣', attribute: '▭', text: '¶' };
+
+function showOutline() {
+  if (!state.currentExport) return;
+
+  let working = state.currentExport;
+  const moves = [];
+  const collapsed = new Set();
+  let dragUid = null;
+
+  const content = openToolPanel('Outline', `
+    <div class="outline-panel">
+      <div class="outline-toolbar">
+        <span class="outline-hint" id="outlineHint">Drag elements to reorder them or move them into another group.</span>
+        <button class="btn btn-secondary btn-sm" id="outlineReset" disabled>Reset</button>
+        <button class="btn btn-sm" id="outlineReview" disabled>Review Moves</button>
+      </div>
+      <div class="outline-tree" id="outlineTree"></div>
+    </div>
+  `);
+
+  const treeEl = content.querySelector('#outlineTree');
+  const hintEl = content.querySelector('#outlineHint');
+  const resetBtn = content.querySelector('#outlineReset');
+  const reviewBtn = content.querySelector('#outlineReview');
+
+  const renderNode = (el) => {
+    const isGroup = el.element_type === 'group';
+    const children = Array.isArray(el.elements) ? el.elements.filter(Boolean) : [];
+    const badges = [
+      el.config?.required === true || el.config?.required === '1' ? '<span class="outline-badge required">required</span>' : '',
+      el.config?.reveal_if_attribute ? `<span class="outline-badge conditional" title="Shown based on ${escapeAttr(el.config.reveal_if_attribute)}">conditional</span>` : '',
+      el.visibility?.visible_form === false ? '<span class="outline-badge hidden">hidden</span>' : ''
+    ].join('');
+
+    return `
+      <li class="outline-node${collapsed.has(el.uid) ? ' collapsed' : ''}" data-uid="${escapeAttr(el.uid || '')}">
+        <div class="outline-row" draggable="true" data-uid="${escapeAttr(el.uid || '')}" data-group="${isGroup}">
+          <span class="outline-toggle">${isGroup && children.length > 0 ? '▾' : ''}</span>
+          <span class="outline-icon ${escapeAttr(el.element_type || '')}">${OUTLINE_ICONS[el.element_type] || '•'}</span>
+          <span class="outline-label">${escapeHtml(getElementLabel(el))}</span>
+          ${badges}
+        </div>
+        ${isGroup ? `<ul class="outline-children">${children.map(renderNode).join('')}</ul>` : ''}
+      </li>
+    `;
+  };
+
+  const render = () => {
+    const list = working.records?.Stencil?.[0]?.json?.elements || [];
+    treeEl.innerHTML = list.length > 0
+      ? `<ul class="outline-children">${list.filter(Boolean).map(renderNode).join('')}</ul>`
+      : '<div class="tool-empty">This form has no elements.</div>';
+    resetBtn.disabled = moves.length === 0;
+    reviewBtn.disabled = moves.length === 0;
+    reviewBtn.textContent = moves.length > 0 ? `Review ${moves.length} Move${moves.length === 1 ? '' : 's'}` : 'Review Moves';
+  };
+
+  // Where a drop lands relative to the row under the pointer
+  const dropPosition = (row, clientY) => {
+    const rect = row.getBoundingClientRect();
+    const ratio = (clientY - rect.top) / rect.height;
+    if (row.dataset.group !== 'true') return ratio < 0.5 ? 'before' : 'after';
+    if (ratio < 0.25) return 'before';
+    if (ratio > 0.75) return 'after';
+    return ratio < 0.5 ? 'inside_start' : 'inside_end';
+  };
+
+  const clearDropMarkers = () => {
+    treeEl.querySelectorAll('.drop-before, .drop-after, .drop-inside').forEach(row => {
+      row.classList.remove('drop-before', 'drop-after', 'drop-inside');
+    });
+  };
+
+  const isValidDrop = (targetUid) => {
+    if (!dragUid || targetUid === dragUid) return false;
+    const elementsList = working.records.Stencil[0].json.elements;
+    const dragged = findElementByUid(elementsList, dragUid);
+    return !findElementByUid(dragged?.elements || [], targetUid);
+  };
+
+  treeEl.addEventListener('click', (e) => {
+    const toggle = e.target.closest('.outline-toggle');
+    if (!toggle || !toggle.textContent) return;
+    const node = toggle.closest('.outline-node');
+    node.classList.toggle('collapsed');
+    if (node.classList.contains('collapsed')) collapsed.add(node.dataset.uid);
+    else collapsed.delete(node.dataset.uid);
+  });
+
+  treeEl.addEventListener('dragstart', (e) => {
+    const row = e.target.closest('.outline-row');
+    if (!row) return;
+    dragUid = row.dataset.uid;
+    row.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', dragUid);
+  });
+
+  treeEl.addEventListener('dragend', () => {
+    dragUid = null;
+    clearDropMarkers();
+    treeEl.querySelectorAll('.dragging').forEach(row => row.classList.remove('dragging'));
+  });
+
+  treeEl.addEventListener('dragover', (e) => {
+    const row = e.target.closest('.outline-row');
+    if (!row || !isValidDrop(row.dataset.uid)) return;
+    e.preventDefault();
+    const position = dropPosition(row, e.clientY);
+    clearDropMarkers();
+    row.classList.add(position === 'before' ? 'drop-before' : position === 'after' ? 'drop-after' : 'drop-inside');
+  });
+
+  treeEl.addEventListener('dragleave', (e) => {
+    const row = e.target.closest('.outline-row');
+    if (row && !row.contains(e.relatedTarget)) row.classList.remove('drop-before', 'drop-after', 'drop-inside');
+  });
+
+  treeEl.addEventListener('drop', (e) => {
+    const row = e.target.closest('.outline-row');
+    if (!row || !isValidDrop(row.dataset.uid)) return;
+    e.preventDefault();
+
+    const elementsList = working.records.Stencil[0].json.elements;
+    const op = {
+      type: 'move',
+      uid: dragUid,
+      target: row.dataset.uid,
+      position: dropPosition(row, e.clientY),
+      _label: getElementLabel(findElementByUid(elementsList, dragUid)),
+      _target_label: getElementLabel(findElementByUid(elementsList, row.dataset.uid))
+    };
+
+    const { data, report } = applyOperations(working, [op]);
+    if (report[0].status === 'failed') {
+      hintEl.textContent = `Can't move there: ${report[0].reason}`;
+      return;
+    }
+    if (op.position.startsWith('inside')) collapsed.delete(op.target);
+    working = data;
+    moves.push(op);
+    hintEl.textContent = 'Drag elements to reorder them or move them into another group.';
+    render();
+  });
+
+  resetBtn.addEventListener('click', () => {
+    working = state.currentExport;
+    moves.length = 0;
+    render();
+  });
+
+  reviewBtn.addEventListener('click', () => {
+    if (moves.length === 0) return;
+    closeToolPanel();
+    showOperationsPreview([...moves]);
+  });
+
+  render();
+}
+
+// Search - labels, field names, text and field descriptions in the current export
+const SEARCH_RESULT_LIMIT = 200;
+
+function searchExport(exportData, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+
+  const attributes = exportData?.records?.ModelAttribute || [];
+  const descriptionOf = (name) => attributes.find(a => a.name === name)?.description || '';
+  const results = [];
+  const placed = new Set();
+
+  const check = (matches, field, value) => {
+    const text = String(value || '');
+    if (text.toLowerCase().includes(needle)) matches.push({ field, value: text });
+  };
+
+  (function walk(list, path) {
+    for (const el of list || []) {
+      if (!el) continue;
+      const label = getElementLabel(el);
+      const matches = [];
+
+      if (el.element_type === 'text') {
+        check(matches, 'text', (el.config?.text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim());
+      } else {
+        check(matches, 'label', label);
+      }
+      if (el.element_type === 'attribute' && el.name) {
+        placed.add(el.name);
+        check(matches, 'name', el.name);
+        const description = descriptionOf(el.name);
+        if (description !== el.name) check(matches, 'description', description);
+      }
+
+      if (matches.length > 0) results.push({ uid: el.uid, type: el.element_type, label, path, matches });
+      if (Array.isArray(el.elements)) walk(el.elements, el.element_type === 'group' ? [...path, label] : path);
+    }
+  })(exportData?.records?.Stencil?.[0]?.json?.elements, []);
+
+  // Fields that exist on the model but aren't placed on this form
+  for (const attr of attributes) {
+    if (placed.has(attr.name)) continue;
+    const matches = [];
+    check(matches, 'name', attr.name);
+    if (attr.description !== attr.name) check(matches, 'description', attr.description);
+    if (matches.length > 0) results.push({ uid: null, type: 'field', label: attr.description || attr.name, path: [], matches });
+  }
+
+  return results;
+}
+
+// Matched text with the query marked, trimmed to the area around the first match
+function renderSearchSnippet(value, query) {
+  const lower = value.toLowerCase();
+  const at = lower.indexOf(query.toLowerCase());
+  const start = Math.max(0, at - 40);
+  const end = Math.min(value.length, at + query.length + 60);
+  return `${start > 0 ? '…' : ''}${escapeHtml(value.substring(start, at))}<mark>${escapeHtml(value.substring(at, at + query.length))}</mark>${escapeHtml(value.substring(at + query.length, end))}${end < value.length ? '…' : ''}`;
+}
+
+function showSearch() {
+  if (!state.currentExport) return;
+
+  const content = openToolPanel('Search', `
+    <div class="search-panel">
+      <input type="search" class="search-input" id="searchInput" placeholder="Labels, field names, text..." spellcheck="false">
+      <div class="search-summary" id="searchSummary"></div>
+      <div id="searchResults"></div>
+    </div>
+  `);
+
+  const input = content.querySelector('#searchInput');
+  const summaryEl = content.querySelector('#searchSummary');
+  const resultsEl = content.querySelector('#searchResults');
+
+  const render = () => {
+    const query = input.value.trim();
+    if (!query) {
+      summaryEl.textContent = state.sandbox ? '' : 'Click a result to show it on the Fluxx page.';
+      resultsEl.innerHTML = '';
+      return;
+    }
+
+    const results = searchExport(state.currentExport, query);
+    summaryEl.textContent = `${results.length} result${results.length === 1 ? '' : 's'}${results.length > SEARCH_RESULT_LIMIT ? `, showing the first ${SEARCH_RESULT_LIMIT}` : ''}`;
+    resultsEl.innerHTML = results.slice(0, SEARCH_RESULT_LIMIT).map(result => `
+      <div class="search-result${result.uid && !state.sandbox ? ' clickable' : ''}" data-uid="${escapeAttr(result.uid || '')}">
+        <div class="search-result-header">
+          <span class="search-type">${escapeHtml(result.type || 'element')}</span>
+          <span class="search-label">${escapeHtml(result.label || result.uid || '')}</span>
+        </div>
+        <div class="search-path">${result.uid ? escapeHtml(result.path.join(' › ') || 'Top level') : 'Not on this form'}</div>
+        ${result.matches.map(match => `
+          <div class="search-match"><span class="search-field">${match.field}</span> ${renderSearchSnippet(match.value, query)}</div>
+        `).join('')}
+        <div class="search-note"></div>
+      </div>
+    `).join('');
+  };
+
+  let searchTimer = null;
+  input.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(render, 150);
+  });
+
+  resultsEl.addEventListener('click', (e) => {
+    const item = e.target.closest('.search-result.clickable');
+    if (!item) return;
+
+    const result = searchExport(state.currentExport, input.value).find(r => r.uid === item.dataset.uid);
+    highlightOnPage(item.dataset.uid, result?.label || '', result?.path || [], item.querySelector('.search-note'));
+  });
+
+  render();
+  input.focus();
+}
+
+// Scroll the Fluxx page to an element and flash it; `noteEl` explains a miss
+function highlightOnPage(uid, label, path, noteEl) {
+  if (!state.fluxxTabId || state.sandbox) return;
+  chrome.tabs.sendMessage(state.fluxxTabId, { type: 'HIGHLIGHT_ELEMENT', uid, label, path }, (response) => {
+    void chrome.runtime.lastError;
+    noteEl.textContent = response?.found ? '' : 'Could not find this element on the page. It may be inside a collapsed section.';
+  });
+}
+
+// Conditional Logic - which fields show or hide which elements, and rules that can't work
+function showLogic() {
+  if (!state.currentExport) return;
+
+  const analysis = analyzeConditionalLogic(state.currentExport);
+  if (analysis.rules.length === 0) {
+    openToolPanel('Conditional Logic', '<div class="tool-empty">No conditional visibility rules on this form.</div>');
+    return;
+  }
+
+  const issuesByUid = new Map();
+  for (const issue of analysis.issues) {
+    if (!issuesByUid.has(issue.uid)) issuesByUid.set(issue.uid, []);
+    issuesByUid.get(issue.uid).push(issue);
+  }
+  const worstSeverity = (uid) => {
+    const issues = issuesByUid.get(uid) || [];
+    if (issues.some(issue => issue.severity === 'error')) return 'error';
+    return issues.length > 0 ? 'warning' : '';
+  };
+  const clickable = state.sandbox ? '' : ' clickable';
+
+  // Controlling field -> the rules it drives -> controlling fields inside those elements
+  const renderController = (name, trail) => {
+    const controller = analysis.controllers.get(name);
+    if (trail.includes(name)) {
+      return `<div class="logic-controller logic-cycle">↻ ${escapeHtml(controller.label)} <span class="logic-note">(cycle)</span></div>`;
+    }
+    const uid = controller.uids[0] || '';
+    const rules = controller.rules.map(rule => {
+      const severity = worstSeverity(rule.uid);
+      return `
+        <div class="logic-rule${severity ? ` logic-${severity}` : ''}${rule.uid ? clickable : ''}" data-uid="${escapeAttr(rule.uid || '')}">
+          <span class="logic-condition">${escapeHtml(describeRule(rule))}</span>
+          <span class="outline-icon ${escapeAttr(rule.type)}">${OUTLINE_ICONS[rule.type] || '•'}</span>
+          <span class="logic-label">${escapeHtml(rule.label)}</span>
+        </div>
+        ${rule.nested.length > 0 ? `<div class="logic-children">${rule.nested.map(n => renderController(n, [...trail, name])).join('')}</div>` : ''}
+      `;
+    }).join('');
+
+    return `
+      <div class="logic-node">
+        <div class="logic-controller${uid ? clickable : ''}" data-uid="${escapeAttr(uid)}">
+          <span class="outline-icon attribute">${OUTLINE_ICONS.attribute}</span>
+          <span class="logic-label">${escapeHtml(controller.label)}</span>
+          <code class="logic-field">${escapeHtml(name)}</code>
+          ${controller.uids.length === 0 ? '<span class="logic-note">not on this form</span>' : ''}
+        </div>
+        <div class="logic-children">${rules}</div>
+      </div>
+    `;
+  };
+
+  const errors = analysis.issues.filter(issue => issue.severity === 'error').length;
+  const warnings = analysis.issues.length - errors;
+  const summary = [
+    `${analysis.rules.length} rule${analysis.rules.length === 1 ? '' : 's'} on ${analysis.controllers.size} controlling field${analysis.controllers.size === 1 ? '' : 's'}`,
+    errors > 0 ? `${errors} error${errors === 1 ? '' : 's'}` : '',
+    warnings > 0 ? `${warnings} warning${warnings === 1 ? '' : 's'}` : ''
+  ].filter(Boolean).join(', ');
+
+  const content = openToolPanel('Conditional Logic', `
+    <div class="logic-panel">
+      <div class="lint-summary">${escapeHtml(summary)}</div>
+      ${analysis.issues.map(issue => `
+        <div class="lint-item lint-${issue.severity}${issue.uid ? clickable : ''}" data-uid="${escapeAttr(issue.uid || '')}">
+          <span class="lint-severity">${issue.severity}</span>
+          <span class="lint-message">${escapeHtml(issue.message)}</span>
+        </div>
+      `).join('')}
+      <div class="logic-graph">${analysis.roots.map(name => renderController(name, [])).join('')}</div>
+      <div class="search-note" id="logicNote"></div>
+    </div>
+  `);
+
+  content.addEventListener('click', (e) => {
+    const item = e.target.closest('.clickable[data-uid]');
+    if (!item || !item.dataset.uid) return;
+    const info = analysis.elementsByUid.get(item.dataset.uid);
+    const label = info ? (info.el.config?.label || info.el.label || '').replace(/<[^>]*>/g, '').trim() : '';
+    highlightOnPage(item.dataset.uid, label, info?.path || [], content.querySelector('#logicNote'));
+  });
+}
+
+// Conditions - build an element's advanced_query from AND/OR groups of comparisons
+function showQueryEditor() {
+  if (!state.currentExport) return;
+
+  const records = state.currentExport.records || {};
+  const modelType = records.Stencil?.[0]?.model_type || 'GrantRequest';
+  const choicesByAttribute = getAttributeChoices(records);
+
+  // Elements that can carry a query, and a label for every placed field
+  const targets = [];
+  const fieldLabels = new Map();
+  (function walk(list, depth) {
+    for (const el of list || []) {
+      if (!el) continue;
+      const label = getElementLabel(el);
+      if (el.element_type === 'attribute' && el.name && !fieldLabels.has(el.name)) fieldLabels.set(el.name, label);
+      if (el.uid && ['group', 'attribute', 'text'].includes(el.element_type)) {
+        const query = parseAdvancedQuery(el.visibility?.advanced_query);
+        targets.push({ el, label, depth, hasQuery: flattenQueryConditions(query).length > 0 });
+      }
+      if (Array.isArray(el.elements)) walk(el.elements, depth + 1);
+    }
+  })(records.Stencil?.[0]?.json?.elements, 0);
+
+  const fieldNames = [...new Set((records.ModelAttribute || []).map(attr => attr.name).filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b));
+  const labelFor = (name) => fieldLabels.get(name) || name;
+
+  if (targets.length === 0 || fieldNames.length === 0) {
+    openToolPanel('Visibility Query', `<div class="tool-empty">${targets.length === 0
+      ? 'No elements on this form.'
+      : `No ${escapeHtml(modelType)} fields in this export to build conditions from.`}</div>`);
+    return;
+  }
+
+  const content = openToolPanel('Visibility Query', `
+    <div class="query-panel">
+      <label class="liquid-field">
+        <span>Show this element only when the ${escapeHtml(modelType)} matches</span>
+        <select id="queryTarget">
+          <option value="">Choose an element...</option>
+          ${targets.map(t => `<option value="${escapeAttr(t.el.uid)}">${'\u00a0\u00a0'.repeat(t.depth)}${OUTLINE_ICONS[t.el.element_type] || '•'} ${escapeHtml(t.label)}${t.hasQuery ? ' ●' : ''}</option>`).join('')}
+        </select>
+      </label>
+      <div id="queryTree"></div>
+      <div class="query-description" id="queryDescription"></div>
+      <div class="colors-actions">
+        <span class="colors-error" id="queryError"></span>
+        <button class="btn btn-secondary btn-sm" id="queryClearBtn">Remove Query</button>
+        <button class="btn btn-sm" id="queryReviewBtn">Review Change</button>
+      </div>
+    </div>
+  `);
+
+  const targetSelect = content.querySelector('#queryTarget');
+  const treeEl = content.querySelector('#queryTree');
+  const descriptionEl = content.querySelector('#queryDescription');
+  const errorEl = content.querySelector('#queryError');
+  const clearBtn = content.querySelector('#queryClearBtn');
+  const reviewBtn = content.querySelector('#queryReviewBtn');
+
+  let target = null;
+  let tree = null;
+  let hadQuery = false;
+
+  const newCondition = () => ({ attribute: '', operator: 'eq', value: '' });
+
+  // Node at a path of indexes into nested conditions
+  const nodeAt = (path) => path.reduce((node, index) => node.conditions[index], tree);
+  const parsePath = (value) => value ? value.split('.').map(Number) : [];
+
+  const renderValue = (condition, path) => {
+    if (VALUELESS_QUERY_OPERATORS.includes(condition.operator)) return '';
+    const choices = choicesByAttribute.get(condition.attribute);
+    const isList = LIST_QUERY_OPERATORS.includes(condition.operator);
+    if (choices && ['eq', 'not_eq', 'in', 'not_in'].includes(condition.operator)) {
+      const selected = new Set([].concat(condition.value ?? []).map(String));
+      return `
+        <select class="query-value" data-path="${path}" data-field="value"${isList ? ' multiple' : ''}>
+          ${isList ? '' : '<option value="">Choose...</option>'}
+          ${choices.map(choice => `<option value="${escapeAttr(choice.value)}"${selected.has(choice.value) ? ' selected' : ''}>${escapeHtml(choice.description || choice.value)}</option>`).join('')}
+        </select>
+      `;
+    }
+    const value = Array.isArray(condition.value) ? condition.value.join(', ') : condition.value ?? '';
+    return `<input class="query-value" type="text" data-path="${path}" data-field="value" value="${escapeAttr(String(value))}" placeholder="${isList ? 'value, value' : 'value'}">`;
+  };
+
+  const renderGroup = (group, path) => {
+    const key = path.join('.');
+    const conditions = group.conditions.map((condition, index) => {
+      const childPath = [...path, index];
+      if (Array.isArray(condition.conditions)) return renderGroup(condition, childPath);
+      const childKey = childPath.join('.');
+      const fields = condition.attribute && !fieldNames.includes(condition.attribute)
+        ? [condition.attribute, ...fieldNames]
+        : fieldNames;
+      return `
+        <div class="query-condition">
+          <select class="query-field" data-path="${childKey}" data-field="attribute">
+            <option value="">Field...</option>
+            ${fields.map(name => `<option value="${escapeAttr(name)}"${name === condition.attribute ? ' selected' : ''}>${escapeHtml(labelFor(name))}${labelFor(name) !== name ? ` (${escapeHtml(name)})` : ''}</option>`).join('')}
+          </select>
+          <select class="query-operator" data-path="${childKey}" data-field="operator">
+            ${Object.entries(QUERY_OPERATORS).map(([operator, text]) => `<option value="${operator}"${operator === condition.operator ? ' selected' : ''}>${escapeHtml(text)}</option>`).join('')}
+          </select>
+          ${renderValue(condition, childKey)}
+          <button class="query-remove" data-action="remove" data-path="${childKey}" title="Remove condition">✕</button>
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="query-group${path.length > 0 ? ' nested' : ''}">
+        <div class="query-group-header">
+          <select class="query-group-type" data-path="${key}" data-field="group_type">
+            <option value="and"${group.group_type === 'and' ? ' selected' : ''}>All of</option>
+            <option value="or"${group.group_type === 'or' ? ' selected' : ''}>Any of</option>
+          </select>
+          <button class="query-add" data-action="add-condition" data-path="${key}">+ Condition</button>
+          ${path.length < MAX_QUERY_DEPTH - 1 ? `<button class="query-add" data-action="add-group" data-path="${key}">+ Group</button>` : ''}
+          ${path.length > 0 ? `<button class="query-remove" data-action="remove" data-path="${key}" title="Remove group">✕</button>` : ''}
+        </div>
+        ${conditions || '<div class="query-empty">No conditions - the element is always shown</div>'}
+      </div>
+    `;
+  };
+
+  // The tree as the operation sends it: empty groups dropped, comparison values as numbers
+  const buildQuery = (group) => ({
+    group_type: group.group_type,
+    conditions: group.conditions
+      .map(condition => {
+        if (Array.isArray(condition.conditions)) return buildQuery(condition);
+        const built = { attribute: condition.attribute, operator: condition.operator };
+        if (VALUELESS_QUERY_OPERATORS.includes(condition.operator)) return built;
+        if (LIST_QUERY_OPERATORS.includes(condition.operator)) {
+          built.value = Array.isArray(condition.value)
+            ? condition.value
+            : String(condition.value ?? '').split(',').map(value => value.trim()).filter(Boolean);
+        } else {
+          const value = Array.isArray(condition.value) ? condition.value[0] ?? '' : String(condition.value ?? '').trim();
+          built.value = ['gt', 'gte', 'lt', 'lte'].includes(condition.operator) && /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+        }
+        return built;
+      })
+      .filter(condition => !Array.isArray(condition.conditions) || condition.conditions.length > 0)
+  });
+
+  const validate = () => {
+    if (!tree) return { query: null, error: '' };
+    try {
+      const query = normalizeAdvancedQuery(buildQuery(tree), new Set(fieldNames));
+      return { query, error: '' };
+    } catch (e) {
+      return { query: null, error: e.message };
+    }
+  };
+
+  const updateSummary = () => {
+    const { query, error } = validate();
+    const count = query ? flattenQueryConditions(query).length : 0;
+    descriptionEl.textContent = count > 0 ? `Shown only when ${describeAdvancedQuery(query, labelFor)}` : '';
+    errorEl.textContent = tree && flattenQueryConditions(tree).length > 0 ? error : '';
+    reviewBtn.disabled = !target || !query || count === 0;
+    clearBtn.disabled = !target || !hadQuery;
+  };
+
+  const render = () => {
+    treeEl.innerHTML = tree ? renderGroup(tree, []) : '';
+    updateSummary();
+  };
+
+  targetSelect.addEventListener('change', () => {
+    target = targets.find(t => t.el.uid === targetSelect.value) || null;
+    const existing = target ? parseAdvancedQuery(target.el.visibility?.advanced_query) : null;
+    hadQuery = flattenQueryConditions(existing).length > 0;
+    tree = target ? JSON.parse(JSON.stringify({
+      group_type: existing?.group_type === 'or' ? 'or' : 'and',
+      conditions: hadQuery ? existing.conditions : [newCondition()]
+    })) : null;
+    render();
+  });
+
+  // Field and operator changes reshape the value input, so they re-render
+  treeEl.addEventListener('change', (e) => {
+    const input = e.target.closest('[data-field]');
+    if (!input) return;
+    const node = nodeAt(parsePath(input.dataset.path));
+    if (input.dataset.field === 'value') {
+      node.value = input.multiple ? [...input.selectedOptions].map(option => option.value) : input.value;
+      updateSummary();
+      return;
+    }
+    node[input.dataset.field] = input.value;
+    if (input.dataset.field === 'attribute') {
+      node.value = LIST_QUERY_OPERATORS.includes(node.operator) ? [] : '';
+    } else if (input.dataset.field === 'operator') {
+      // Keep what was typed when switching between single values and lists
+      const values = [].concat(node.value ?? []).filter(value => value !== '');
+      node.value = LIST_QUERY_OPERATORS.includes(node.operator) ? values : values[0] ?? '';
+    }
+    render();
+  });
+
+  treeEl.addEventListener('input', (e) => {
+    if (e.target.tagName !== 'INPUT' || e.target.dataset.field !== 'value') return;
+    nodeAt(parsePath(e.target.dataset.path)).value = e.target.value;
+    updateSummary();
+  });
+
+  treeEl.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const path = parsePath(button.dataset.path);
+    if (button.dataset.action === 'remove') {
+      nodeAt(path.slice(0, -1)).conditions.splice(path[path.length - 1], 1);
+    } else if (button.dataset.action === 'add-condition') {
+      nodeAt(path).conditions.push(newCondition());
+    } else if (button.dataset.action === 'add-group') {
+      nodeAt(path).conditions.push({ group_type: nodeAt(path).group_type === 'and' ? 'or' : 'and', conditions: [newCondition()] });
+    }
+    render();
+  });
+
+  const review = (query) => {
+    closeToolPanel();
+    showOperationsPreview([{ type: 'set_advanced_query', uid: target.el.uid, query, _label: target.label }]);
+  };
+
+  reviewBtn.addEventListener('click', () => {
+    const { query, error } = validate();
+    if (!target || !query) {
+      errorEl.textContent = error || 'Choose an element first';
+      return;
+    }
+    review(query);
+  });
+
+  clearBtn.addEventListener('click', () => {
+    if (target && hadQuery) review(null);
+  });
+
+  render();
+}
+
+// Colors - every color used on the form, and normalization to the brand palette
+function showColors() {
+  if (!state.currentExport) return;
+
+  const usage = collectColorUsage(state.currentExport);
+  const content = openToolPanel('Colors', `
+    <div class="colors-panel">
+      <label class="liquid-field">
+        <span>Brand palette (one color per line)</span>
+        <textarea id="paletteInput" rows="4" spellcheck="false" placeholder="#003366&#10;#e91e63"></textarea>
+      </label>
+      <label class="colors-option">
+        <input type="checkbox" id="paletteNeutrals">
+        Also map black, white and grays
+      </label>
+      <div class="colors-actions">
+        <span class="colors-error" id="paletteError"></span>
+        <button class="btn btn-sm" id="normalizePaletteBtn">Normalize to Palette</button>
+      </div>
+      <div class="lint-summary">${usage.length} color${usage.length === 1 ? '' : 's'} in use</div>
+      <div id="colorUsage"></div>
+    </div>
+  `);
+
+  const paletteInput = content.querySelector('#paletteInput');
+  const neutralsInput = content.querySelector('#paletteNeutrals');
+  const errorEl = content.querySelector('#paletteError');
+  const usageEl = content.querySelector('#colorUsage');
+  paletteInput.value = (settings.brandPalette || []).join('\n');
+
+  const readPalette = () => {
+    const lines = paletteInput.value.split('\n').map(line => line.trim()).filter(Boolean);
+    const invalid = lines.filter(line => !parseColor(line));
+    return { lines, invalid, colors: lines.map(line => parseColor(line)).filter(Boolean) };
+  };
+
+  const render = () => {
+    const { invalid, colors } = readPalette();
+    errorEl.textContent = invalid.length > 0 ? `Not a color: ${invalid.join(', ')}` : '';
+
+    if (usage.length === 0) {
+      usageEl.innerHTML = '<div class="tool-empty">No colors are set on this form.</div>';
+      return;
+    }
+
+    usageEl.innerHTML = usage.map(entry => {
+      let nearestHtml = '';
+      if (colors.length > 0) {
+        if (isNeutralColor(entry.color) && !neutralsInput.checked) {
+          nearestHtml = '<span class="color-nearest">neutral, kept</span>';
+        } else {
+          const nearest = findNearestColor(entry.color, colors);
+          nearestHtml = nearest.distance < 1
+            ? '<span class="color-nearest">in palette</span>'
+            : `<span class="color-nearest">→ <span class="color-swatch" style="background: ${toHex(nearest.color)}"></span>${toHex(nearest.color)} <span class="color-distance">Δ${Math.round(nearest.distance)}</span></span>`;
+        }
+      }
+
+      const labels = entry.labels.slice(0, 3).join(', ') + (entry.labels.length > 3 ? ` +${entry.labels.length - 3} more` : '');
+      return `
+        <div class="color-item">
+          <div class="color-row">
+            <span class="color-swatch" style="background: ${escapeAttr(entry.hex)}"></span>
+            <span class="color-hex">${escapeHtml(entry.hex)}</span>
+            <span class="color-count">×${entry.count}</span>
+            ${nearestHtml}
+          </div>
+          <div class="color-values">${escapeHtml(entry.values.join(', '))}</div>
+          <div class="color-labels">${escapeHtml(labels)}</div>
+        </div>
+      `;
+    }).join('');
+  };
+
+  paletteInput.addEventListener('input', render);
+  neutralsInput.addEventListener('change', render);
+
+  content.querySelector('#normalizePaletteBtn').addEventListener('click', async () => {
+    const { lines, invalid } = readPalette();
+    if (lines.length === 0 || invalid.length > 0) {
+      errorEl.textContent = lines.length === 0 ? 'Enter at least one palette color' : `Not a color: ${invalid.join(', ')}`;
+      return;
+    }
+
+    // Remember the palette for next time
+    settings = { ...settings, brandPalette: lines };
+    await saveSettings(settings);
+
+    const op = { type: 'normalize_palette', palette: lines };
+    if (neutralsInput.checked) op.include_neutrals = true;
+    closeToolPanel();
+    showOperationsPreview([op]);
+  });
+
+  render();
+}
+
+function restoreVersion(stencilId, version) {
+  if (!state.fluxxTabId || state.isLoading) return;
+
+  const confirmed = confirm(`Restore the form to the version from ${new Date(version.savedAt).toLocaleString()}? The current form will be replaced.`);
+  if (!confirmed) return;
+
+  closeToolPanel();
+  setLoading(true);
+  addMessage('assistant', 'Restoring version...');
+
+  chrome.tabs.sendMessage(state.fluxxTabId, {
+    type: 'RESTORE_VERSION',
+    stencilId: stencilId,
+    versionId: version.id
   });
 }
 
@@ -747,6 +2687,20 @@ ${state.lastDebugInfo.finalResponse || 'N/A'}
   URL.revokeObjectURL(url);
 }
 
+// Download a JSON document as a file
+function downloadJson(data, filename) {
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), filename);
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
 // Keyboard shortcut: Ctrl+Shift+D to download debug info
 document.addEventListener('keydown', (e) => {
   if (e.ctrlKey && e.shiftKey && e.key === 'D') {